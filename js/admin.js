@@ -0,0 +1,1159 @@
+/**
+ * Phone Store Maracaibo — Catalog Editor (admin.html)
+ * Lets staff change products without touching code.
+ *
+ * Flow: load the catalog feed → edit a working copy → validate → preview
+ * the card exactly as the catalog renders it → download products.json.
+ * Nothing is published from here: the downloaded file replaces
+ * data/products.json on the server. The working copy is autosaved in
+ * localStorage so a closed tab doesn't lose an afternoon of edits.
+ *
+ * Bulk edits go through a spreadsheet: "Exportar CSV" downloads the working
+ * copy, "Importar CSV" previews what a file would add, change or remove
+ * and only replaces the working copy once the file has no errors.
+ *
+ * Data dependency: products.data.js, search.js, catalog.card.js and
+ * catalog.csv.js must load first.
+ */
+
+'use strict';
+
+/* --- Constants --- */
+
+const DRAFT_KEY     = 'psm:admin-draft';
+const FEED_FILENAME = 'products.json';
+const CSV_FILENAME  = 'products.csv';
+const ID_PATTERN    = window.PSM.catalog.ID_PATTERN;
+
+const CATEGORY_LABELS  = { iphone: 'iPhone', accesorio: 'Accesorio', repuesto: 'Repuesto' };
+const CONDITION_LABELS = { nuevo: 'Nuevo', certificado: 'Certificado' };
+
+/** Omitted from the feed — products and variants without `availability` are in stock */
+const DEFAULT_AVAILABILITY = 'en-stock';
+
+/** Key order of an exported product, same as data/products.json, so diffs stay readable */
+const PRODUCT_KEYS = [
+    'id', 'name', 'category', 'series', 'deviceModel', 'compatibleWith', 'condition', 'specs', 'techSpecs',
+    'boughtTogether', 'gallery', 'description', 'waMessage', 'price', 'salePrice', 'conditionPrices', 'availability', 'inspection',
+    'colors', 'variants'
+];
+const VARIANT_KEYS = ['id', 'color', 'storage', 'condition', 'price', 'salePrice', 'availability', 'inspection'];
+
+/* --- Editor State --- */
+
+const editor = {
+    /** Working copy of the catalog. Nothing reaches the site until it's exported. */
+    products: [],
+    /** Index in `products` of the product in the form, -1 for none */
+    selected: -1,
+    listQuery: '',
+    /** updatedAt of the published feed the working copy started from */
+    baseUpdatedAt: null,
+    /** Edited since the last download */
+    isDirty: false,
+    /** updatedAt stamped on the last downloaded file — once the site serves it, the draft is done */
+    exportedAt: null,
+    /** CSV waiting for confirmation: { fileName, products, diff, errors } */
+    pendingImport: null
+};
+
+/** @returns {Object|null} Product in the form */
+const getSelected = () => editor.products[editor.selected] ?? null;
+
+/* --- Persistence --- */
+
+/**
+ * @returns {{ products: Object[], baseUpdatedAt: string|null, isDirty: boolean, exportedAt: string|null }|null}
+ */
+const readDraft = () => {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+        return Array.isArray(draft?.products) ? draft : null;
+    } catch {
+        return null;
+    }
+};
+
+const writeDraft = () => {
+    try {
+        localStorage.setItem(DRAFT_KEY, JSON.stringify({
+            products:      editor.products,
+            baseUpdatedAt: editor.baseUpdatedAt,
+            isDirty:       editor.isDirty,
+            exportedAt:    editor.exportedAt
+        }));
+    } catch {
+        /* Storage unavailable — edits live only until the tab closes */
+    }
+};
+
+const clearDraft = () => {
+    try {
+        localStorage.removeItem(DRAFT_KEY);
+    } catch {
+        /* Nothing to clear */
+    }
+};
+
+/* --- Data Layer --- */
+
+/**
+ * @param {*} value - Plain JSON data
+ * @returns {*} Deep copy
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/** @returns {Object} Empty product with the typedef's required fields */
+const createProduct = () => ({
+    id: '',
+    name: '',
+    category: 'iphone',
+    series: null,
+    condition: 'nuevo',
+    specs: [],
+    gallery: [],
+    description: '',
+    waMessage: ''
+});
+
+/**
+ * @param {Object} product
+ * @returns {Object} New variant, inheriting the product's condition
+ */
+const createVariant = (product) => ({ id: '', condition: product.condition });
+
+/**
+ * @param {string} name
+ * @returns {string} The message every product starts with
+ */
+const defaultWaMessage = (name) => `Hola, me interesa el ${name.trim()}`;
+
+/**
+ * Copies the given keys in order, trimming text and leaving out empty values.
+ * `null` is kept: it's meaningful for `series`.
+ * @param {Object} source
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+const pick = (source, keys) => keys.reduce((out, key) => {
+    const value = typeof source[key] === 'string' ? source[key].trim() : source[key];
+    if (value !== undefined && value !== '') out[key] = value;
+    return out;
+}, {});
+
+/**
+ * Tech specs in PSM.SPEC_GROUPS order, trimmed, without empty fields or groups.
+ * @param {Object} [techSpecs]
+ * @returns {Object|undefined} undefined when nothing is left
+ */
+const pickTechSpecs = (techSpecs = {}) => {
+    const clean = window.PSM.SPEC_GROUPS.reduce((out, group) => {
+        const keys = group.fields.filter(field => !field.compute).map(field => field.key);
+        const fields = pick(techSpecs[group.key] ?? {}, keys);
+        if (Object.keys(fields).length) out[group.key] = fields;
+        return out;
+    }, {});
+    return Object.keys(clean).length ? clean : undefined;
+};
+
+/**
+ * Shapes a working-copy product like an entry of data/products.json.
+ * @param {Object} product
+ * @returns {import('./products.data').Product}
+ */
+const toFeedProduct = (product) => {
+    const clean = pick(product, PRODUCT_KEYS);
+    const techSpecs = pickTechSpecs(clean.techSpecs);
+    if (techSpecs) clean.techSpecs = techSpecs;
+    else delete clean.techSpecs;
+    if (clean.variants?.length) clean.variants = clean.variants.map(v => pick(v, VARIANT_KEYS));
+    else delete clean.variants;
+    /* A unit switched to "nuevo" drops its report; switching back in the editor restores it */
+    [clean, ...(clean.variants ?? [])].forEach(item => {
+        if (item.condition !== 'certificado') delete item.inspection;
+    });
+    return clean;
+};
+
+/**
+ * Shapes a product read from CSV like the working copy, so unchanged
+ * products compare equal. The feed leaves the default stock out.
+ * @param {Object} product
+ * @returns {Object}
+ */
+const fromCsvProduct = (product) => {
+    const clean = toFeedProduct(product);
+    [clean, ...(clean.variants ?? [])].forEach(item => {
+        if (item.availability === DEFAULT_AVAILABILITY) delete item.availability;
+    });
+    return clean;
+};
+
+/**
+ * Form keys like 'techSpecs.display.size' address a field of a nested object.
+ * @param {Object} product
+ * @param {string} key
+ * @returns {*}
+ */
+const readField = (product, key) => key.split('.').reduce((value, part) => value?.[part], product);
+
+/**
+ * Converts a form value to what the Product typedef stores.
+ * @param {string} field - Product or variant key
+ * @param {string} raw   - Input value
+ * @returns {*} undefined removes the key
+ */
+const parseFieldValue = (field, raw) => {
+    switch (field) {
+        case 'series':       return raw === '' ? null : Number(raw);
+        case 'price':
+        case 'salePrice':    return raw === '' ? undefined : Number(raw);
+        case 'specs':        return raw.split(',').map(s => s.trim()).filter(Boolean);
+        case 'boughtTogether': {
+            const ids = raw.split(',').map(s => s.trim()).filter(Boolean);
+            return ids.length ? ids : undefined;
+        }
+        case 'availability': return raw === DEFAULT_AVAILABILITY ? undefined : raw;
+        case 'color':
+        case 'storage':
+        case 'deviceModel':  return raw === '' ? undefined : raw;
+        default:             return raw;
+    }
+};
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} field   - Form field key, or 'variants' / 'general'
+ * @property {string} message - Shown under the field
+ */
+
+/**
+ * Validates a product against the Product typedef, with messages staff
+ * can act on. The site's own feed check runs last, so anything that
+ * passes here also loads on the site.
+ * @param {Object} product
+ * @param {number} index - Position in `products`, to find duplicate IDs
+ * @param {Object[]} [products] - Catalog the product belongs to
+ * @returns {{ isValid: boolean, errors: FieldError[] }}
+ */
+const validateProduct = (product, index, products = editor.products) => {
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+    const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+    if (!product.name?.trim()) add('name', 'El nombre es obligatorio.');
+
+    if (!product.id) add('id', 'El ID es obligatorio.');
+    else if (!ID_PATTERN.test(product.id)) add('id', 'Solo minúsculas, números y guiones, ej. iph-17-pro-max.');
+    else if (products.some((p, i) => i !== index && p.id === product.id)) add('id', 'Ya hay otro producto con este ID.');
+
+    if (!(product.category in CATEGORY_LABELS)) add('category', 'Elige una categoría.');
+    if (product.category === 'iphone' && !(Number.isInteger(product.series) && product.series > 0)) {
+        add('series', 'Indica la serie del iPhone, ej. 17.');
+    }
+    if (product.category === 'iphone' && !product.deviceModel) add('deviceModel', 'Elige el modelo de iPhone.');
+    if (product.category === 'repuesto' && !product.compatibleWith?.length) {
+        add('compatibleWith', 'Marca los modelos en los que se instala el repuesto.');
+    }
+    if (!(product.condition in CONDITION_LABELS)) add('condition', 'Elige una condición.');
+    (product.boughtTogether ?? []).forEach(id => {
+        if (id === product.id) add('boughtTogether', 'Un producto no puede recomendarse a sí mismo.');
+        else if (!products.some(p => p.id === id)) add('boughtTogether', `No hay ningún producto con ID "${id}".`);
+    });
+    if (!product.gallery.length) add('gallery', 'Agrega al menos una imagen.');
+    if (!product.description?.trim()) add('description', 'La descripción es obligatoria.');
+    if (!product.waMessage?.trim()) add('waMessage', 'El mensaje de WhatsApp es obligatorio.');
+
+    const variants = product.variants ?? [];
+
+    if (product.price !== undefined && !isPositive(product.price)) add('price', 'El precio debe ser mayor que 0.');
+    else if (product.price === undefined && !variants.length) add('price', 'Indica el precio en USD.');
+
+    if (product.salePrice !== undefined &&
+        !(isPositive(product.salePrice) && product.salePrice < (product.price ?? Infinity))) {
+        add('salePrice', 'La oferta debe ser mayor que 0 y menor que el precio.');
+    }
+
+    variants.forEach((variant, i) => {
+        const label = `Variante ${variant.id ? `"${variant.id}"` : i + 1}`;
+        const price = variant.price ?? product.conditionPrices?.[variant.condition] ?? product.price;
+
+        if (!variant.id) add('variants', `${label}: falta el ID.`);
+        else if (!ID_PATTERN.test(variant.id)) add('variants', `${label}: el ID solo admite minúsculas, números y guiones.`);
+        else if (variants.some((v, j) => j !== i && v.id === variant.id)) add('variants', `${label}: ID repetido.`);
+
+        if (!isPositive(price)) add('variants', `${label}: sin precio, y el producto no tiene precio base.`);
+        if (variant.salePrice !== undefined && !(isPositive(variant.salePrice) && variant.salePrice < price)) {
+            add('variants', `${label}: la oferta debe ser menor que el precio.`);
+        }
+    });
+
+    /* Last gate: the same check the site runs when it loads the feed */
+    if (!errors.length) {
+        window.PSM.catalog.validateProduct(toFeedProduct(product))
+            .forEach(problem => add('general', problem));
+    }
+
+    return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * @returns {number[]} Indexes of products that can't be exported yet
+ */
+const getInvalidIndexes = () => editor.products
+    .map((product, index) => (validateProduct(product, index).isValid ? -1 : index))
+    .filter(index => index !== -1);
+
+/**
+ * Reads a CSV export and checks it like the editor would, reporting each
+ * problem against the spreadsheet row it came from.
+ * @param {string} text
+ * @returns {{ products: Object[], errors: import('./catalog.csv').RowError[] }}
+ */
+const readCsvImport = (text) => {
+    const parsed = window.PSM.catalogCsv.fromCsv(text, editor.products);
+    const products = parsed.products.map(fromCsvProduct);
+
+    const fieldErrors = products.flatMap((product, index) => validateProduct(product, index, products).errors
+        .map(error => ({ row: parsed.firstRows[product.id], message: `${product.id}: ${error.message}` })));
+
+    const errors = [...parsed.errors, ...fieldErrors].sort((a, b) => a.row - b.row);
+    return { products, errors };
+};
+
+/* --- DOM Layer --- */
+
+/**
+ * Escapes text for use inside HTML attributes and content.
+ * Product names carry quotes ('6.1"'), which would break `value="…"`.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * @param {Object<string, string>} options - value → label
+ * @param {string} selected
+ * @returns {string} <option> list
+ */
+const renderOptions = (options, selected) => Object.entries(options)
+    .map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+
+/** @returns {Object<string, string>} Availability key → label */
+const getAvailabilityLabels = () => Object.fromEntries(
+    Object.entries(window.PSM.AVAILABILITY).map(([key, state]) => [key, state.label])
+);
+
+const renderStatus = () => {
+    const status = document.getElementById('admin-status');
+    if (!status) return;
+
+    const count = editor.products.length;
+    const base = editor.baseUpdatedAt
+        ? ` · catálogo publicado el ${new Date(editor.baseUpdatedAt).toLocaleDateString('es-VE')}`
+        : '';
+    const changes = editor.isDirty ? ' · Cambios sin exportar' : '';
+    status.textContent = `${count} producto${count !== 1 ? 's' : ''}${base}${changes}`;
+
+    document.getElementById('admin-discard').disabled = !editor.isDirty;
+    document.getElementById('admin-export').disabled = count === 0;
+    document.getElementById('csv-export').disabled = count === 0;
+    document.getElementById('csv-import').disabled = false;
+};
+
+const renderList = () => {
+    const list = document.getElementById('admin-list-items');
+    if (!list) return;
+
+    const query = window.PSM.search.normalize(editor.listQuery).trim();
+
+    list.innerHTML = editor.products.map((product, index) => {
+        const haystack = window.PSM.search.normalize(`${product.name} ${product.id}`);
+        if (query && !haystack.includes(query)) return '';
+
+        const { isValid } = validateProduct(product, index);
+        const classes = [
+            'admin-list__item',
+            index === editor.selected ? 'admin-list__item--active' : '',
+            isValid ? '' : 'admin-list__item--invalid'
+        ].filter(Boolean).join(' ');
+
+        return `
+            <li>
+                <button type="button" class="${classes}" data-product-index="${index}">
+                    <span class="admin-list__name">${escapeHtml(product.name) || 'Sin nombre'}</span>
+                    <span class="admin-list__meta">${escapeHtml(product.id) || '—'} · ${CATEGORY_LABELS[product.category] ?? product.category}</span>
+                </button>
+            </li>
+        `;
+    }).join('');
+};
+
+/**
+ * @param {Object} product
+ */
+const renderGallery = (product) => {
+    const gallery = document.getElementById('admin-gallery');
+    if (!gallery) return;
+
+    const last = product.gallery.length - 1;
+    gallery.innerHTML = product.gallery.map((imagePath, index) => `
+        <li class="admin-gallery__item">
+            <img class="admin-gallery__thumb" src="${escapeHtml(imagePath)}" alt="">
+            <code class="admin-gallery__path">${escapeHtml(imagePath)}</code>
+            <div class="admin-gallery__actions">
+                <button type="button" class="admin-icon-btn" data-gallery-action="up" data-gallery-index="${index}" ${index === 0 ? 'disabled' : ''} aria-label="Subir">↑</button>
+                <button type="button" class="admin-icon-btn" data-gallery-action="down" data-gallery-index="${index}" ${index === last ? 'disabled' : ''} aria-label="Bajar">↓</button>
+                <button type="button" class="admin-icon-btn admin-icon-btn--danger" data-gallery-action="remove" data-gallery-index="${index}" aria-label="Quitar">✕</button>
+            </div>
+        </li>
+    `).join('');
+
+    /* A path that doesn't exist shows up as a flagged thumbnail */
+    gallery.querySelectorAll('.admin-gallery__thumb').forEach(img => {
+        img.addEventListener('error', () => img.classList.add('admin-gallery__thumb--broken'), { once: true });
+    });
+};
+
+/**
+ * @param {Object} product
+ */
+const renderVariants = (product) => {
+    const body = document.getElementById('admin-variants-body');
+    if (!body) return;
+
+    const colors = Object.fromEntries((product.colors ?? []).map(c => [c.id, c.label]));
+    const availability = getAvailabilityLabels();
+
+    body.innerHTML = (product.variants ?? []).map((variant, index) => {
+        const inherited = product.conditionPrices?.[variant.condition] ?? product.price;
+        const cell = (field, html) => `<td data-label="${field}">${html}</td>`;
+        const input = (field, type, extra = '') => `
+            <input type="${type}" class="admin-form__input admin-form__input--compact"
+                data-variant-index="${index}" data-variant-field="${field}"
+                value="${escapeHtml(variant[field])}" ${extra}>
+        `;
+        const select = (field, options, value, extra = '') => `
+            <select class="admin-form__select admin-form__select--compact"
+                data-variant-index="${index}" data-variant-field="${field}" ${extra}>
+                ${renderOptions(options, value)}
+            </select>
+        `;
+
+        return `
+            <tr>
+                ${cell('ID', input('id', 'text', 'spellcheck="false" aria-label="ID de la variante"'))}
+                ${cell('Color', select('color', { '': '—', ...colors }, variant.color ?? '',
+                    `aria-label="Color" ${Object.keys(colors).length ? '' : 'disabled'}`))}
+                ${cell('Capacidad', input('storage', 'text', 'placeholder="128GB" aria-label="Capacidad"'))}
+                ${cell('Condición', select('condition', CONDITION_LABELS, variant.condition, 'aria-label="Condición"'))}
+                ${cell('Precio', input('price', 'number', `min="1" step="1" placeholder="${inherited ?? ''}" aria-label="Precio USD"`))}
+                ${cell('Oferta', input('salePrice', 'number', 'min="1" step="1" aria-label="Precio oferta USD"'))}
+                ${cell('Stock', select('availability', availability, variant.availability ?? DEFAULT_AVAILABILITY, 'aria-label="Stock"'))}
+                <td>
+                    <button type="button" class="admin-icon-btn admin-icon-btn--danger" data-variant-remove="${index}" aria-label="Eliminar variante">✕</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+};
+
+/**
+ * Shows the product's errors under each field. Clears the previous ones first.
+ * @param {Object} product
+ */
+const renderValidation = (product) => {
+    const form = document.getElementById('admin-form');
+    if (!form) return;
+
+    form.querySelectorAll('.admin-form__error').forEach(el => { el.textContent = ''; });
+    form.querySelectorAll('.admin-form__input--error').forEach(el => el.classList.remove('admin-form__input--error'));
+
+    const { errors } = validateProduct(product, editor.selected);
+    const listed = { variants: [], general: [] };
+
+    errors.forEach(({ field, message }) => {
+        if (listed[field]) {
+            listed[field].push(message);
+            return;
+        }
+        const errorEl = document.getElementById(`error-${field}`);
+        if (errorEl && !errorEl.textContent) errorEl.textContent = message;
+        document.getElementById(`field-${field}`)?.classList.add('admin-form__input--error');
+    });
+
+    Object.entries(listed).forEach(([field, messages]) => {
+        const listEl = document.getElementById(`error-${field}`);
+        if (listEl) listEl.innerHTML = messages.map(m => `<li>${escapeHtml(m)}</li>`).join('');
+    });
+};
+
+/**
+ * Renders the product card exactly as catalogo.html would.
+ * @param {Object|null} product
+ */
+const renderPreview = (product) => {
+    const preview = document.getElementById('admin-preview');
+    if (!preview) return;
+
+    if (!product) {
+        preview.innerHTML = '';
+        return;
+    }
+
+    if (!product.gallery.length) {
+        preview.innerHTML = '<p class="admin-preview__empty">Agrega una imagen para ver la tarjeta.</p>';
+        return;
+    }
+
+    try {
+        preview.innerHTML = window.PSM.catalogCard.render(toFeedProduct(product));
+    } catch {
+        /* Half-filled products (no price yet, no image…) can't render a card */
+        preview.innerHTML = '<p class="admin-preview__empty">Completa los campos obligatorios para ver la tarjeta.</p>';
+    }
+};
+
+/**
+ * Builds the "Ficha técnica" inputs from PSM.SPEC_GROUPS, once at start-up.
+ * They're regular `data-field` inputs, filled by renderForm like the rest.
+ */
+const renderTechSpecFields = () => {
+    const container = document.getElementById('admin-tech-specs');
+    if (!container) return;
+
+    container.innerHTML = window.PSM.SPEC_GROUPS.map(group => `
+        <div class="admin-specs__group">
+            <h3 class="admin-specs__title">${group.label}</h3>
+            <div class="admin-form__row admin-form__row--thirds">
+                ${group.fields.filter(field => !field.compute).map(field => `
+                    <div class="admin-form__group">
+                        <label class="admin-form__label" for="field-techSpecs-${group.key}-${field.key}">
+                            ${field.label}${field.tag ? ' <span class="admin-form__hint">(etiqueta)</span>' : ''}
+                        </label>
+                        <input type="text" class="admin-form__input" id="field-techSpecs-${group.key}-${field.key}" data-field="techSpecs.${group.key}.${field.key}">
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+};
+
+/**
+ * Builds the model select and the "Compatible con" checkboxes from
+ * PSM.DEVICE_MODELS, once at start-up, one row of checkboxes per series.
+ */
+const renderDeviceFields = () => {
+    const models = window.PSM.DEVICE_MODELS;
+    const series = [...new Set(models.map(model => model.series))];
+
+    const select = document.getElementById('field-deviceModel');
+    if (select) {
+        select.innerHTML = `
+            <option value="">Elige el modelo</option>
+            ${models.map(model => `<option value="${model.id}">${model.label}</option>`).join('')}
+        `;
+    }
+
+    const checklist = document.getElementById('admin-compat');
+    if (!checklist) return;
+
+    checklist.innerHTML = series.map(number => `
+        <div class="admin-compat__series">
+            <span class="admin-compat__label">Serie ${number}</span>
+            ${models.filter(model => model.series === number).map(model => `
+                <label class="admin-compat__model">
+                    <input type="checkbox" data-compat-model="${model.id}">
+                    ${model.label.replace('iPhone ', '')}
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+};
+
+/**
+ * @param {Object} product
+ */
+const renderCompatibility = (product) => {
+    document.querySelectorAll('[data-compat-model]').forEach(box => {
+        box.checked = Boolean(product.compatibleWith?.includes(box.dataset.compatModel));
+    });
+};
+
+/**
+ * Fills the form with the selected product, or shows the empty message.
+ */
+const renderForm = () => {
+    const form  = document.getElementById('admin-form');
+    const empty = document.getElementById('admin-editor-empty');
+    const product = getSelected();
+    if (!form || !empty) return;
+
+    form.hidden = !product;
+    empty.hidden = Boolean(product);
+    if (!product) {
+        renderPreview(null);
+        return;
+    }
+
+    form.querySelectorAll('[data-field]').forEach(field => {
+        const value = readField(product, field.dataset.field);
+        if (['specs', 'boughtTogether'].includes(field.dataset.field)) field.value = (value ?? []).join(', ');
+        else if (field.dataset.field === 'availability') field.value = value ?? DEFAULT_AVAILABILITY;
+        else field.value = value ?? '';
+    });
+
+    syncDependentFields(product);
+    renderCompatibility(product);
+    renderGallery(product);
+    renderVariants(product);
+    renderValidation(product);
+    renderPreview(product);
+};
+
+/**
+ * Fields that only apply in some cases: series and model are iPhone-only,
+ * compatibility is for everything else, and stock is per variant once a
+ * product has variants.
+ * @param {Object} product
+ */
+const syncDependentFields = (product) => {
+    const hasVariants = Boolean(product.variants?.length);
+
+    const isIphone = product.category === 'iphone';
+
+    const series = document.getElementById('field-series');
+    if (series) series.disabled = !isIphone;
+
+    const deviceModel = document.getElementById('field-deviceModel');
+    if (deviceModel) deviceModel.disabled = !isIphone;
+
+    const compat = document.getElementById('field-compatibleWith');
+    if (compat) compat.disabled = isIphone;
+
+    const availability = document.getElementById('field-availability');
+    if (availability) availability.disabled = hasVariants;
+
+    const hint = document.getElementById('price-hint');
+    if (hint) hint.hidden = !hasVariants;
+};
+
+/**
+ * @param {string} title
+ * @param {string} type     - 'added' | 'changed' | 'removed'
+ * @param {Object[]} products
+ * @param {function(Object): string} [describe] - Extra detail per product
+ * @returns {string}
+ */
+const renderImportGroup = (title, type, products, describe = () => '') => {
+    if (!products.length) return '';
+
+    return `
+        <h3 class="admin-import__heading admin-import__heading--${type}">${title}</h3>
+        <ul class="admin-import__list">
+            ${products.map(product => `
+                <li class="admin-import__item">
+                    <span class="admin-list__name">${escapeHtml(product.name) || 'Sin nombre'}</span>
+                    <span class="admin-list__meta">${escapeHtml(product.id)}${describe(product)}</span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+};
+
+/**
+ * Shows the pending CSV import in place of the editor: counts, row
+ * errors and the products it would add, change or remove.
+ */
+const renderImport = () => {
+    const panel = document.getElementById('admin-import');
+    if (!panel) return;
+
+    const pending = editor.pendingImport;
+    panel.hidden = !pending;
+    document.getElementById('admin-layout').hidden = Boolean(pending);
+    if (!pending) return;
+
+    const { diff, errors, products } = pending;
+    const total = diff.added.length + diff.changed.length + diff.removed.length;
+
+    document.getElementById('admin-import-file').textContent =
+        `${pending.fileName} · ${products.length} producto${products.length !== 1 ? 's' : ''}`;
+
+    document.getElementById('admin-import-summary').innerHTML = [
+        ['added',     diff.added.length,   'nuevos'],
+        ['changed',   diff.changed.length, 'modificados'],
+        ['removed',   diff.removed.length, 'eliminados'],
+        ['unchanged', diff.unchanged,      'sin cambios']
+    ].map(([type, count, label]) => `
+        <li class="admin-import__count admin-import__count--${type}"><strong>${count}</strong> ${label}</li>
+    `).join('');
+
+    const errorList = document.getElementById('admin-import-errors');
+    errorList.hidden = !errors.length;
+    errorList.innerHTML = errors.length ? `
+        <h3 class="admin-import__heading admin-import__heading--removed">
+            ${errors.length} error${errors.length !== 1 ? 'es' : ''} — corrige el archivo y vuelve a importarlo
+        </h3>
+        <table class="admin-variants__table">
+            <thead><tr><th scope="col">Fila</th><th scope="col">Problema</th></tr></thead>
+            <tbody>
+                ${errors.map(error => `<tr><td>${error.row}</td><td>${escapeHtml(error.message)}</td></tr>`).join('')}
+            </tbody>
+        </table>
+    ` : '';
+
+    const changedFields = Object.fromEntries(diff.changed.map(entry => [entry.product.id, entry.fields]));
+
+    /* A file that couldn't be read would show the whole catalog as removed */
+    document.getElementById('admin-import-changes').innerHTML = !products.length ? '' : total === 0
+        ? '<p class="admin-editor__empty">El archivo coincide con el catálogo actual.</p>'
+        : [
+            renderImportGroup('Nuevos', 'added', diff.added),
+            renderImportGroup('Modificados', 'changed', diff.changed.map(entry => entry.product),
+                product => ` · ${changedFields[product.id].join(', ')}`),
+            renderImportGroup('Eliminados', 'removed', diff.removed)
+        ].join('');
+
+    document.getElementById('import-apply').disabled = errors.length > 0 || total === 0;
+};
+
+/**
+ * After every edit: autosave, then refresh everything that depends on the data.
+ * The form inputs themselves are left alone so the cursor doesn't jump.
+ */
+const handleEdit = () => {
+    editor.isDirty = true;
+    writeDraft();
+
+    const product = getSelected();
+    if (product) {
+        syncDependentFields(product);
+        renderValidation(product);
+        renderPreview(product);
+    }
+    renderList();
+    renderStatus();
+};
+
+/* --- Event Layer --- */
+
+/**
+ * @param {number} index - Product to open, -1 to close the form
+ */
+const selectProduct = (index) => {
+    editor.selected = index;
+    renderList();
+    renderForm();
+};
+
+/**
+ * Product fields. Category and name drive other fields, so they're synced here.
+ * @param {HTMLInputElement|HTMLSelectElement} field
+ */
+const handleFieldInput = (field) => {
+    const product = getSelected();
+    const key = field.dataset.field;
+    const value = parseFieldValue(key, field.value);
+
+    if (key === 'name' && (!product.waMessage || product.waMessage === defaultWaMessage(product.name))) {
+        product.waMessage = value.trim() ? defaultWaMessage(value) : '';
+        document.getElementById('field-waMessage').value = product.waMessage;
+    }
+
+    if (key === 'category' && value !== 'iphone') {
+        product.series = null;
+        delete product.deviceModel;
+        document.getElementById('field-series').value = '';
+        document.getElementById('field-deviceModel').value = '';
+    }
+
+    if (key === 'category' && value === 'iphone') {
+        delete product.compatibleWith;
+        renderCompatibility(product);
+    }
+
+    if (key.startsWith('techSpecs.')) {
+        const [, group, specField] = key.split('.');
+        const techSpecs = pickTechSpecs({
+            ...product.techSpecs,
+            [group]: { ...product.techSpecs?.[group], [specField]: value }
+        });
+        if (techSpecs) product.techSpecs = techSpecs;
+        else delete product.techSpecs;
+        return;
+    }
+
+    if (value === undefined) delete product[key];
+    else product[key] = value;
+};
+
+/**
+ * "Compatible con" checkbox. The list keeps PSM.DEVICE_MODELS order and is
+ * removed when empty: an accessory without it works with any iPhone.
+ * @param {HTMLInputElement} box
+ */
+const handleCompatInput = (box) => {
+    const product = getSelected();
+    const checked = new Set(product.compatibleWith ?? []);
+    if (box.checked) checked.add(box.dataset.compatModel);
+    else checked.delete(box.dataset.compatModel);
+
+    const compatibleWith = window.PSM.DEVICE_MODELS.map(model => model.id).filter(id => checked.has(id));
+    if (compatibleWith.length) product.compatibleWith = compatibleWith;
+    else delete product.compatibleWith;
+};
+
+/**
+ * @param {HTMLInputElement|HTMLSelectElement} field
+ */
+const handleVariantInput = (field) => {
+    const variant = getSelected().variants[Number(field.dataset.variantIndex)];
+    const key = field.dataset.variantField;
+    const value = parseFieldValue(key, field.value);
+
+    if (value === undefined) delete variant[key];
+    else variant[key] = value;
+};
+
+/**
+ * @param {MouseEvent} e
+ */
+const handleGalleryClick = (e) => {
+    const button = e.target.closest('[data-gallery-action]');
+    if (!button) return;
+
+    const { gallery } = getSelected();
+    const index = Number(button.dataset.galleryIndex);
+    const action = button.dataset.galleryAction;
+
+    if (action === 'remove') {
+        gallery.splice(index, 1);
+    } else {
+        const target = action === 'up' ? index - 1 : index + 1;
+        [gallery[index], gallery[target]] = [gallery[target], gallery[index]];
+    }
+
+    renderGallery(getSelected());
+    handleEdit();
+};
+
+const handleGalleryAdd = () => {
+    const input = document.getElementById('gallery-new');
+    const imagePath = input.value.trim().replace(/^\/+/, '');
+    if (!imagePath) return;
+
+    getSelected().gallery.push(imagePath);
+    input.value = '';
+    renderGallery(getSelected());
+    handleEdit();
+};
+
+const handleVariantAdd = () => {
+    const product = getSelected();
+    product.variants = [...(product.variants ?? []), createVariant(product)];
+
+    /* The variant now owns stock; the product-level value would be ignored */
+    delete product.availability;
+    document.getElementById('field-availability').value = DEFAULT_AVAILABILITY;
+
+    renderVariants(product);
+    handleEdit();
+    document.querySelector(`[data-variant-index="${product.variants.length - 1}"][data-variant-field="id"]`)?.focus();
+};
+
+/**
+ * @param {MouseEvent} e
+ */
+const handleVariantRemove = (e) => {
+    const button = e.target.closest('[data-variant-remove]');
+    if (!button) return;
+
+    const product = getSelected();
+    product.variants.splice(Number(button.dataset.variantRemove), 1);
+    if (!product.variants.length) delete product.variants;
+
+    renderVariants(product);
+    handleEdit();
+};
+
+const handleNewProduct = () => {
+    editor.products.push(createProduct());
+    editor.listQuery = '';
+    document.getElementById('admin-list-search').value = '';
+    selectProduct(editor.products.length - 1);
+    handleEdit();
+    document.getElementById('field-name')?.focus();
+};
+
+const handleDeleteProduct = () => {
+    const product = getSelected();
+    if (!product) return;
+    if (!window.confirm(`¿Eliminar "${product.name || 'Sin nombre'}" del catálogo?`)) return;
+
+    editor.products.splice(editor.selected, 1);
+    selectProduct(Math.min(editor.selected, editor.products.length - 1));
+    handleEdit();
+};
+
+/**
+ * Downloads the working copy as products.json. Blocked while any product
+ * has errors — the site would skip it.
+ */
+const handleExport = () => {
+    const invalid = getInvalidIndexes();
+    if (invalid.length) {
+        selectProduct(invalid[0]);
+        showToast(`Corrige ${invalid.length} producto${invalid.length !== 1 ? 's' : ''} antes de exportar`);
+        return;
+    }
+
+    const feed = {
+        schemaVersion: window.PSM.catalog.SCHEMA_VERSION,
+        updatedAt:     new Date().toISOString(),
+        products:      editor.products.map(toFeedProduct)
+    };
+
+    downloadFile(`${JSON.stringify(feed, null, 4)}\n`, FEED_FILENAME, 'application/json');
+
+    /* The draft is kept until the site serves this file (see loadEditor) */
+    editor.isDirty = false;
+    editor.exportedAt = feed.updatedAt;
+    writeDraft();
+    renderStatus();
+    showToast(`${FEED_FILENAME} descargado — reemplaza data/${FEED_FILENAME} para publicarlo`);
+};
+
+/**
+ * Downloads the working copy for a spreadsheet. Unlike products.json it
+ * isn't blocked by errors: fixing them in bulk is what the CSV is for.
+ */
+const handleCsvExport = () => {
+    const csv = window.PSM.catalogCsv.toCsv(editor.products.map(toFeedProduct));
+    downloadFile(csv, CSV_FILENAME, 'text/csv;charset=utf-8');
+    showToast(`${CSV_FILENAME} descargado`);
+};
+
+/**
+ * Reads the chosen CSV and opens the preview. Nothing changes yet.
+ * @param {File} file
+ */
+const handleCsvFile = (file) => {
+    file.text()
+        .then((text) => {
+            const { products, errors } = readCsvImport(text);
+            editor.pendingImport = {
+                fileName: file.name,
+                products,
+                errors,
+                diff: window.PSM.catalogCsv.diff(editor.products.map(toFeedProduct), products)
+            };
+            renderImport();
+        })
+        .catch(() => showToast(`No se pudo leer ${file.name}`));
+};
+
+const handleImportApply = () => {
+    const pending = editor.pendingImport;
+    if (!pending || pending.errors.length) return;
+
+    editor.products = pending.products;
+    editor.pendingImport = null;
+    editor.listQuery = '';
+    document.getElementById('admin-list-search').value = '';
+
+    renderImport();
+    selectProduct(editor.products.length ? 0 : -1);
+    handleEdit();
+    showToast(`Catálogo reemplazado con ${pending.fileName} — descarga ${FEED_FILENAME} para publicarlo`);
+};
+
+const handleImportCancel = () => {
+    editor.pendingImport = null;
+    renderImport();
+};
+
+const handleDiscard = () => {
+    if (!window.confirm('¿Descartar todos los cambios y volver al catálogo publicado?')) return;
+
+    clearDraft();
+    startEditing(window.PSM.PRODUCTS);
+    showToast('Cambios descartados');
+};
+
+/**
+ * Wires all event listeners. Form fields are delegated to the form, which
+ * survives product switches; list, gallery and variants are re-rendered.
+ */
+const bindEvents = () => {
+    const form = document.getElementById('admin-form');
+    if (form) {
+        form.addEventListener('input', (e) => {
+            if (!getSelected()) return;
+            if (e.target.dataset.field) handleFieldInput(e.target);
+            else if (e.target.dataset.variantField) handleVariantInput(e.target);
+            else if (e.target.dataset.compatModel) handleCompatInput(e.target);
+            else return;
+            handleEdit();
+        });
+        form.addEventListener('submit', (e) => e.preventDefault());
+    }
+
+    document.getElementById('admin-list-items')?.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-product-index]');
+        if (item) selectProduct(Number(item.dataset.productIndex));
+    });
+
+    document.getElementById('admin-list-search')?.addEventListener('input', (e) => {
+        editor.listQuery = e.target.value;
+        renderList();
+    });
+
+    document.getElementById('admin-gallery')?.addEventListener('click', handleGalleryClick);
+    document.getElementById('gallery-add')?.addEventListener('click', handleGalleryAdd);
+    document.getElementById('gallery-new')?.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        handleGalleryAdd();
+    });
+
+    document.getElementById('variant-add')?.addEventListener('click', handleVariantAdd);
+    document.getElementById('admin-variants-body')?.addEventListener('click', handleVariantRemove);
+
+    document.getElementById('admin-new')?.addEventListener('click', handleNewProduct);
+    document.getElementById('admin-delete')?.addEventListener('click', handleDeleteProduct);
+    document.getElementById('admin-export')?.addEventListener('click', handleExport);
+    document.getElementById('admin-discard')?.addEventListener('click', handleDiscard);
+
+    document.getElementById('csv-export')?.addEventListener('click', handleCsvExport);
+    document.getElementById('csv-import')?.addEventListener('click', () => {
+        document.getElementById('csv-import-file')?.click();
+    });
+    document.getElementById('csv-import-file')?.addEventListener('change', (e) => {
+        const [file] = e.target.files;
+        if (file) handleCsvFile(file);
+        e.target.value = ''; /* choosing the same file again still fires */
+    });
+    document.getElementById('import-cancel')?.addEventListener('click', handleImportCancel);
+    document.getElementById('import-apply')?.addEventListener('click', handleImportApply);
+    document.getElementById('admin-retry')?.addEventListener('click', loadEditor);
+
+    /* The preview is a real catalog card — keep its links and buttons inert */
+    document.getElementById('admin-preview')?.addEventListener('click', (e) => e.preventDefault());
+};
+
+/* --- Utility --- */
+
+/**
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} type - MIME type
+ */
+const downloadFile = (content, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Toast notification — white on dark, same as the catalog.
+ * @param {string} message
+ */
+const showToast = (message) => {
+    const existing = document.getElementById('psm-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'psm-toast';
+    toast.textContent = message;
+    toast.style.cssText = `
+        position: fixed; bottom: 2rem; left: 50%; transform: translateX(-50%);
+        background: #ffffff; color: #000; padding: 0.75rem 1.5rem;
+        border-radius: 9999px; font-size: 0.875rem; font-weight: 500;
+        z-index: 9999; opacity: 0; transition: opacity 300ms ease;
+        pointer-events: none; font-family: var(--font-family);
+    `;
+
+    document.body.appendChild(toast);
+    requestAnimationFrame(() => { toast.style.opacity = '1'; });
+    setTimeout(() => {
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 300);
+    }, 3500);
+};
+
+/* --- Init --- */
+
+/**
+ * Replaces the working copy and opens the first product.
+ * @param {Object[]} products
+ * @param {boolean} [isDirty]
+ */
+const startEditing = (products, isDirty = false) => {
+    editor.products = clone(products);
+    editor.isDirty = isDirty;
+    editor.exportedAt = null;
+    editor.baseUpdatedAt = window.PSM.catalog.getUpdatedAt();
+    editor.pendingImport = null;
+    renderImport();
+    selectProduct(editor.products.length ? 0 : -1);
+    renderStatus();
+};
+
+/**
+ * Loads the published catalog, or resumes the autosaved draft.
+ * "Reintentar" calls this again if the feed fails.
+ */
+const loadEditor = () => {
+    const layout = document.getElementById('admin-layout');
+    const errorState = document.getElementById('admin-error');
+    errorState.hidden = true;
+
+    window.PSM.catalog.load()
+        .then((products) => {
+            layout.hidden = false;
+            const draft = readDraft();
+            const isPublished = draft && !draft.isDirty &&
+                draft.exportedAt === window.PSM.catalog.getUpdatedAt();
+
+            if (!draft || isPublished) {
+                clearDraft();
+                startEditing(products);
+                return;
+            }
+
+            startEditing(draft.products, draft.isDirty);
+            editor.baseUpdatedAt = draft.baseUpdatedAt;
+            editor.exportedAt = draft.exportedAt ?? null;
+            renderStatus();
+
+            const isStale = draft.baseUpdatedAt !== window.PSM.catalog.getUpdatedAt();
+            showToast(isStale
+                ? 'Borrador restaurado — ojo: el catálogo publicado cambió desde entonces'
+                : 'Borrador restaurado');
+        })
+        .catch(() => {
+            document.getElementById('admin-status').textContent = 'Sin catálogo';
+            errorState.hidden = false;
+        });
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('field-availability').innerHTML =
+        renderOptions(getAvailabilityLabels(), DEFAULT_AVAILABILITY);
+    renderTechSpecFields();
+    renderDeviceFields();
+
+    bindEvents();
+    loadEditor();
+});
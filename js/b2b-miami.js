@@ -236,14 +236,13 @@ const handleAnchorClick = (e) => {
 };
 
 /**
- * Handles pending page links (cart, login) with toast.
+ * Handles pending page links (login) with toast.
  */
 const bindPendingPages = () => {
     document.querySelectorAll('[data-page-pending]').forEach(link => {
         link.addEventListener('click', (e) => {
             e.preventDefault();
-            const label = link.dataset.pagePending === 'cart' ? 'Carrito' : 'Mi cuenta';
-            showToast(`${label} — Próximamente`);
+            showToast('Mi cuenta — Próximamente');
         });
     });
 };
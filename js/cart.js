@@ -0,0 +1,522 @@
+/**
+ * Phone Store Maracaibo — Cart Page
+ * Flow: wait for the catalog feed → read cart store → resolve lines
+ * against PRODUCTS → render.
+ * Every quantity change goes through window.PSM.cart, which persists it
+ * and fires `psm:cartchange`; the page simply re-renders on that event.
+ *
+ * Checkout: validate form → assign reference code → WA message → redirect.
+ * Same closing channel as the B2B form: no payment is processed on the web,
+ * the sales team receives a complete, structured order instead.
+ *
+ * Data dependency: products.data.js, currency.js and cart.store.js must load first.
+ */
+
+'use strict';
+
+/* --- Constants --- */
+
+const WHATSAPP_NUMBER   = '584146395496';
+const WHATSAPP_BASE     = 'https://wa.me/';
+const ORDERS_KEY        = 'psm:orders';
+const MAX_SAVED_ORDERS  = 20;
+
+/** No 0/O or 1/I/L, so a code read aloud over the phone can't be misheard */
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const REFERENCE_LENGTH   = 6;
+
+/** Fulfillment options and how they read in the order message */
+const FULFILLMENT_LABELS = {
+    'delivery':         'Delivery',
+    'pickup-maracaibo': 'Retiro en tienda — Maracaibo',
+    'pickup-miami':     'Retiro en tienda — Miami'
+};
+
+/** Required checkout fields. `when` limits a field to some fulfillment options. */
+const CHECKOUT_FIELDS = [
+    { id: 'checkout-name',    label: 'nombre completo',      errorId: 'checkout-error-name'    },
+    { id: 'checkout-phone',   label: 'teléfono',             errorId: 'checkout-error-phone'   },
+    { id: 'checkout-address', label: 'dirección de entrega', errorId: 'checkout-error-address', when: ['delivery'] },
+    { id: 'checkout-payment', label: 'método de pago',       errorId: 'checkout-error-payment' }
+];
+
+/** Last order sent from this page view; replaces the empty state once the cart clears */
+let lastOrder = null;
+
+/* --- Data Layer: Checkout --- */
+
+/**
+ * @typedef {Object} CheckoutData
+ * @property {string} name
+ * @property {string} phone
+ * @property {string} fulfillment - Key of FULFILLMENT_LABELS
+ * @property {string} address     - Empty for store pickup
+ * @property {string} payment
+ * @property {string} notes
+ */
+
+/**
+ * Reads and trims a field value by ID.
+ * @param {string} fieldId
+ * @returns {string}
+ */
+const getFieldValue = (fieldId) => {
+    const el = document.getElementById(fieldId);
+    return el ? el.value.trim() : '';
+};
+
+/**
+ * @returns {string} Selected fulfillment option
+ */
+const getFulfillment = () =>
+    document.querySelector('#checkout-form input[name="fulfillment"]:checked')?.value ?? 'delivery';
+
+/**
+ * Reads the checkout form into a plain object.
+ * @returns {CheckoutData}
+ */
+const extractCheckoutData = () => {
+    const fulfillment = getFulfillment();
+    return {
+        name:        getFieldValue('checkout-name'),
+        phone:       getFieldValue('checkout-phone'),
+        fulfillment,
+        address:     fulfillment === 'delivery' ? getFieldValue('checkout-address') : '',
+        payment:     getFieldValue('checkout-payment'),
+        notes:       getFieldValue('checkout-notes')
+    };
+};
+
+/**
+ * Validates required fields, plus a loose phone check
+ * (local "0414…" and international "+58…"/"+1…" numbers both pass).
+ * @param {CheckoutData} data
+ * @returns {{ isValid: boolean, errors: Object[] }}
+ */
+const validateCheckout = (data) => {
+    const errors = CHECKOUT_FIELDS
+        .filter(field => !field.when || field.when.includes(data.fulfillment))
+        .filter(field => !getFieldValue(field.id))
+        .map(field => ({
+            fieldId: field.id,
+            errorId: field.errorId,
+            message: `El campo "${field.label}" es requerido.`
+        }));
+
+    const phoneDigits = data.phone.replace(/\D/g, '');
+    if (data.phone && (phoneDigits.length < 10 || phoneDigits.length > 15)) {
+        errors.push({
+            fieldId: 'checkout-phone',
+            errorId: 'checkout-error-phone',
+            message: 'Ingresa un teléfono válido, con código de área.'
+        });
+    }
+
+    return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * Generates a short order reference, e.g. "PSM-7K3QXW".
+ * Codes are created on the customer's device and travel inside the
+ * WhatsApp message, so sales can match a chat to an order without a backend.
+ * @returns {string}
+ */
+const generateReferenceCode = () => {
+    const values = new Uint32Array(REFERENCE_LENGTH);
+    if (window.crypto?.getRandomValues) {
+        window.crypto.getRandomValues(values);
+    } else {
+        values.forEach((_, i) => { values[i] = Math.floor(Math.random() * 0xffffffff); });
+    }
+
+    const code = Array.from(values, value => REFERENCE_ALPHABET[value % REFERENCE_ALPHABET.length]).join('');
+    return `PSM-${code}`;
+};
+
+/**
+ * Keeps a local copy of sent orders so the reference survives a reload.
+ * Newest first, capped at MAX_SAVED_ORDERS.
+ * @param {Object} order
+ */
+const saveOrder = (order) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ORDERS_KEY));
+        const orders = Array.isArray(saved) ? saved : [];
+        localStorage.setItem(ORDERS_KEY, JSON.stringify([order, ...orders].slice(0, MAX_SAVED_ORDERS)));
+    } catch {
+        /* Storage unavailable — the code still travels in the WhatsApp message */
+    }
+};
+
+/**
+ * Builds the order message for the sales team.
+ * Amounts are always listed in USD (the price of record); when the
+ * customer is browsing in bolívares the converted total is added below.
+ * @param {string} reference
+ * @param {CheckoutData} data
+ * @param {Object[]} lines - CartLine[] from cart.store.js
+ * @returns {string}
+ */
+const buildOrderMessage = (reference, data, lines) => {
+    const usd = (amount) => window.PSM.currency.format(amount, 'USD');
+    const total = lines.reduce((sum, line) => sum + line.subtotal, 0);
+    const showBolivares = window.PSM.currency.getCurrency() === 'VES';
+
+    const items = lines.map(({ product, quantity, unitPrice, subtotal }) => {
+        const name = product.variantLabel ? `${product.name} (${product.variantLabel})` : product.name;
+        const availability = window.PSM.resolveAvailability(product);
+        const note = availability.inStock ? '' : ` [${availability.label}]`;
+        return `• ${quantity} × ${name} — ${usd(unitPrice)} c/u = ${usd(subtotal)}${note}`;
+    });
+
+    const messageLines = [
+        `🛒 *PEDIDO WEB — Phone Store Maracaibo*`,
+        `🔖 *Referencia:* ${reference}`,
+        ``,
+        `👤 *Nombre:* ${data.name}`,
+        `📱 *Teléfono:* ${data.phone}`,
+        ``,
+        `📦 *Productos:*`,
+        ...items,
+        ``,
+        `💰 *Total:* ${usd(total)}`,
+        showBolivares ? `   ≈ ${window.PSM.currency.format(total, 'VES')} (${window.PSM.currency.describeRate()})` : null,
+        ``,
+        `🚚 *Entrega:* ${FULFILLMENT_LABELS[data.fulfillment]}`,
+        data.address ? `📍 *Dirección:* ${data.address}`  : null,
+        `💳 *Método de pago:* ${data.payment}`,
+        data.notes   ? `💬 *Comentarios:*\n${data.notes}` : null,
+        ``,
+        `_Pedido enviado desde phonestoreca.com/cart_`
+    ];
+
+    return messageLines
+        .filter(line => line !== null)
+        .join('\n');
+};
+
+/**
+ * @param {string} message
+ * @returns {string} URL-encoded WhatsApp link
+ */
+const buildWaUrl = (message) => `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`;
+
+/* --- DOM Layer --- */
+
+/**
+ * Builds the product link for a line, keeping the picked variant.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {string}
+ */
+const buildProductUrl = (product) =>
+    `producto.html?id=${product.parentId}${product.variantId ? `&variant=${product.variantId}` : ''}`;
+
+/**
+ * Renders a single cart line.
+ * @param {Object} line - CartLine from cart.store.js
+ * @returns {string} HTML string
+ */
+const renderLine = (line) => {
+    const { key, product, quantity, unitPrice, subtotal, canOrder } = line;
+    const format = window.PSM.formatPrice;
+    const url = buildProductUrl(product);
+    const availability = window.PSM.resolveAvailability(product);
+
+    return `
+        <li class="cart-line" data-line-key="${key}">
+            <a href="${url}" class="cart-line__image">
+                <img src="${product.gallery[0]}" alt="${product.name}" loading="lazy">
+            </a>
+
+            <div class="cart-line__info">
+                <a href="${url}" class="cart-line__name">${product.name}</a>
+                ${product.variantLabel ? `<span class="cart-line__variant">${product.variantLabel}</span>` : ''}
+                <span class="cart-line__unit">${format(unitPrice)} c/u</span>
+                ${availability.inStock ? '' : `<span class="cart-line__availability">${availability.label}</span>`}
+            </div>
+
+            <div class="cart-line__qty">
+                <button type="button" class="cart-line__qty-btn" data-cart-action="decrement" aria-label="Quitar una unidad" ${quantity <= 1 ? 'disabled' : ''}>−</button>
+                <input
+                    type="number"
+                    class="cart-line__qty-input"
+                    data-cart-action="set"
+                    min="1"
+                    max="${window.PSM.cart.MAX_QUANTITY}"
+                    value="${quantity}"
+                    aria-label="Cantidad de ${product.name}"
+                >
+                <button type="button" class="cart-line__qty-btn" data-cart-action="increment" aria-label="Agregar una unidad" ${quantity >= window.PSM.cart.MAX_QUANTITY ? 'disabled' : ''}>+</button>
+            </div>
+
+            <span class="cart-line__subtotal">${canOrder ? format(subtotal) : '—'}</span>
+
+            <button type="button" class="cart-line__remove" data-cart-action="remove" aria-label="Eliminar ${product.name} del carrito">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                    <path d="M18 6 6 18M6 6l12 12"/>
+                </svg>
+            </button>
+        </li>
+    `;
+};
+
+/**
+ * Renders the whole cart: lines, summary, or the empty state.
+ */
+const renderCart = () => {
+    const layout       = document.getElementById('cart-layout');
+    const emptyState   = document.getElementById('cart-empty');
+    const confirmation = document.getElementById('cart-confirmation');
+    const linesList    = document.getElementById('cart-lines');
+    const countLabel   = document.getElementById('cart-count-label');
+
+    if (!layout || !emptyState || !linesList) return;
+    /* Cart or currency events can fire before the feed is in — nothing to resolve yet */
+    if (window.PSM.catalog.getStatus() !== 'ready') return;
+
+    const lines = window.PSM.cart.getLines();
+    const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+    /* Sold-out lines stay visible so the customer can remove them, but aren't priced */
+    const orderable = lines.filter(line => line.canOrder);
+    const total = orderable.reduce((sum, line) => sum + line.subtotal, 0);
+    const hasSoldOut = orderable.length !== lines.length;
+
+    countLabel.textContent = `${units} producto${units !== 1 ? 's' : ''}`;
+
+    if (lines.length === 0) {
+        layout.hidden = true;
+        linesList.innerHTML = '';
+        /* Right after checkout the cart is empty on purpose — show the reference instead */
+        emptyState.hidden = Boolean(lastOrder);
+        if (confirmation) confirmation.hidden = !lastOrder;
+        return;
+    }
+
+    emptyState.hidden = true;
+    if (confirmation) confirmation.hidden = true;
+    layout.hidden = false;
+    linesList.innerHTML = lines.map(renderLine).join('');
+
+    document.getElementById('cart-summary-units').textContent = orderable.reduce((sum, line) => sum + line.quantity, 0);
+    document.getElementById('cart-summary-total').textContent = window.PSM.formatPrice(total);
+    document.getElementById('cart-summary-sold-out').hidden = !hasSoldOut;
+    document.getElementById('cart-checkout-btn').disabled = hasSoldOut;
+};
+
+/**
+ * Renders validation errors next to each invalid field.
+ * @param {Object[]} errors
+ */
+const showErrors = (errors) => {
+    errors.forEach(({ fieldId, errorId, message }) => {
+        document.getElementById(fieldId)?.classList.add('checkout-form__input--error');
+        const errorEl = document.getElementById(errorId);
+        if (errorEl) errorEl.textContent = message;
+    });
+};
+
+/**
+ * Clears all error states from the checkout form.
+ */
+const clearErrors = () => {
+    CHECKOUT_FIELDS.forEach(({ id, errorId }) => {
+        document.getElementById(id)?.classList.remove('checkout-form__input--error');
+        const errorEl = document.getElementById(errorId);
+        if (errorEl) errorEl.textContent = '';
+    });
+};
+
+/**
+ * Shows the address field only for delivery orders.
+ */
+const syncAddressField = () => {
+    const group = document.getElementById('checkout-address-group');
+    if (group) group.hidden = getFulfillment() !== 'delivery';
+};
+
+/**
+ * Fills the confirmation panel for the order just sent.
+ * @param {{ reference: string, waUrl: string }} order
+ */
+const renderConfirmation = ({ reference, waUrl }) => {
+    const code = document.getElementById('cart-confirmation-code');
+    const waLink = document.getElementById('cart-confirmation-wa');
+    if (code) code.textContent = reference;
+    if (waLink) waLink.href = waUrl;
+};
+
+/* --- Event Layer --- */
+
+/**
+ * Handles the −, + and remove buttons of every line.
+ * Delegated to the list because lines are re-rendered on each change.
+ * @param {MouseEvent} e
+ */
+const handleLineClick = (e) => {
+    const control = e.target.closest('[data-cart-action]');
+    if (!control || control.dataset.cartAction === 'set') return;
+
+    const line = control.closest('[data-line-key]');
+    if (!line) return;
+
+    const key = line.dataset.lineKey;
+    const current = window.PSM.cart.getLines().find(l => l.key === key);
+    if (!current) return;
+
+    const ACTIONS = {
+        increment: () => window.PSM.cart.setQuantity(key, current.quantity + 1),
+        decrement: () => window.PSM.cart.setQuantity(key, current.quantity - 1),
+        remove:    () => window.PSM.cart.remove(key)
+    };
+
+    ACTIONS[control.dataset.cartAction]?.();
+};
+
+/**
+ * Commits a typed quantity. Uses `change`, not `input`, so the list
+ * doesn't re-render under the cursor while the customer is typing.
+ * @param {Event} e
+ */
+const handleQuantityChange = (e) => {
+    const input = e.target.closest('[data-cart-action="set"]');
+    if (!input) return;
+
+    const line = input.closest('[data-line-key]');
+    if (!line) return;
+
+    window.PSM.cart.setQuantity(line.dataset.lineKey, input.value);
+};
+
+/**
+ * Reveals the checkout step and moves focus to its first field.
+ */
+const handleCheckoutOpen = () => {
+    const checkout = document.getElementById('cart-checkout');
+    if (!checkout) return;
+
+    checkout.hidden = false;
+    syncAddressField();
+    checkout.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    document.getElementById('checkout-name')?.focus({ preventScroll: true });
+};
+
+/**
+ * Handles checkout submission.
+ * Pipeline: extract → validate → reference code → WA URL → save → redirect → clear cart.
+ * A line that sold out since it was added blocks the order until it's removed.
+ * @param {SubmitEvent} e
+ */
+const handleCheckoutSubmit = (e) => {
+    e.preventDefault();
+
+    clearErrors();
+
+    const data = extractCheckoutData();
+    const { isValid, errors } = validateCheckout(data);
+
+    if (!isValid) {
+        showErrors(errors);
+        const firstField = document.getElementById(errors[0].fieldId);
+        firstField?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        firstField?.focus();
+        return;
+    }
+
+    const lines = window.PSM.cart.getLines();
+    if (lines.length === 0) return;
+    if (lines.some(line => !line.canOrder)) {
+        renderCart();
+        document.getElementById('cart-summary-sold-out').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
+
+    const reference = generateReferenceCode();
+    const waUrl = buildWaUrl(buildOrderMessage(reference, data, lines));
+
+    saveOrder({
+        reference,
+        createdAt: new Date().toISOString(),
+        fulfillment: data.fulfillment,
+        payment: data.payment,
+        items: window.PSM.cart.getItems(),
+        totalUsd: lines.reduce((sum, line) => sum + line.subtotal, 0)
+    });
+
+    window.open(waUrl, '_blank', 'noopener,noreferrer');
+
+    lastOrder = { reference, waUrl };
+    renderConfirmation(lastOrder);
+    e.target.reset();
+    document.getElementById('cart-checkout').hidden = true;
+    window.PSM.cart.clear();
+};
+
+/**
+ * Clears a field's error as soon as the customer edits it.
+ * @param {InputEvent} e
+ */
+const handleCheckoutInput = (e) => {
+    const field = e.target;
+
+    if (field.name === 'fulfillment') syncAddressField();
+    if (!field.classList.contains('checkout-form__input--error')) return;
+
+    field.classList.remove('checkout-form__input--error');
+    const match = CHECKOUT_FIELDS.find(f => f.id === field.id);
+    const errorEl = match && document.getElementById(match.errorId);
+    if (errorEl) errorEl.textContent = '';
+};
+
+/**
+ * Wires all event listeners.
+ */
+const bindEvents = () => {
+    const linesList = document.getElementById('cart-lines');
+    if (linesList) {
+        linesList.addEventListener('click', handleLineClick);
+        linesList.addEventListener('change', handleQuantityChange);
+    }
+
+    const clearBtn = document.getElementById('cart-clear');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            if (window.confirm('¿Vaciar el carrito?')) window.PSM.cart.clear();
+        });
+    }
+
+    document.getElementById('cart-checkout-btn')?.addEventListener('click', handleCheckoutOpen);
+
+    const checkoutForm = document.getElementById('checkout-form');
+    if (checkoutForm) {
+        checkoutForm.addEventListener('submit', handleCheckoutSubmit);
+        checkoutForm.addEventListener('input', handleCheckoutInput);
+        checkoutForm.addEventListener('change', handleCheckoutInput);
+    }
+
+    document.addEventListener(window.PSM.cart.CHANGE_EVENT, renderCart);
+    document.addEventListener(window.PSM.currency.CHANGE_EVENT, renderCart);
+
+    document.getElementById('cart-retry')?.addEventListener('click', loadCart);
+};
+
+/**
+ * Renders once the catalog feed is in — lines need its names and prices.
+ * If the feed fails, shows the error state; "Reintentar" calls this again.
+ */
+const loadCart = () => {
+    const errorState = document.getElementById('cart-error');
+    if (errorState) errorState.hidden = true;
+
+    window.PSM.catalog.load()
+        .then(renderCart)
+        .catch(() => {
+            if (errorState) errorState.hidden = false;
+        });
+};
+
+/* --- Init --- */
+
+document.addEventListener('DOMContentLoaded', () => {
+    bindEvents();
+    loadCart();
+});
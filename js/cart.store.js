@@ -0,0 +1,229 @@
+/**
+ * Phone Store Maracaibo — Shared Cart Store
+ * Cart state persisted in localStorage so it survives page changes.
+ * Loaded on every page with a nav cart icon; the badge updates itself.
+ *
+ * Only IDs and quantities are stored. Names, images and prices are
+ * resolved from window.PSM.PRODUCTS when rendering, so a price change
+ * never leaves a stale amount in someone's cart.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.cart = (() => {
+
+    /* --- Constants --- */
+
+    const STORAGE_KEY  = 'psm:cart';
+    const CHANGE_EVENT = 'psm:cartchange';
+    const MAX_QUANTITY = 10;
+
+    /**
+     * @typedef {Object} CartItem
+     * @property {string}      productId - Parent product ID
+     * @property {string|null} variantId - Variant ID, null for products without variants
+     * @property {number}      quantity
+     */
+
+    /**
+     * @typedef {Object} CartLine
+     * @property {string}  key       - Stable line identifier (product + variant)
+     * @property {Object}  product   - Variant view from PSM.resolveVariant
+     * @property {number}  quantity
+     * @property {number}  unitPrice - Current USD price
+     * @property {number}  subtotal  - unitPrice × quantity, USD
+     * @property {boolean} canOrder  - False once the product or variant sells out
+     */
+
+    /* --- Persistence --- */
+
+    /**
+     * @returns {CartItem[]}
+     */
+    const readItems = () => {
+        try {
+            const items = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(items) ? items : [];
+        } catch {
+            return [];
+        }
+    };
+
+    /**
+     * Saves items and notifies listeners on this page.
+     * Other tabs are notified by the browser's `storage` event.
+     * @param {CartItem[]} items
+     */
+    const writeItems = (items) => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+        } catch {
+            /* Storage unavailable — cart lives only until reload */
+        }
+        announceChange(items);
+    };
+
+    /* --- Data Layer --- */
+
+    /**
+     * @param {string} productId
+     * @param {string|null} variantId
+     * @returns {string}
+     */
+    const lineKey = (productId, variantId) => `${productId}::${variantId ?? ''}`;
+
+    /**
+     * @param {number} quantity
+     * @returns {number} Integer between 1 and MAX_QUANTITY
+     */
+    const clampQuantity = (quantity) =>
+        Math.min(MAX_QUANTITY, Math.max(1, Math.floor(Number(quantity)) || 1));
+
+    /** @returns {CartItem[]} */
+    const getItems = () => readItems();
+
+    /** @returns {number} Total units in the cart */
+    const getCount = () => readItems().reduce((sum, item) => sum + item.quantity, 0);
+
+    /**
+     * Adds units of a product/variant, merging with an existing line.
+     * Sold-out products are refused.
+     * @param {string} productId
+     * @param {string|null} [variantId]
+     * @param {number} [quantity]
+     * @returns {boolean} False when nothing was added
+     */
+    const add = (productId, variantId = null, quantity = 1) => {
+        const product = window.PSM.findProductById(productId);
+        const view = product && window.PSM.resolveVariant(product, window.PSM.findVariant(product, variantId));
+        if (!view || !window.PSM.resolveAvailability(view).canOrder) return false;
+
+        const items = readItems();
+        const key = lineKey(productId, variantId);
+        const existing = items.find(item => lineKey(item.productId, item.variantId) === key);
+
+        if (existing) {
+            existing.quantity = clampQuantity(existing.quantity + quantity);
+        } else {
+            items.push({ productId, variantId, quantity: clampQuantity(quantity) });
+        }
+        writeItems(items);
+        return true;
+    };
+
+    /**
+     * @param {string} key - Line key from CartLine
+     * @param {number} quantity
+     */
+    const setQuantity = (key, quantity) => {
+        const items = readItems().map(item =>
+            lineKey(item.productId, item.variantId) === key
+                ? { ...item, quantity: clampQuantity(quantity) }
+                : item
+        );
+        writeItems(items);
+    };
+
+    /**
+     * @param {string} key - Line key from CartLine
+     */
+    const remove = (key) => {
+        writeItems(readItems().filter(item => lineKey(item.productId, item.variantId) !== key));
+    };
+
+    const clear = () => writeItems([]);
+
+    /**
+     * Resolves stored items against the catalog.
+     * Items whose product or variant no longer exists are dropped from storage.
+     * Requires products.data.js, and the catalog feed loaded — call it
+     * after PSM.catalog.ready().
+     * @returns {CartLine[]}
+     */
+    const getLines = () => {
+        const items = readItems();
+        const lines = [];
+        const valid = [];
+
+        items.forEach(item => {
+            const product = window.PSM.findProductById(item.productId);
+            if (!product) return;
+
+            const variant = window.PSM.findVariant(product, item.variantId);
+            if (item.variantId && variant?.id !== item.variantId) return;
+
+            const view = window.PSM.resolveVariant(product, variant);
+            const unitPrice = window.PSM.resolvePrice(view).current;
+
+            valid.push(item);
+            lines.push({
+                key:       lineKey(item.productId, item.variantId),
+                product:   view,
+                quantity:  item.quantity,
+                unitPrice,
+                subtotal:  unitPrice * item.quantity,
+                canOrder:  window.PSM.resolveAvailability(view).canOrder
+            });
+        });
+
+        /* Never prune against a catalog that hasn't loaded — it would empty the cart */
+        const catalogReady = window.PSM.catalog?.getStatus() === 'ready';
+        if (catalogReady && valid.length !== items.length) writeItems(valid);
+        return lines;
+    };
+
+    /**
+     * @returns {number} Cart total in USD, sold-out lines left out
+     */
+    const getTotal = () => getLines()
+        .filter(line => line.canOrder)
+        .reduce((sum, line) => sum + line.subtotal, 0);
+
+    /* --- DOM Layer --- */
+
+    /**
+     * Updates every nav badge (`[data-cart-count]`) with the unit count.
+     * @param {CartItem[]} items
+     */
+    const renderBadges = (items) => {
+        const count = items.reduce((sum, item) => sum + item.quantity, 0);
+        document.querySelectorAll('[data-cart-count]').forEach(badge => {
+            badge.textContent = count > 9 ? '9+' : String(count);
+            badge.hidden = count === 0;
+        });
+    };
+
+    /**
+     * @param {CartItem[]} items
+     */
+    const announceChange = (items) => {
+        renderBadges(items);
+        document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { count: getCount() } }));
+    };
+
+    const init = () => {
+        renderBadges(readItems());
+
+        /* Keep badges and open cart pages in sync across tabs */
+        window.addEventListener('storage', (e) => {
+            if (e.key === STORAGE_KEY) announceChange(readItems());
+        });
+    };
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    return {
+        CHANGE_EVENT,
+        MAX_QUANTITY,
+        getItems,
+        getCount,
+        add,
+        setQuantity,
+        remove,
+        clear,
+        getLines,
+        getTotal
+    };
+})();
@@ -0,0 +1,231 @@
+/**
+ * Phone Store Maracaibo — Catalog Card
+ * Renders the product card of the catalog grid. Shared with the admin
+ * editor, whose preview has to match the live catalog exactly.
+ *
+ * Load order: products.data.js → search.js → catalog.card.js → page script.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.catalogCard = (() => {
+
+    /* --- Constants --- */
+
+    const WHATSAPP_NUMBER = '584146395496';
+    const WHATSAPP_BASE = 'https://wa.me/';
+    const ANIMATION_STAGGER_MS = 60;
+
+    /* --- Render --- */
+
+    /**
+     * Builds the badges for a product card: condition (or category for
+     * non-iPhones), plus availability when the item isn't simply in stock.
+     * @param {Product} product
+     * @returns {{ cssClass: string, label: string }[]}
+     */
+    const resolveBadge = (product) => {
+        const MAP = {
+            nuevo: { cssClass: 'catalog-card__badge--new', label: 'Nuevo' },
+            certificado: { cssClass: 'catalog-card__badge--certified', label: 'Certificado' },
+            accesorio: { cssClass: 'catalog-card__badge--accessory', label: 'Accesorio' },
+            repuesto: { cssClass: 'catalog-card__badge--accessory', label: 'Repuesto' }
+        };
+
+        const AVAILABILITY_CLASSES = {
+            'pocas-unidades': 'catalog-card__badge--low-stock',
+            'por-encargo':    'catalog-card__badge--on-order',
+            'agotado':        'catalog-card__badge--sold-out'
+        };
+
+        const badges = [product.category !== 'iphone' ? MAP[product.category] : MAP[product.condition]];
+
+        const availability = window.PSM.getAvailability(product);
+        if (AVAILABILITY_CLASSES[availability]) {
+            badges.push({
+                cssClass: AVAILABILITY_CLASSES[availability],
+                label: window.PSM.AVAILABILITY[availability].label
+            });
+        }
+
+        return badges;
+    };
+
+    /**
+     * Renders the price block for a card. Sales show "antes" crossed out
+     * next to the "ahora" price. Products whose variants are priced
+     * differently show the lowest price as "Desde".
+     * @param {Product} product
+     * @returns {string} HTML string
+     */
+    const renderPrice = (product) => {
+        const range = window.PSM.getPriceRange(product);
+        if (range.min !== range.max) {
+            return `<div class="catalog-card__price"><span class="catalog-card__price-old">Desde</span><span class="catalog-card__price-now">${window.PSM.formatPrice(range.min)}</span></div>`;
+        }
+
+        const { current, previous, isSale } = window.PSM.resolvePrice(window.PSM.resolveVariant(product));
+
+        if (!isSale) {
+            return `<div class="catalog-card__price"><span class="catalog-card__price-now">${window.PSM.formatPrice(current)}</span></div>`;
+        }
+
+        return `
+            <div class="catalog-card__price catalog-card__price--sale">
+                <span class="catalog-card__price-old">Antes <s>${window.PSM.formatPrice(previous)}</s></span>
+                <span class="catalog-card__price-now">Ahora ${window.PSM.formatPrice(current)}</span>
+            </div>
+        `;
+    };
+
+    /**
+     * Renders the color dots for products sold in several colors.
+     * @param {Product} product
+     * @returns {string} HTML string, empty when there is a single color
+     */
+    const renderSwatches = (product) => {
+        const { colors } = window.PSM.getVariantOptions(product);
+        if (colors.length < 2) return '';
+
+        const dots = colors
+            .map(c => `<span class="catalog-card__swatch" style="--swatch: ${c.hex}" title="${c.label}"></span>`)
+            .join('');
+        return `<div class="catalog-card__swatches" aria-label="${colors.length} colores">${dots}</div>`;
+    };
+
+    /**
+     * Renders the card actions. Sold-out items can't go in the cart, so
+     * "Consultar" becomes a restock request over WhatsApp.
+     * @param {Product} product
+     * @param {Product} defaultView - Variant view used for the cart and messages
+     * @returns {string} HTML string
+     */
+    const renderCardActions = (product, defaultView) => {
+        if (!window.PSM.resolveAvailability(defaultView).canOrder) {
+            const notifyUrl = `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(window.PSM.buildRestockMessage(defaultView))}`;
+            return `
+                <div class="catalog-card__cta">
+                    <a href="${notifyUrl}" target="_blank" rel="noopener" class="catalog-card__notify">
+                        Avísame cuando llegue
+                    </a>
+                </div>
+            `;
+        }
+
+        const waUrl = `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(window.PSM.buildInquiryMessage(defaultView))}`;
+        return `
+            <div class="catalog-card__cta">
+                <button
+                    type="button"
+                    class="catalog-card__add"
+                    data-add-to-cart="${product.id}"
+                    data-variant-id="${defaultView.variantId ?? ''}"
+                    aria-label="Agregar ${product.name} al carrito"
+                >
+                    Agregar al carrito
+                </button>
+                <a href="${waUrl}" target="_blank" rel="noopener" class="btn btn--primary btn--small">
+                    Consultar
+                </a>
+            </div>
+        `;
+    };
+
+    /**
+     * Renders the "Comparar" toggle for iPhones. Its pressed state is kept
+     * in sync by compare.store.js; pages without it just render it unpressed.
+     * @param {Product} product
+     * @returns {string} HTML string, empty for non-iPhones
+     */
+    const renderCompareToggle = (product) => {
+        if (product.category !== 'iphone') return '';
+
+        const isPicked = window.PSM.compare?.has(product.id) ?? false;
+        return `
+            <button
+                type="button"
+                class="compare-toggle catalog-card__compare${isPicked ? ' compare-toggle--active' : ''}"
+                data-compare-toggle="${product.id}"
+                aria-pressed="${isPicked}"
+                aria-label="Comparar ${product.name}"
+            >
+                <span class="compare-toggle__box" aria-hidden="true"></span>
+                Comparar
+            </button>
+        `;
+    };
+
+    /**
+     * Renders the heart that saves the product to favorites. Its pressed
+     * state is kept in sync by favorites.store.js; pages without it (the
+     * admin preview) just render it empty.
+     * @param {Product} product
+     * @returns {string} HTML string
+     */
+    const renderFavoriteToggle = (product) => {
+        const isFavorite = window.PSM.favorites?.has(product.id) ?? false;
+        return `
+            <button
+                type="button"
+                class="favorite-toggle catalog-card__favorite${isFavorite ? ' favorite-toggle--active' : ''}"
+                data-favorite-toggle="${product.id}"
+                aria-pressed="${isFavorite}"
+                aria-label="Guardar ${product.name} en favoritos"
+            >
+                <svg class="favorite-toggle__icon" width="18" height="18" viewBox="0 0 24 24" aria-hidden="true">
+                    <path d="M12 20.5s-7.5-4.6-9.4-9.2C1.3 8 3.4 4.5 7 4.5c2.1 0 3.6 1.2 5 3 1.4-1.8 2.9-3 5-3 3.6 0 5.7 3.5 4.4 6.8-1.9 4.6-9.4 9.2-9.4 9.2z"/>
+                </svg>
+            </button>
+        `;
+    };
+
+    /**
+     * Renders a single product card HTML string.
+     * Uses template literals — no innerHTML concatenation in loops.
+     * @param {Product} product
+     * @param {Object} [options]
+     * @param {number} [options.index] - Position in the grid, for the staggered entrance
+     * @param {string} [options.query] - Active search, highlighted in the name and tags
+     * @returns {string} HTML string
+     */
+    const render = (product, { index = 0, query = '' } = {}) => {
+        const badges = resolveBadge(product)
+            .map(b => `<span class="catalog-card__badge ${b.cssClass}">${b.label}</span>`)
+            .join('');
+        const defaultView = window.PSM.resolveVariant(product);
+        const isSoldOut = window.PSM.getAvailability(product) === 'agotado';
+        const delay = index * ANIMATION_STAGGER_MS;
+        const { storages } = window.PSM.getVariantOptions(product);
+        const mark = (text) => (query ? window.PSM.search.highlight(text, query) : text);
+        const specTags = [...window.PSM.getSpecTags(product), ...storages]
+            .map(s => `<span class="catalog-card__spec-tag">${mark(s)}</span>`)
+            .join('');
+
+        return `
+            <a href="producto.html?id=${product.id}" class="catalog-card${isSoldOut ? ' catalog-card--sold-out' : ''}" style="animation-delay: ${delay}ms" data-product-id="${product.id}">
+                <div class="catalog-card__image-wrap">
+                    <div class="catalog-card__badges">${badges}</div>
+                    ${renderCompareToggle(product)}
+                    ${renderFavoriteToggle(product)}
+                    <img
+                        class="catalog-card__image"
+                        src="${defaultView.gallery[0]}"
+                        alt="${product.name}"
+                        loading="lazy"
+                    >
+                </div>
+                <div class="catalog-card__body">
+                    <h3 class="catalog-card__name">${mark(product.name)}</h3>
+                    ${renderSwatches(product)}
+                    <div class="catalog-card__specs">${specTags}</div>
+                    ${renderPrice(product)}
+                    ${renderCardActions(product, defaultView)}
+                </div>
+            </a>
+        `;
+    };
+
+    return { render };
+})();
@@ -0,0 +1,434 @@
+/**
+ * Phone Store Maracaibo — Catalog CSV
+ * Converts the catalog to and from CSV so inventory can be edited in a
+ * spreadsheet. Used by the admin editor; no DOM access here.
+ *
+ * Layout: one row per variant. A product with variants takes several rows
+ * with the same `id`; product columns may be left blank after its first
+ * row. Products without variants take one row with the variant columns
+ * empty. Lists (specs, gallery, compatibleWith, boughtTogether) are
+ * separated with "|".
+ *
+ * Tech specs get a column per PSM.SPEC_GROUPS field, named group.field
+ * ("display.size").
+ *
+ * Colors (label, swatch, per-color gallery) don't fit in a cell, so they
+ * are not in the CSV: an import keeps each product's current colors, and
+ * `variantColor` must name one of them.
+ *
+ * Inspection reports of certified units don't either: an import keeps the
+ * current report of each product and variant, matched by id.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.catalogCsv = (() => {
+
+    /* --- Constants --- */
+
+    const LIST_SEPARATOR = '|';
+    const BOM = '\uFEFF';
+
+    /**
+     * @typedef {Object} CsvColumn
+     * @property {string} header - Column name in the file
+     * @property {string} scope  - 'product' | 'techSpecs' | 'variant'
+     * @property {string} [group] - Spec group, for the 'techSpecs' scope
+     * @property {string} key    - Field of the Product, its spec group or the ProductVariant
+     * @property {string} type   - 'text' | 'number' | 'integer' | 'list' | 'prices'
+     */
+
+    /** @type {CsvColumn[]} */
+    const TECH_SPEC_COLUMNS = window.PSM.SPEC_GROUPS.flatMap(group => group.fields
+        .filter(field => !field.compute)
+        .map(field => ({
+            header: `${group.key}.${field.key}`,
+            scope:  'techSpecs',
+            group:  group.key,
+            key:    field.key,
+            type:   'text'
+        })));
+
+    /** Column order of an export. Imports need every header, in any order. */
+    const COLUMNS = [
+        { header: 'id',                  scope: 'product', key: 'id',              type: 'text' },
+        { header: 'name',                scope: 'product', key: 'name',            type: 'text' },
+        { header: 'category',            scope: 'product', key: 'category',        type: 'text' },
+        { header: 'series',              scope: 'product', key: 'series',          type: 'integer' },
+        { header: 'deviceModel',         scope: 'product', key: 'deviceModel',     type: 'text' },
+        { header: 'compatibleWith',      scope: 'product', key: 'compatibleWith',  type: 'list' },
+        { header: 'condition',           scope: 'product', key: 'condition',       type: 'text' },
+        { header: 'specs',               scope: 'product', key: 'specs',           type: 'list' },
+        ...TECH_SPEC_COLUMNS,
+        { header: 'boughtTogether',      scope: 'product', key: 'boughtTogether',  type: 'list' },
+        { header: 'gallery',             scope: 'product', key: 'gallery',         type: 'list' },
+        { header: 'description',         scope: 'product', key: 'description',     type: 'text' },
+        { header: 'waMessage',           scope: 'product', key: 'waMessage',       type: 'text' },
+        { header: 'price',               scope: 'product', key: 'price',           type: 'number' },
+        { header: 'salePrice',           scope: 'product', key: 'salePrice',       type: 'number' },
+        { header: 'conditionPrices',     scope: 'product', key: 'conditionPrices', type: 'prices' },
+        { header: 'availability',        scope: 'product', key: 'availability',    type: 'text' },
+        { header: 'variantId',           scope: 'variant', key: 'id',              type: 'text' },
+        { header: 'variantColor',        scope: 'variant', key: 'color',           type: 'text' },
+        { header: 'variantStorage',      scope: 'variant', key: 'storage',         type: 'text' },
+        { header: 'variantCondition',    scope: 'variant', key: 'condition',       type: 'text' },
+        { header: 'variantPrice',        scope: 'variant', key: 'price',           type: 'number' },
+        { header: 'variantSalePrice',    scope: 'variant', key: 'salePrice',       type: 'number' },
+        { header: 'variantAvailability', scope: 'variant', key: 'availability',    type: 'text' }
+    ];
+
+    /** Product fields that always exist, blank or not */
+    const REQUIRED_LISTS = ['specs', 'gallery'];
+
+    /* --- Cells --- */
+
+    /**
+     * Deep equality for feed data, blind to key order. Keys holding
+     * undefined count as missing, as they do once the feed is saved.
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
+     */
+    const isEqual = (a, b) => {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        if (Array.isArray(a)) return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+
+        const keysOf = (object) => Object.keys(object).filter(key => object[key] !== undefined);
+        const keys = keysOf(a);
+        return keys.length === keysOf(b).length && keys.every(key => isEqual(a[key], b[key]));
+    };
+
+    /**
+     * @param {Object|null} item - Product or variant
+     * @param {CsvColumn} column
+     * @returns {*}
+     */
+    const readValue = (item, column) =>
+        (column.scope === 'techSpecs' ? item?.techSpecs?.[column.group]?.[column.key] : item?.[column.key]);
+
+    /**
+     * @param {CsvColumn} column
+     * @param {*} value
+     * @returns {string}
+     */
+    const formatCell = (column, value) => {
+        if (value === undefined || value === null) return '';
+        if (column.type === 'list') return value.join(LIST_SEPARATOR);
+        if (column.type === 'prices') {
+            return Object.entries(value).map(([condition, price]) => `${condition}=${price}`).join(LIST_SEPARATOR);
+        }
+        return String(value);
+    };
+
+    /**
+     * Reads a spreadsheet number. Accepts "$1,299", "1.299" (thousands)
+     * and "12,5" (decimal comma) as well as plain "1299".
+     * @param {string} raw - Non-empty cell
+     * @returns {number} NaN when it isn't a number
+     */
+    const parseNumber = (raw) => {
+        const text = raw.replace(/[$\s]/g, '');
+        const normalized = /^\d{1,3}([.,]\d{3})+$/.test(text)
+            ? text.replace(/[.,]/g, '')
+            : text.replace(',', '.');
+        return /^\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+    };
+
+    /**
+     * @param {CsvColumn} column
+     * @param {string} raw - Trimmed cell
+     * @returns {{ value?: *, error?: string }} value undefined = blank
+     */
+    const parseCell = (column, raw) => {
+        if (raw === '') {
+            if (column.scope !== 'product') return {};
+            if (column.key === 'series') return { value: null };
+            if (REQUIRED_LISTS.includes(column.key)) return { value: [] };
+            return {};
+        }
+
+        switch (column.type) {
+            case 'number': {
+                const value = parseNumber(raw);
+                return Number.isNaN(value) ? { error: `"${raw}" no es un número` } : { value };
+            }
+            case 'integer': {
+                const value = parseNumber(raw);
+                return Number.isInteger(value) ? { value } : { error: `"${raw}" no es un número entero` };
+            }
+            case 'list':
+                return { value: raw.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) };
+            case 'prices': {
+                const value = {};
+                for (const pair of raw.split(LIST_SEPARATOR)) {
+                    const [condition, price] = pair.split('=').map(part => part?.trim());
+                    const amount = parseNumber(price ?? '');
+                    if (!condition || Number.isNaN(amount)) {
+                        return { error: `"${pair.trim()}" debe tener la forma condición=precio` };
+                    }
+                    value[condition] = amount;
+                }
+                return { value };
+            }
+            default:
+                return { value: raw };
+        }
+    };
+
+    /* --- CSV text --- */
+
+    /**
+     * Quotes a cell when it holds the delimiter, quotes, line breaks or
+     * edge spaces (RFC 4180).
+     * @param {string} cell
+     * @returns {string}
+     */
+    const quote = (cell) => (/[",;\r\n]|^\s|\s$/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+
+    /**
+     * Splits CSV text into rows of cells. Handles quoted cells with
+     * delimiters, doubled quotes and line breaks inside.
+     * @param {string} text
+     * @param {string} delimiter
+     * @returns {string[][]}
+     */
+    const parseRows = (text, delimiter) => {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    };
+
+    /**
+     * Spreadsheets set to Spanish save CSV with ";" — pick whichever the
+     * header line uses.
+     * @param {string} text
+     * @returns {string} ',' | ';'
+     */
+    const detectDelimiter = (text) => {
+        const header = text.split(/\r?\n/, 1)[0];
+        return (header.match(/;/g) ?? []).length > (header.match(/,/g) ?? []).length ? ';' : ',';
+    };
+
+    /* --- Export --- */
+
+    /**
+     * @param {Object[]} products - Catalog products
+     * @returns {string} CSV with a BOM, so Excel reads accents correctly
+     */
+    const toCsv = (products) => {
+        const productColumns = COLUMNS.filter(c => c.scope !== 'variant');
+        const variantColumns = COLUMNS.filter(c => c.scope === 'variant');
+
+        const lines = products.flatMap(product => {
+            const productCells = productColumns.map(c => formatCell(c, readValue(product, c)));
+            const variants = product.variants?.length ? product.variants : [null];
+            return variants.map(variant => [
+                ...productCells,
+                ...variantColumns.map(c => formatCell(c, readValue(variant, c)))
+            ]);
+        });
+
+        return BOM + [COLUMNS.map(c => c.header), ...lines]
+            .map(cells => cells.map(quote).join(','))
+            .join('\r\n') + '\r\n';
+    };
+
+    /* --- Import --- */
+
+    /**
+     * @typedef {Object} RowError
+     * @property {number} row     - Spreadsheet row number (header is row 1)
+     * @property {string} message
+     */
+
+    /**
+     * @typedef {Object} CsvImport
+     * @property {Object[]}            products  - In file order
+     * @property {Object<string, number>} firstRows - Product id → row where it starts
+     * @property {RowError[]}          errors
+     */
+
+    /**
+     * Reads a CSV export back into products. Only the file's structure is
+     * checked here (columns, numbers, repeated rows, colors); field rules
+     * are up to the caller.
+     * @param {string} text
+     * @param {Object[]} current - Catalog being replaced, source of colors and inspections
+     * @returns {CsvImport}
+     */
+    const fromCsv = (text, current) => {
+        const clean = text.replace(/^\uFEFF/, '');
+        const [header = [], ...rows] = parseRows(clean, detectDelimiter(clean));
+        const headers = header.map(h => h.trim());
+        const errors = [];
+
+        const missing = COLUMNS.filter(c => !headers.includes(c.header)).map(c => c.header);
+        if (missing.length) {
+            return { products: [], firstRows: {}, errors: [{ row: 1, message: `Faltan columnas: ${missing.join(', ')}` }] };
+        }
+
+        const position = Object.fromEntries(headers.map((h, i) => [h, i]));
+        const colorsById = Object.fromEntries(current.map(p => [p.id, p.colors]));
+        const currentById = new Map(current.map(p => [p.id, p]));
+        const byId = new Map();
+
+        rows.forEach((cells, i) => {
+            const row = i + 2;
+            if (cells.every(cell => !cell.trim())) return;
+
+            const product = {};
+            const variant = {};
+            const techSpecs = {};
+            const targets = { product, variant };
+            const given = new Set();
+
+            COLUMNS.forEach(column => {
+                const raw = (cells[position[column.header]] ?? '').trim();
+                const { value, error } = parseCell(column, raw);
+
+                if (error) {
+                    errors.push({ row, message: `${column.header}: ${error}` });
+                    return;
+                }
+                if (raw !== '') given.add(column.header);
+                if (value === undefined) return;
+                if (column.scope === 'techSpecs') (techSpecs[column.group] ??= {})[column.key] = value;
+                else targets[column.scope][column.key] = value;
+            });
+
+            if (Object.keys(techSpecs).length) product.techSpecs = techSpecs;
+
+            if (!product.id) {
+                errors.push({ row, message: 'id: falta el id del producto' });
+                return;
+            }
+
+            const hasVariant = Object.keys(variant).length > 0;
+            const entry = byId.get(product.id);
+
+            if (hasVariant && variant.color && !colorsById[product.id]?.some(c => c.id === variant.color)) {
+                errors.push({ row, message: `variantColor: "${variant.color}" no es un color de ${product.id} (los colores se editan en el editor)` });
+            }
+
+            /* Inspection reports aren't in the file: carry them over by id */
+            const previous = currentById.get(product.id);
+            const inspection = hasVariant
+                ? previous?.variants?.find(v => v.id === variant.id)?.inspection
+                : previous?.inspection;
+            if (inspection) (hasVariant ? variant : product).inspection = inspection;
+
+            if (!entry) {
+                if (colorsById[product.id]) product.colors = colorsById[product.id];
+                if (hasVariant) product.variants = [variant];
+                byId.set(product.id, { product, row });
+                return;
+            }
+
+            if (!hasVariant || !entry.product.variants) {
+                errors.push({ row, message: `${product.id} ya está en la fila ${entry.row}; solo se repite para agregar variantes` });
+                return;
+            }
+
+            /* Continuation row: blank product cells inherit, filled ones must agree */
+            const conflicts = COLUMNS
+                .filter(c => c.scope !== 'variant' && c.key !== 'id' && given.has(c.header))
+                .filter(c => !isEqual(readValue(product, c), readValue(entry.product, c)))
+                .map(c => c.header);
+            if (conflicts.length) {
+                errors.push({ row, message: `${conflicts.join(', ')} no coincide con la fila ${entry.row}` });
+            }
+
+            entry.product.variants.push(variant);
+        });
+
+        return {
+            products:  [...byId.values()].map(entry => entry.product),
+            firstRows: Object.fromEntries([...byId].map(([id, entry]) => [id, entry.row])),
+            errors
+        };
+    };
+
+    /* --- Diff --- */
+
+    /**
+     * @typedef {Object} CatalogDiff
+     * @property {Object[]} added
+     * @property {Object[]} removed
+     * @property {{ product: Object, fields: string[] }[]} changed
+     * @property {number} unchanged
+     */
+
+    /**
+     * Compares two catalogs by product id.
+     * @param {Object[]} before
+     * @param {Object[]} after
+     * @returns {CatalogDiff}
+     */
+    const diff = (before, after) => {
+        const previous = new Map(before.map(p => [p.id, p]));
+        const nextIds = new Set(after.map(p => p.id));
+        const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+        after.forEach(product => {
+            const old = previous.get(product.id);
+            if (!old) {
+                result.added.push(product);
+                return;
+            }
+
+            const keys = [...new Set([...Object.keys(old), ...Object.keys(product)])];
+            const fields = keys.filter(key => !isEqual(old[key], product[key]));
+            if (fields.length) result.changed.push({ product, fields });
+            else result.unchanged++;
+        });
+
+        result.removed = before.filter(p => !nextIds.has(p.id));
+        return result;
+    };
+
+    return {
+        COLUMNS,
+        toCsv,
+        fromCsv,
+        diff
+    };
+})();
@@ -1,7 +1,8 @@
 /**
  * Phone Store Maracaibo — Catalog Page
  * Architecture: Data → Filter → Render pipeline.
- * All product data lives in PRODUCTS. DOM is 100% JS-rendered.
+ * All product data lives in PRODUCTS, loaded from the catalog feed before
+ * the first render. DOM is 100% JS-rendered.
  * Filters are pure functions: they don't mutate state, they return new arrays.
  */
 
@@ -9,29 +10,49 @@
 
 /* --- Constants --- */
 
+const SORT_STORAGE_KEY = 'psm:catalog-sort';
+const DEFAULT_SORT = 'featured';
+const PAGE_SIZE = 20;
+
 const WHATSAPP_NUMBER = '584146395496';
 const WHATSAPP_BASE = 'https://wa.me/';
-const ANIMATION_STAGGER_MS = 60;
-
-/**
- * Reference to shared product data.
- * Source of truth lives in products.data.js (loaded first in HTML).
- */
-const PRODUCTS = window.PSM.PRODUCTS;
-
 
+const EMPTY_TEXT = 'No encontramos productos con estos filtros.';
+const EMPTY_FAVORITES_TEXT = 'Aún no tienes favoritos. Toca el corazón de un producto para guardarlo aquí.';
 
 /* --- Filter State --- */
 
 /**
  * Centralized filter state.
- * Single source of truth for active filters.
+ * Single source of truth for active filters. Mirrored in the query string
+ * (see URL State) so any filtered view can be shared as a link.
  */
 const filterState = {
     category: 'all',
+    device: 'all',
     series: 'all',
     condition: 'all',
-    search: ''
+    battery: 'all',
+    grade: 'all',
+    search: '',
+    onlyAvailable: false,
+    onlyFavorites: false,
+    sort: DEFAULT_SORT,
+    page: 1
+};
+
+/** Values a reset goes back to. Sort is a preference, not a filter, so it's kept. */
+const DEFAULT_FILTERS = {
+    category: 'all',
+    device: 'all',
+    series: 'all',
+    condition: 'all',
+    battery: 'all',
+    grade: 'all',
+    search: '',
+    onlyAvailable: false,
+    onlyFavorites: false,
+    page: 1
 };
 
 /* --- Data Layer: Pure filter functions --- */
@@ -47,6 +68,18 @@ const filterByCategory = (products, category) => {
     return products.filter(p => p.category === category);
 };
 
+/**
+ * Keeps the accessories and parts that fit the customer's iPhone
+ * ("¿Cuál es tu iPhone?"). See PSM.fitsDevice for what counts as fitting.
+ * @param {Product[]} products
+ * @param {string} device - DEVICE_MODELS id or 'all'
+ * @returns {Product[]}
+ */
+const filterByDevice = (products, device) => {
+    if (device === 'all') return products;
+    return products.filter(p => window.PSM.fitsDevice(p, device));
+};
+
 /**
  * Filters products by iPhone series.
  * @param {Product[]} products
@@ -60,158 +93,492 @@ const filterBySeries = (products, series) => {
 
 /**
  * Filters products by condition.
+ * A product with variants matches if any of its variants has that condition.
  * @param {Product[]} products
  * @param {string} condition
  * @returns {Product[]}
  */
 const filterByCondition = (products, condition) => {
     if (condition === 'all') return products;
-    return products.filter(p => p.condition === condition);
+    return products.filter(p => window.PSM.getVariantOptions(p).conditions.includes(condition));
+};
+
+/**
+ * Battery and grade only apply while certified iPhones can be listed: not
+ * with another category, a device picked (accessories and parts) or "Nuevo".
+ * @returns {boolean}
+ */
+const canFilterInspection = () =>
+    filterState.device === 'all' &&
+    (filterState.category === 'all' || filterState.category === 'iphone') &&
+    filterState.condition !== 'nuevo';
+
+/**
+ * Keeps iPhones with a certified unit that meets both inspection filters:
+ * battery health of at least `battery` percent, and cosmetic grade `grade`.
+ * Both must hold for the same unit, since that's the one the customer gets.
+ * @param {Product[]} products
+ * @param {string} battery - Minimum health as string, or 'all'
+ * @param {string} grade   - PSM.INSPECTION_GRADES key, or 'all'
+ * @returns {Product[]}
+ */
+const filterByInspection = (products, battery, grade) => {
+    if (battery === 'all' && grade === 'all') return products;
+    return products.filter(p => window.PSM.getInspections(p).some(inspection =>
+        (battery === 'all' || inspection.batteryHealth >= Number(battery)) &&
+        (grade === 'all' || inspection.grade === grade)));
 };
 
 /**
- * Filters products by search query against name and specs.
+ * Filters products by search query and orders them by relevance.
+ * Matching (accents, typos, aliases, model numbers) lives in search.js;
+ * with the "featured" sort the relevance order is what the grid shows.
  * @param {Product[]} products
  * @param {string} query
  * @returns {Product[]}
  */
 const filterBySearch = (products, query) => {
     if (!query.trim()) return products;
-    const normalized = query.toLowerCase();
-    return products.filter(p =>
-        p.name.toLowerCase().includes(normalized) ||
-        p.specs.some(s => s.toLowerCase().includes(normalized))
-    );
+    return window.PSM.search.search(products, query).map(result => result.product);
+};
+
+/**
+ * Keeps only products that can be delivered now (in stock or last units).
+ * On-order and sold-out items are hidden while the toggle is on.
+ * @param {Product[]} products
+ * @param {boolean} onlyAvailable
+ * @returns {Product[]}
+ */
+const filterByAvailability = (products, onlyAvailable) => {
+    if (!onlyAvailable) return products;
+    return products.filter(p => window.PSM.resolveAvailability(p).inStock);
 };
 
 /**
- * Applies all active filters to the full product list.
- * Composed pipeline: each filter receives the output of the previous.
- * @returns {Product[]} Filtered product array
+ * Keeps only the products saved with the heart (favorites.store.js).
+ * @param {Product[]} products
+ * @param {boolean} onlyFavorites
+ * @returns {Product[]}
+ */
+const filterByFavorites = (products, onlyFavorites) => {
+    if (!onlyFavorites) return products;
+    const ids = window.PSM.favorites.getIds();
+    return products.filter(p => ids.includes(p.id));
+};
+
+/**
+ * Price used for sorting: the lowest current price across variants,
+ * i.e. the "Desde" figure the card shows.
+ * @param {Product} product
+ * @returns {number}
+ */
+const getSortPrice = (product) => window.PSM.getPriceRange(product).min;
+
+/**
+ * Comparators by sort key. `featured` keeps the incoming order: the curated
+ * PRODUCTS order, or relevance when a search is active.
+ * Array#sort is stable, so ties keep that order too.
+ * @type {Object<string, ((a: Product, b: Product) => number)|null>}
+ */
+const SORTERS = {
+    featured:     null,
+    newest:       (a, b) => (b.series ?? 0) - (a.series ?? 0),
+    'price-asc':  (a, b) => getSortPrice(a) - getSortPrice(b),
+    'price-desc': (a, b) => getSortPrice(b) - getSortPrice(a),
+    name:         (a, b) => a.name.localeCompare(b.name, 'es')
+};
+
+/**
+ * Sorts products by the given key. Returns a new array.
+ * @param {Product[]} products
+ * @param {string} sort - Key of SORTERS
+ * @returns {Product[]}
+ */
+const sortProducts = (products, sort) => {
+    const compare = SORTERS[sort];
+    return compare ? [...products].sort(compare) : products;
+};
+
+/**
+ * Applies all active filters to the full product list, then sorts.
+ * Composed pipeline: each step receives the output of the previous.
+ * @returns {Product[]} Filtered, sorted product array
  */
 const getFilteredProducts = () => {
     return [
         p => filterByCategory(p, filterState.category),
+        p => filterByDevice(p, filterState.device),
         p => filterBySeries(p, filterState.series),
         p => filterByCondition(p, filterState.condition),
-        p => filterBySearch(p, filterState.search)
-    ].reduce((products, fn) => fn(products), PRODUCTS);
+        p => filterByInspection(p, filterState.battery, filterState.grade),
+        p => filterBySearch(p, filterState.search),
+        p => filterByAvailability(p, filterState.onlyAvailable),
+        p => filterByFavorites(p, filterState.onlyFavorites),
+        p => sortProducts(p, filterState.sort)
+    ].reduce((products, fn) => fn(products), window.PSM.PRODUCTS);
 };
 
-/* --- DOM Layer: Render functions --- */
+/**
+ * @param {number} total - Number of filtered products
+ * @returns {number} At least 1, so an empty result is still "page 1"
+ */
+const getPageCount = (total) => Math.max(1, Math.ceil(total / PAGE_SIZE));
 
 /**
- * Builds the badge class and label for a product card.
- * @param {Product} product
- * @returns {{ cssClass: string, label: string }}
- */
-const resolveBadge = (product) => {
-    const MAP = {
-        nuevo: { cssClass: 'catalog-card__badge--new', label: 'Nuevo' },
-        certificado: { cssClass: 'catalog-card__badge--certified', label: 'Certificado' },
-        accesorio: { cssClass: 'catalog-card__badge--accessory', label: 'Accesorio' },
-        repuesto: { cssClass: 'catalog-card__badge--accessory', label: 'Repuesto' }
-    };
+ * Slices one page out of the filtered list.
+ * @param {Product[]} products
+ * @param {number} page - 1-based
+ * @returns {Product[]}
+ */
+const paginate = (products, page) => products.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+/**
+ * WhatsApp text listing every favorite with its price in USD (what sales
+ * quotes in) and a link to its page, so sales can answer in one reply.
+ * @param {Product[]} products
+ * @returns {string}
+ */
+const buildFavoritesMessage = (products) => {
+    const items = products.map(product => {
+        const { min, max } = window.PSM.getPriceRange(product);
+        const price = min === max ? window.PSM.formatUsd(min) : `desde ${window.PSM.formatUsd(min)}`;
+        const availability = window.PSM.resolveAvailability(product);
+        const note = availability.inStock ? '' : ` [${availability.label}]`;
+        const url = new URL(`producto.html?id=${product.id}`, window.location.href).href;
+        return `• ${product.name} — ${price}${note}\n  ${url}`;
+    });
 
-    if (product.category !== 'iphone') return MAP[product.category];
-    return MAP[product.condition];
+    return [
+        'Hola, esta es mi lista de favoritos de Phone Store Maracaibo:',
+        '',
+        ...items,
+        '',
+        '¿Me ayudan con disponibilidad y precios?'
+    ].join('\n');
 };
 
 /**
- * Renders a single product card HTML string.
- * Uses template literals — no innerHTML concatenation in loops.
- * @param {Product} product
- * @param {number} index - Used for staggered animation delay
- * @returns {string} HTML string
- */
-const renderProductCard = (product, index) => {
-    const badge = resolveBadge(product);
-    const waUrl = `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(product.waMessage)}`;
-    const delay = index * ANIMATION_STAGGER_MS;
-    const specTags = product.specs
-        .map(s => `<span class="catalog-card__spec-tag">${s}</span>`)
-        .join('');
+ * @param {Product[]} products
+ * @returns {string} wa.me link with the favorites list pre-filled
+ */
+const buildFavoritesWaUrl = (products) =>
+    `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(buildFavoritesMessage(products))}`;
 
-    return `
-        <a href="producto.html?id=${product.id}" class="catalog-card" style="animation-delay: ${delay}ms" data-product-id="${product.id}">
-            <div class="catalog-card__image-wrap">
-                <span class="catalog-card__badge ${badge.cssClass}">${badge.label}</span>
-                <img
-                    class="catalog-card__image"
-                    src="${product.image}"
-                    alt="${product.name}"
-                    loading="lazy"
-                >
-            </div>
-            <div class="catalog-card__body">
-                <h3 class="catalog-card__name">${product.name}</h3>
-                <div class="catalog-card__specs">${specTags}</div>
-                <div class="catalog-card__cta">
-                    <a href="${waUrl}" target="_blank" rel="noopener" class="btn btn--primary btn--small">
-                        Consultar
-                    </a>
-                </div>
-            </div>
-        </a>
+/* --- DOM Layer: Render functions --- */
+
+/**
+ * Renders the page links under the grid. Hidden when everything fits on one page.
+ * @param {number} pageCount
+ */
+const renderPagination = (pageCount) => {
+    const nav = document.getElementById('catalog-pagination');
+    if (!nav) return;
+
+    nav.hidden = pageCount < 2;
+    if (pageCount < 2) {
+        nav.innerHTML = '';
+        return;
+    }
+
+    const { page } = filterState;
+    const pages = Array.from({ length: pageCount }, (_, i) => i + 1);
+
+    nav.innerHTML = `
+        <button type="button" class="catalog-pagination__btn" data-page="${page - 1}" ${page === 1 ? 'disabled' : ''} aria-label="Página anterior">‹</button>
+        ${pages.map(n => `
+            <button
+                type="button"
+                class="catalog-pagination__btn ${n === page ? 'catalog-pagination__btn--active' : ''}"
+                data-page="${n}"
+                ${n === page ? 'aria-current="page"' : ''}
+            >${n}</button>
+        `).join('')}
+        <button type="button" class="catalog-pagination__btn" data-page="${page + 1}" ${page === pageCount ? 'disabled' : ''} aria-label="Página siguiente">›</button>
     `;
 };
 
 /**
- * Renders the full product grid or empty state based on filtered results.
- * @param {Product[]} products - Filtered products to render
+ * Renders the current page of the grid, or the empty state.
+ * @param {Product[]} products - All filtered products (every page)
  */
 const renderGrid = (products) => {
     const grid = document.getElementById('catalog-grid');
     const emptyState = document.getElementById('catalog-empty');
     const resultsCount = document.getElementById('results-count');
     const totalCount = document.getElementById('total-count');
+    const emptyText = document.getElementById('catalog-empty-text');
 
-    if (!grid) return;
+    /* Filters can change while the feed is loading — state is kept, rendering waits */
+    if (!grid || window.PSM.catalog.getStatus() !== 'ready') return;
 
-    totalCount.textContent = PRODUCTS.length;
-    resultsCount.textContent = `${products.length} resultado${products.length !== 1 ? 's' : ''}`;
+    const device = window.PSM.findDeviceModel(filterState.device);
+    totalCount.textContent = window.PSM.PRODUCTS.length;
+    resultsCount.textContent = `${products.length} resultado${products.length !== 1 ? 's' : ''}` +
+        (device ? ` para ${device.label}` : '');
+
+    renderFavoritesBar();
 
     if (products.length === 0) {
         grid.innerHTML = '';
         emptyState.hidden = false;
+        if (emptyText) {
+            const hasNoFavorites = filterState.onlyFavorites && !window.PSM.favorites.getIds().length;
+            emptyText.textContent = hasNoFavorites ? EMPTY_FAVORITES_TEXT : EMPTY_TEXT;
+        }
+        filterState.page = 1;
+        renderPagination(1);
         return;
     }
 
     emptyState.hidden = true;
-    grid.innerHTML = products.map(renderProductCard).join('');
+    const pageCount = getPageCount(products.length);
+    filterState.page = Math.min(Math.max(1, filterState.page), pageCount);
+    grid.innerHTML = paginate(products, filterState.page)
+        .map((product, index) => window.PSM.catalogCard.render(product, { index, query: filterState.search }))
+        .join('');
+    renderPagination(pageCount);
 };
 
-/* --- Event Layer --- */
-
 /**
- * Handles filter pill click — updates state and re-renders.
- * @param {HTMLElement} clickedPill - The pill that was clicked
- * @param {string} filterGroup      - Which filter group was toggled
+ * Shows "Enviar mi lista por WhatsApp" while the favorites view is on and
+ * the list isn't empty. The link is rebuilt so prices and products are current.
  */
-const handleFilterClick = (clickedPill, filterGroup) => {
-    const pillContainer = clickedPill.closest('.filter-pills');
-    if (!pillContainer) return;
+const renderFavoritesBar = () => {
+    const bar = document.getElementById('favorites-bar');
+    const text = document.getElementById('favorites-bar-text');
+    const share = document.getElementById('favorites-share');
+    if (!bar || !text || !share) return;
+
+    const favorites = window.PSM.favorites.getProducts();
+    bar.hidden = !filterState.onlyFavorites || !favorites.length;
+    if (bar.hidden) return;
+
+    text.textContent = `Tu lista: ${favorites.length} producto${favorites.length !== 1 ? 's' : ''}`;
+    share.href = buildFavoritesWaUrl(favorites);
+};
 
-    pillContainer.querySelectorAll('.filter-pill').forEach(p => p.classList.remove('filter-pill--active'));
-    clickedPill.classList.add('filter-pill--active');
+/**
+ * Fills the "¿Cuál es tu iPhone?" select from PSM.DEVICE_MODELS, one
+ * optgroup per series. Static data, so it runs once before the feed loads.
+ */
+const renderDeviceOptions = () => {
+    const select = document.getElementById('device-select');
+    if (!select) return;
+
+    const models = window.PSM.DEVICE_MODELS;
+    const series = [...new Set(models.map(model => model.series))];
+
+    select.innerHTML = `
+        <option value="all">Todos los modelos</option>
+        ${series.map(number => `
+            <optgroup label="Serie ${number}">
+                ${models.filter(model => model.series === number)
+                    .map(model => `<option value="${model.id}">${model.label}</option>`)
+                    .join('')}
+            </optgroup>
+        `).join('')}
+    `;
+};
 
-    filterState[filterGroup] = clickedPill.dataset.filter;
+/**
+ * Syncs every control with filterState: pills, series, battery and grade visibility,
+ * availability and favorites toggles, search box and sort select. Needed whenever state
+ * changes from outside the controls themselves (URL, back/forward, reset).
+ */
+const syncControls = () => {
+    ['category', 'series', 'condition', 'battery', 'grade'].forEach(group => {
+        document.querySelectorAll(`[data-filter-group="${group}"] .filter-pill`).forEach(p => {
+            p.classList.toggle('filter-pill--active', p.dataset.filter === filterState[group]);
+        });
+    });
 
-    /* Hide series filter when viewing non-iPhone categories — it's irrelevant */
+    /* Hide series filter when viewing non-iPhone categories — it's irrelevant.
+       Same once a device is picked: only accessories and parts are listed */
     const seriesGroup = document.getElementById('series-filter-group');
     if (seriesGroup) {
-        const isIphoneContext = filterState.category === 'all' || filterState.category === 'iphone';
+        const isIphoneContext = filterState.device === 'all' &&
+            (filterState.category === 'all' || filterState.category === 'iphone');
         seriesGroup.classList.toggle('filter-group--hidden', !isIphoneContext);
     }
 
+    /* Battery and grade come from certified units' inspection reports */
+    ['battery-filter-group', 'grade-filter-group'].forEach(id => {
+        document.getElementById(id)?.classList.toggle('filter-group--hidden', !canFilterInspection());
+    });
+
+    const deviceSelect = document.getElementById('device-select');
+    if (deviceSelect) {
+        deviceSelect.value = filterState.device;
+        deviceSelect.classList.toggle('filter-device--active', filterState.device !== 'all');
+    }
+
+    const availableToggle = document.getElementById('filter-available');
+    if (availableToggle) {
+        availableToggle.classList.toggle('filter-pill--active', filterState.onlyAvailable);
+        availableToggle.setAttribute('aria-pressed', String(filterState.onlyAvailable));
+    }
+
+    const favoritesToggle = document.getElementById('filter-favorites');
+    if (favoritesToggle) {
+        favoritesToggle.classList.toggle('filter-pill--active', filterState.onlyFavorites);
+        favoritesToggle.setAttribute('aria-pressed', String(filterState.onlyFavorites));
+    }
+
+    const favoritesCount = document.getElementById('favorites-count');
+    if (favoritesCount) {
+        const count = window.PSM.favorites.getIds().length;
+        favoritesCount.textContent = count;
+        favoritesCount.hidden = count === 0;
+    }
+
+    /* Only touch the search box when it differs, so the caret isn't moved while typing */
+    const searchInput = document.getElementById('search-input');
+    if (searchInput && searchInput.value !== filterState.search) searchInput.value = filterState.search;
+
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) sortSelect.value = filterState.sort;
+};
+
+/**
+ * Re-runs the pipeline after a state change: grid, then URL.
+ * The URL is written after rendering so an out-of-range page is already clamped.
+ */
+const updateCatalog = () => {
+    renderGrid(getFilteredProducts());
+    writeStateToUrl();
+};
+
+/* --- Event Layer --- */
+
+/**
+ * Clears battery and grade once they no longer apply (see canFilterInspection),
+ * so a hidden filter can't keep emptying the grid.
+ */
+const dropInspectionFilters = () => {
+    if (canFilterInspection()) return;
+    filterState.battery = 'all';
+    filterState.grade = 'all';
+};
+
+/**
+ * Handles filter pill click — updates state and re-renders.
+ * @param {HTMLElement} clickedPill - The pill that was clicked
+ * @param {string} filterGroup      - Which filter group was toggled
+ */
+const handleFilterClick = (clickedPill, filterGroup) => {
+    filterState[filterGroup] = clickedPill.dataset.filter;
+    filterState.page = 1;
+
     /* Reset series filter when switching away from iPhone */
     if (filterGroup === 'category' && filterState.category !== 'iphone') {
         filterState.series = 'all';
-        const seriesPills = document.querySelectorAll('[data-filter-group="series"] .filter-pill');
-        seriesPills.forEach(p => p.classList.toggle('filter-pill--active', p.dataset.filter === 'all'));
     }
 
-    renderGrid(getFilteredProducts());
+    /* Browsing iPhones again — the device filter would hide them all */
+    if (filterGroup === 'category' && filterState.category === 'iphone') {
+        filterState.device = 'all';
+    }
+
+    dropInspectionFilters();
+    syncControls();
+    updateCatalog();
+};
+
+/**
+ * Applies "¿Cuál es tu iPhone?". Picking a model switches the grid to
+ * what fits it, so the iPhone-only filters are cleared.
+ * @param {string} device - DEVICE_MODELS id or 'all'
+ */
+const handleDeviceChange = (device) => {
+    filterState.device = window.PSM.findDeviceModel(device) ? device : 'all';
+    filterState.page = 1;
+
+    if (filterState.device !== 'all') {
+        filterState.series = 'all';
+        if (filterState.category === 'iphone') filterState.category = 'all';
+    }
+
+    dropInspectionFilters();
+    syncControls();
+    updateCatalog();
+};
+
+/**
+ * Adds a card's default variant to the cart.
+ * The button lives inside the card link, so navigation is cancelled.
+ * @param {MouseEvent} e
+ */
+const handleAddToCart = (e) => {
+    const button = e.target.closest('[data-add-to-cart]');
+    if (!button) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const productId = button.dataset.addToCart;
+    const added = window.PSM.cart.add(productId, button.dataset.variantId || null);
+
+    const product = window.PSM.findProductById(productId);
+    showToast(`${product ? product.name : 'Producto'} ${added ? 'agregado al carrito' : 'está agotado'}`);
+};
+
+/**
+ * Picks or unpicks an iPhone for comparar.html. The button lives inside
+ * the card link, so navigation is cancelled.
+ * @param {MouseEvent} e
+ */
+const handleCompareToggle = (e) => {
+    const button = e.target.closest('[data-compare-toggle]');
+    if (!button) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const productId = button.dataset.compareToggle;
+    if (!window.PSM.compare.toggle(productId)) {
+        showToast(`Puedes comparar hasta ${window.PSM.compare.MAX_ITEMS} iPhones a la vez`);
+    }
+};
+
+/**
+ * Saves or removes a product from favorites. The heart lives inside the
+ * card link, so navigation is cancelled. The count, the grid (in the
+ * favorites view) and the share bar follow through the store's change event.
+ * @param {MouseEvent} e
+ */
+const handleFavoriteToggle = (e) => {
+    const button = e.target.closest('[data-favorite-toggle]');
+    if (!button) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const isFavorite = window.PSM.favorites.toggle(button.dataset.favoriteToggle);
+    showToast(isFavorite ? 'Guardado en favoritos' : 'Quitado de favoritos');
+};
+
+/**
+ * Applies a sort order: state, session memory, URL and grid.
+ * @param {string} sort - Key of SORTERS
+ */
+const handleSortChange = (sort) => {
+    filterState.sort = sort in SORTERS ? sort : DEFAULT_SORT;
+    filterState.page = 1;
+    saveSort(filterState.sort);
+    updateCatalog();
+};
+
+/**
+ * Moves to another page of results and brings the grid back into view.
+ * @param {MouseEvent} e
+ */
+const handlePageClick = (e) => {
+    const button = e.target.closest('[data-page]');
+    if (!button || button.disabled) return;
+
+    filterState.page = Number(button.dataset.page);
+    updateCatalog();
+    document.getElementById('filter-bar')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
 };
 
 /**
@@ -220,7 +587,8 @@ const handleFilterClick = (clickedPill, filterGroup) => {
  */
 const handleSearch = debounce((query) => {
     filterState.search = query;
-    renderGrid(getFilteredProducts());
+    filterState.page = 1;
+    updateCatalog();
 }, 250);
 
 /**
@@ -238,6 +606,59 @@ const bindEvents = () => {
         });
     });
 
+    /* Add to cart, compare and favorites — delegated on the grid, cards are re-rendered on every filter */
+    const grid = document.getElementById('catalog-grid');
+    if (grid) {
+        grid.addEventListener('click', handleAddToCart);
+        grid.addEventListener('click', handleCompareToggle);
+        grid.addEventListener('click', handleFavoriteToggle);
+    }
+
+    /* Availability toggle — on/off, not part of a pill group */
+    const availableToggle = document.getElementById('filter-available');
+    if (availableToggle) {
+        availableToggle.addEventListener('click', () => {
+            filterState.onlyAvailable = !filterState.onlyAvailable;
+            filterState.page = 1;
+            syncControls();
+            updateCatalog();
+        });
+    }
+
+    /* Favorites toggle — the customer's saved list, same on/off behaviour */
+    const favoritesToggle = document.getElementById('filter-favorites');
+    if (favoritesToggle) {
+        favoritesToggle.addEventListener('click', () => {
+            filterState.onlyFavorites = !filterState.onlyFavorites;
+            filterState.page = 1;
+            syncControls();
+            updateCatalog();
+        });
+    }
+
+    /* Favorites changed (here or in another tab) — update the count, and the grid while it lists them */
+    document.addEventListener(window.PSM.favorites.CHANGE_EVENT, () => {
+        syncControls();
+        if (filterState.onlyFavorites) updateCatalog();
+        else renderFavoritesBar();
+    });
+
+    /* Pagination — rebuilt on every render, so delegated to the nav */
+    const pagination = document.getElementById('catalog-pagination');
+    if (pagination) pagination.addEventListener('click', handlePageClick);
+
+    /* Device select — "¿Cuál es tu iPhone?" */
+    const deviceSelect = document.getElementById('device-select');
+    if (deviceSelect) {
+        deviceSelect.addEventListener('change', (e) => handleDeviceChange(e.target.value));
+    }
+
+    /* Sort select */
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', (e) => handleSortChange(e.target.value));
+    }
+
     /* Search input */
     const searchInput = document.getElementById('search-input');
     if (searchInput) {
@@ -248,27 +669,65 @@ const bindEvents = () => {
     const resetBtn = document.getElementById('reset-filters');
     if (resetBtn) {
         resetBtn.addEventListener('click', () => {
-            Object.assign(filterState, { category: 'all', series: 'all', condition: 'all', search: '' });
-            document.querySelectorAll('.filter-pill').forEach(p => {
-                p.classList.toggle('filter-pill--active', p.dataset.filter === 'all');
-            });
-            const searchInput = document.getElementById('search-input');
-            if (searchInput) searchInput.value = '';
-            renderGrid(PRODUCTS);
+            Object.assign(filterState, DEFAULT_FILTERS);
+            syncControls();
+            updateCatalog();
         });
     }
 
+    /* Retry button in the feed error state */
+    const retryBtn = document.getElementById('catalog-retry');
+    if (retryBtn) retryBtn.addEventListener('click', loadCatalog);
+
+    /* Back/forward between catalog URLs — restore that view */
+    window.addEventListener('popstate', () => {
+        readStateFromUrl();
+        syncControls();
+        renderGrid(getFilteredProducts());
+    });
+
+    /* Currency toggle (currency.js) — prices live inside the cards, so re-render */
+    document.addEventListener('psm:currencychange', () => renderGrid(getFilteredProducts()));
+
     /* Pending pages toast — reuse shared PendingPages pattern */
     document.querySelectorAll('[data-page-pending]').forEach(link => {
         link.addEventListener('click', (e) => {
             e.preventDefault();
-            const pageName = link.dataset.pagePending;
-            const label = pageName === 'cart' ? 'Carrito' : 'Mi cuenta';
-            showToast(`${label} — Próximamente`);
+            showToast('Mi cuenta — Próximamente');
         });
     });
 };
 
+/**
+ * Shows the skeleton, the grid or the feed error state.
+ * @param {string} status - 'loading' | 'ready' | 'error' (PSM.catalog status)
+ */
+const renderLoadState = (status) => {
+    const skeleton   = document.getElementById('catalog-skeleton');
+    const errorState = document.getElementById('catalog-error');
+    const grid       = document.getElementById('catalog-grid');
+
+    if (skeleton) skeleton.hidden = status !== 'loading';
+    if (errorState) errorState.hidden = status !== 'error';
+    if (grid) grid.setAttribute('aria-busy', String(status === 'loading'));
+};
+
+/**
+ * Waits for the product feed with the skeleton up, then renders the
+ * current state. On failure shows the error state; "Reintentar" calls
+ * this again, which makes PSM.catalog fetch a fresh copy.
+ */
+const loadCatalog = () => {
+    renderLoadState('loading');
+
+    window.PSM.catalog.load()
+        .then(() => {
+            renderLoadState('ready');
+            updateCatalog();
+        })
+        .catch(() => renderLoadState('error'));
+};
+
 /* --- Utility --- */
 
 /**
@@ -299,61 +758,137 @@ const showToast = (message) => {
     }, 2500);
 };
 
-/**
- * Debounce utility — same pattern as script.js.
- * Re-declared here because module scope is isolated.
- * @param {Function} fn
- * @param {number} wait
- * @returns {Function}
+/* --- URL State --- */
+
+/*
+ * Query parameters ↔ filterState. Defaults are omitted, so the plain
+ * catalog stays "catalogo.html" and shared links only carry what matters:
+ *   catalogo.html?category=iphone&series=16&condition=certificado&search=pro
+ *   catalogo.html?device=iphone-15-pro-max (accessories and parts for that model)
+ *   catalogo.html?condition=certificado&battery=90&grade=A (certified units' inspection)
+ *   catalogo.html?favorites=1 (this browser's favorites)
+ * Older links using a single `?filter=` (footer, WhatsApp) are still read
+ * and rewritten to the new parameters.
  */
-function debounce(fn, wait = 200) {
-    let timer;
-    return (...args) => {
-        clearTimeout(timer);
-        timer = setTimeout(() => fn(...args), wait);
-    };
-}
 
-/* --- URL param: pre-filter from external links --- */
+/**
+ * @param {string} group - 'category' | 'series' | 'condition' | 'battery' | 'grade'
+ * @param {string|null} value
+ * @returns {boolean} True when a pill exists for that value
+ */
+const isKnownFilter = (group, value) =>
+    [...document.querySelectorAll(`[data-filter-group="${group}"] .filter-pill`)]
+        .some(pill => pill.dataset.filter === value);
 
 /**
- * Reads `?filter=` query param on load to pre-activate a filter.
+ * Maps a legacy `?filter=` value to its filter group.
  * Allows footer links like catalogo.html?filter=certificado to work.
+ * @param {string|null} filter
+ * @returns {Object} Partial filterState
  */
-const applyUrlFilter = () => {
+const readLegacyFilter = (filter) => {
+    if (isKnownFilter('category', filter)) return { category: filter };
+    if (isKnownFilter('condition', filter)) return { condition: filter };
+    return {};
+};
+
+/**
+ * Loads filterState from the current URL. Unknown or invalid values fall
+ * back to their defaults. Without `?sort=` the session's sort is used.
+ */
+const readStateFromUrl = () => {
     const params = new URLSearchParams(window.location.search);
-    const filter = params.get('filter');
-    if (!filter) return;
-
-    /* Map URL param to the correct filter group */
-    const CATEGORY_FILTERS = ['iphone', 'accesorio', 'repuesto'];
-    const CONDITION_FILTERS = ['nuevo', 'certificado'];
-
-    if (CATEGORY_FILTERS.includes(filter)) {
-        filterState.category = filter;
-        const pill = document.querySelector(`[data-filter-group="category"] [data-filter="${filter}"]`);
-        if (pill) {
-            document.querySelectorAll('[data-filter-group="category"] .filter-pill')
-                .forEach(p => p.classList.remove('filter-pill--active'));
-            pill.classList.add('filter-pill--active');
-        }
+    const pick = (group) => (isKnownFilter(group, params.get(group)) ? params.get(group) : 'all');
+    const page = parseInt(params.get('page'), 10);
+    const sort = [params.get('sort'), readSavedSort()].find(s => s && s in SORTERS) ?? DEFAULT_SORT;
+
+    Object.assign(filterState, {
+        category:      pick('category'),
+        device:        window.PSM.findDeviceModel(params.get('device')) ? params.get('device') : 'all',
+        series:        pick('series'),
+        condition:     pick('condition'),
+        battery:       pick('battery'),
+        grade:         pick('grade'),
+        search:        params.get('search') ?? '',
+        onlyAvailable: params.get('available') === '1',
+        onlyFavorites: params.get('favorites') === '1',
+        sort,
+        page:          page > 0 ? page : 1
+    }, readLegacyFilter(params.get('filter')));
+
+    /* Series only applies to iPhones, and a device only to accessories and parts */
+    if (filterState.category !== 'all' && filterState.category !== 'iphone') filterState.series = 'all';
+    if (filterState.device !== 'all') {
+        filterState.series = 'all';
+        if (filterState.category === 'iphone') filterState.category = 'all';
     }
+    dropInspectionFilters();
+};
 
-    if (CONDITION_FILTERS.includes(filter)) {
-        filterState.condition = filter;
-        const pill = document.querySelector(`[data-filter-group="condition"] [data-filter="${filter}"]`);
-        if (pill) {
-            document.querySelectorAll('[data-filter-group="condition"] .filter-pill')
-                .forEach(p => p.classList.remove('filter-pill--active'));
-            pill.classList.add('filter-pill--active');
-        }
+/**
+ * Mirrors filterState in the query string without adding history entries.
+ * Parameters this page doesn't own are preserved.
+ */
+const writeStateToUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('filter');
+
+    const entries = {
+        category:  filterState.category !== 'all' ? filterState.category : null,
+        device:    filterState.device !== 'all' ? filterState.device : null,
+        series:    filterState.series !== 'all' ? filterState.series : null,
+        condition: filterState.condition !== 'all' ? filterState.condition : null,
+        battery:   filterState.battery !== 'all' ? filterState.battery : null,
+        grade:     filterState.grade !== 'all' ? filterState.grade : null,
+        search:    filterState.search.trim() || null,
+        available: filterState.onlyAvailable ? '1' : null,
+        favorites: filterState.onlyFavorites ? '1' : null,
+        sort:      filterState.sort !== DEFAULT_SORT ? filterState.sort : null,
+        page:      filterState.page > 1 ? String(filterState.page) : null
+    };
+
+    Object.entries(entries).forEach(([key, value]) => {
+        if (value === null) params.delete(key);
+        else params.set(key, value);
+    });
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        history.replaceState(null, '', url);
+    }
+};
+
+/* --- Sort persistence: session --- */
+
+/**
+ * @returns {string|null} Sort remembered for this browser session
+ */
+const readSavedSort = () => {
+    try {
+        return sessionStorage.getItem(SORT_STORAGE_KEY);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * @param {string} sort
+ */
+const saveSort = (sort) => {
+    try {
+        sessionStorage.setItem(SORT_STORAGE_KEY, sort);
+    } catch {
+        /* Storage unavailable — the URL still carries the sort */
     }
 };
 
 /* --- Init --- */
 
 document.addEventListener('DOMContentLoaded', () => {
-    applyUrlFilter();
+    renderDeviceOptions();
+    readStateFromUrl();
+    syncControls();
     bindEvents();
-    renderGrid(getFilteredProducts());
+    loadCatalog();
 });
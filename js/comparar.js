@@ -0,0 +1,267 @@
+/**
+ * Phone Store Maracaibo — Compare Page (comparar.html)
+ * Flow: read `?ids=` (a shared link) into the compare store → wait for the
+ * catalog feed → render the side-by-side table.
+ * The store is the single source of truth: removing or adding a model goes
+ * through window.PSM.compare, and the page re-renders on `psm:comparechange`,
+ * keeping `?ids=` in the URL so the comparison can be shared.
+ *
+ * Data dependency: products.data.js, currency.js and compare.store.js must load first.
+ */
+
+'use strict';
+
+/* --- Constants --- */
+
+const WHATSAPP_NUMBER = '584146395496';
+const WHATSAPP_BASE   = 'https://wa.me/';
+const EMPTY_VALUE     = '—';
+
+const CONDITION_LABELS = { nuevo: 'Nuevo', certificado: 'Certificado PSM' };
+
+/**
+ * @typedef {Object} CompareRow
+ * @property {string} label
+ * @property {function(Product): (string|undefined)} value - Cell text; empty shows EMPTY_VALUE
+ */
+
+/**
+ * @typedef {Object} CompareSection
+ * @property {string}       label - Group heading row
+ * @property {CompareRow[]} rows
+ */
+
+/** Rows after the spec sheet: how the store sells each model. */
+const PURCHASE_ROWS = [
+    {
+        label: 'Capacidad',
+        value: (product) => window.PSM.getVariantOptions(product).storages.join(' · ')
+    },
+    {
+        label: 'Condición',
+        value: (product) => window.PSM.getVariantOptions(product).conditions
+            .map(c => CONDITION_LABELS[c] ?? c)
+            .join(' · ')
+    },
+    { label: 'Garantía',  value: (product) => window.PSM.resolveWarranty(product).title },
+    {
+        label: 'Precio',
+        value: (product) => {
+            const { min, max } = window.PSM.getPriceRange(product);
+            return min === max ? window.PSM.formatPrice(min) : `Desde ${window.PSM.formatPrice(min)}`;
+        }
+    }
+];
+
+/* --- State --- */
+
+const compareState = {
+    onlyDifferences: false
+};
+
+/* --- Data Layer --- */
+
+/**
+ * @returns {string[]|null} IDs from a shared `?ids=` link, null when absent
+ */
+const getIdsFromUrl = () => {
+    const raw = new URLSearchParams(window.location.search).get('ids');
+    return raw === null ? null : raw.split(',').map(id => id.trim()).filter(Boolean);
+};
+
+/**
+ * @param {Product[]} products - Models in the table
+ * @returns {Product[]} iPhones that could still be added
+ */
+const getAddableProducts = (products) => window.PSM.PRODUCTS.filter(product =>
+    window.PSM.compare.canCompare(product) && !products.includes(product)
+);
+
+/**
+ * @param {Product[]} products
+ * @returns {string} WhatsApp link asking for help choosing between them
+ */
+const buildWaUrl = (products) => {
+    const names = products.map(p => p.name);
+    const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} y ${names.at(-1)}` : names.join('');
+    const message = `Hola, estoy comparando ${list}. ¿Me ayudan a decidir?`;
+    return `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`;
+};
+
+/**
+ * Table sections, top to bottom: the spec groups (PSM.SPEC_GROUPS), keeping
+ * only fields at least one of the models has, then the purchase rows.
+ * @param {Product[]} products
+ * @returns {CompareSection[]}
+ */
+const buildSections = (products) => [
+    ...window.PSM.SPEC_GROUPS.map(group => ({
+        label: group.label,
+        rows: group.fields
+            .filter(field => products.some(p => p.techSpecs?.[group.key]?.[field.key]))
+            .map(field => ({ label: field.label, value: (product) => product.techSpecs?.[group.key]?.[field.key] }))
+    })),
+    { label: 'Compra', rows: PURCHASE_ROWS }
+].filter(section => section.rows.length);
+
+/* --- DOM Layer --- */
+
+/**
+ * Header cells: image, name and a remove button per model.
+ * @param {Product[]} products
+ * @returns {string} HTML string
+ */
+const renderHead = (products) => `
+    <thead>
+        <tr>
+            <th scope="col" class="compare-table__corner"></th>
+            ${products.map(product => `
+                <th scope="col" class="compare-table__product">
+                    <button type="button" class="compare-table__remove" data-compare-remove="${product.id}" aria-label="Quitar ${product.name}">×</button>
+                    <a href="producto.html?id=${product.id}" class="compare-table__link">
+                        <img class="compare-table__image" src="${window.PSM.resolveVariant(product).gallery[0]}" alt="${product.name}" loading="lazy">
+                        <span class="compare-table__name">${product.name}</span>
+                    </a>
+                </th>
+            `).join('')}
+        </tr>
+    </thead>
+`;
+
+/**
+ * Spec rows, one tbody per section. Rows whose values differ are flagged;
+ * with "Solo diferencias" the others are hidden by CSS, and so are the
+ * headings of sections where nothing differs.
+ * @param {Product[]} products
+ * @returns {string} HTML string
+ */
+const renderBody = (products) => buildSections(products).map(section => {
+    const rows = section.rows.map(row => {
+        const values = products.map(product => row.value(product) || EMPTY_VALUE);
+        return { label: row.label, values, isDifferent: new Set(values).size > 1 };
+    });
+    const hasDifferences = rows.some(row => row.isDifferent);
+
+    return `
+        <tbody>
+            <tr class="compare-table__section${hasDifferences ? ' compare-table__section--diff' : ''}">
+                <th scope="colgroup" colspan="${products.length + 1}">${section.label}</th>
+            </tr>
+            ${rows.map(row => `
+                <tr class="compare-table__row${row.isDifferent ? ' compare-table__row--diff' : ''}">
+                    <th scope="row" class="compare-table__label">${row.label}</th>
+                    ${row.values.map(value => `<td class="compare-table__cell">${value}</td>`).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+}).join('');
+
+/**
+ * @param {Product[]} products
+ */
+const renderAddSelect = (products) => {
+    const select = document.getElementById('compare-add');
+    if (!select) return;
+
+    const addable = getAddableProducts(products);
+    select.hidden = products.length >= window.PSM.compare.MAX_ITEMS || !addable.length;
+    select.innerHTML = `
+        <option value="">+ Agregar iPhone</option>
+        ${addable.map(p => `<option value="${p.id}">${p.name}</option>`).join('')}
+    `;
+};
+
+/**
+ * Renders the page for the current selection: table, or the empty state
+ * when there are fewer than two models.
+ */
+const renderCompare = () => {
+    const products = window.PSM.compare.getProducts();
+    const canCompare = products.length >= 2;
+
+    const countLabel = document.getElementById('compare-count-label');
+    if (countLabel) countLabel.textContent = `${products.length} de ${window.PSM.compare.MAX_ITEMS}`;
+
+    document.getElementById('compare-empty').hidden = canCompare;
+    document.getElementById('compare-content').hidden = !canCompare;
+
+    /* Keep `?ids=` in step with the selection so the address bar can be shared */
+    history.replaceState(null, '', window.PSM.compare.buildUrl(products.map(p => p.id)));
+    if (!canCompare) return;
+
+    const table = document.getElementById('compare-table');
+    table.classList.toggle('compare-table--only-diff', compareState.onlyDifferences);
+    table.innerHTML = renderHead(products) + renderBody(products);
+
+    renderAddSelect(products);
+    document.getElementById('compare-wa-btn').href = buildWaUrl(products);
+};
+
+/* --- Event Layer --- */
+
+/**
+ * @param {MouseEvent} e
+ */
+const handleRemove = (e) => {
+    const button = e.target.closest('[data-compare-remove]');
+    if (button) window.PSM.compare.remove(button.dataset.compareRemove);
+};
+
+/**
+ * @param {Event} e
+ */
+const handleAdd = (e) => {
+    const productId = e.target.value;
+    if (productId) window.PSM.compare.toggle(productId);
+};
+
+/**
+ * Wires all event listeners. The table is rebuilt on every change, so its
+ * buttons are delegated.
+ */
+const bindEvents = () => {
+    document.getElementById('compare-table')?.addEventListener('click', handleRemove);
+    document.getElementById('compare-add')?.addEventListener('change', handleAdd);
+
+    document.getElementById('compare-only-diff')?.addEventListener('change', (e) => {
+        compareState.onlyDifferences = e.target.checked;
+        document.getElementById('compare-table').classList.toggle('compare-table--only-diff', e.target.checked);
+    });
+
+    document.getElementById('compare-retry')?.addEventListener('click', loadCompare);
+};
+
+/* --- Init --- */
+
+/**
+ * Waits for the catalog feed, then renders. "Reintentar" calls this again.
+ */
+const loadCompare = () => {
+    const errorState = document.getElementById('compare-error');
+    errorState.hidden = true;
+
+    window.PSM.catalog.load()
+        .then(() => renderCompare())
+        .catch(() => {
+            document.getElementById('compare-empty').hidden = true;
+            document.getElementById('compare-content').hidden = true;
+            errorState.hidden = false;
+        });
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    /* A shared link replaces this browser's selection */
+    const sharedIds = getIdsFromUrl();
+    if (sharedIds) window.PSM.compare.set(sharedIds);
+
+    bindEvents();
+    loadCompare();
+
+    document.addEventListener(window.PSM.compare.CHANGE_EVENT, () => {
+        if (window.PSM.catalog.getStatus() === 'ready') renderCompare();
+    });
+    document.addEventListener('psm:currencychange', () => {
+        if (window.PSM.catalog.getStatus() === 'ready') renderCompare();
+    });
+});
@@ -0,0 +1,239 @@
+/**
+ * Phone Store Maracaibo — Shared Compare Store
+ * The iPhones picked for comparar.html, persisted in localStorage so the
+ * selection follows the customer from the catalog to product pages.
+ * Pages with a `#compare-tray` element get the floating tray; every
+ * `[data-compare-toggle]` button on the page has its state kept in sync.
+ *
+ * Only product IDs are stored, resolved against window.PSM.PRODUCTS when
+ * rendering — same approach as the cart.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.compare = (() => {
+
+    /* --- Constants --- */
+
+    const STORAGE_KEY  = 'psm:compare';
+    const CHANGE_EVENT = 'psm:comparechange';
+    const MAX_ITEMS    = 4;
+    const PAGE_URL     = 'comparar.html';
+
+    /* --- Persistence --- */
+
+    /**
+     * @returns {string[]} Product IDs, in the order they were added
+     */
+    const readIds = () => {
+        try {
+            const ids = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(ids) ? ids.filter(id => typeof id === 'string').slice(0, MAX_ITEMS) : [];
+        } catch {
+            return [];
+        }
+    };
+
+    /**
+     * Saves IDs and notifies listeners on this page.
+     * Other tabs are notified by the browser's `storage` event.
+     * @param {string[]} ids
+     */
+    const writeIds = (ids) => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+        } catch {
+            /* Storage unavailable — selection lives only until reload */
+        }
+        announceChange();
+    };
+
+    /* --- Data Layer --- */
+
+    /**
+     * Only iPhones are compared: accessory and part specs don't line up with theirs.
+     * @param {Product|null} product
+     * @returns {boolean}
+     */
+    const canCompare = (product) => product?.category === 'iphone';
+
+    /** @returns {string[]} */
+    const getIds = () => readIds();
+
+    /**
+     * @param {string} productId
+     * @returns {boolean}
+     */
+    const has = (productId) => readIds().includes(productId);
+
+    /** @returns {boolean} */
+    const isFull = () => readIds().length >= MAX_ITEMS;
+
+    /**
+     * Adds the product, or removes it if it's already picked.
+     * @param {string} productId
+     * @returns {boolean} False when it couldn't be added: full, or not an iPhone
+     */
+    const toggle = (productId) => {
+        const ids = readIds();
+
+        if (ids.includes(productId)) {
+            writeIds(ids.filter(id => id !== productId));
+            return true;
+        }
+        if (ids.length >= MAX_ITEMS || !canCompare(window.PSM.findProductById(productId))) return false;
+
+        writeIds([...ids, productId]);
+        return true;
+    };
+
+    /**
+     * @param {string} productId
+     */
+    const remove = (productId) => writeIds(readIds().filter(id => id !== productId));
+
+    /**
+     * Replaces the whole selection, e.g. from a shared comparar.html link.
+     * @param {string[]} ids
+     */
+    const set = (ids) => writeIds([...new Set(ids)].slice(0, MAX_ITEMS));
+
+    const clear = () => writeIds([]);
+
+    /**
+     * Resolves stored IDs against the catalog. Products that no longer exist
+     * (or stopped being comparable) are dropped from storage.
+     * Call it after PSM.catalog.ready().
+     * @returns {Product[]}
+     */
+    const getProducts = () => {
+        const ids = readIds();
+        const products = ids.map(id => window.PSM.findProductById(id)).filter(canCompare);
+
+        /* Never prune against a catalog that hasn't loaded — it would empty the selection */
+        const catalogReady = window.PSM.catalog?.getStatus() === 'ready';
+        if (catalogReady && products.length !== ids.length) writeIds(products.map(p => p.id));
+        return products;
+    };
+
+    /**
+     * @param {string[]} [ids]
+     * @returns {string} comparar.html link carrying the selection, so it can be shared
+     */
+    const buildUrl = (ids = readIds()) => `${PAGE_URL}?ids=${ids.map(encodeURIComponent).join(',')}`;
+
+    /* --- DOM Layer --- */
+
+    /**
+     * Marks every compare button on the page as picked or not.
+     */
+    const renderToggles = () => {
+        const ids = readIds();
+        document.querySelectorAll('[data-compare-toggle]').forEach(button => {
+            const isPicked = ids.includes(button.dataset.compareToggle);
+            button.setAttribute('aria-pressed', String(isPicked));
+            button.classList.toggle('compare-toggle--active', isPicked);
+        });
+    };
+
+    /**
+     * Renders the floating tray: picked models, a link to comparar.html and
+     * "Limpiar". Hidden when nothing is picked or the catalog isn't loaded.
+     */
+    const renderTray = () => {
+        const tray = document.getElementById('compare-tray');
+        if (!tray) return;
+
+        const products = window.PSM.catalog?.getStatus() === 'ready' ? getProducts() : [];
+        tray.hidden = products.length === 0;
+        if (!products.length) return;
+
+        const slots = Array.from({ length: MAX_ITEMS }, (_, i) => products[i] ?? null);
+        const canOpen = products.length >= 2;
+
+        tray.innerHTML = `
+            <div class="compare-tray__inner">
+                <ul class="compare-tray__items">
+                    ${slots.map(product => (product ? `
+                        <li class="compare-tray__item">
+                            <img class="compare-tray__image" src="${window.PSM.resolveVariant(product).gallery[0]}" alt="">
+                            <span class="compare-tray__name">${product.name}</span>
+                            <button type="button" class="compare-tray__remove" data-compare-remove="${product.id}" aria-label="Quitar ${product.name} de la comparación">×</button>
+                        </li>
+                    ` : '<li class="compare-tray__item compare-tray__item--empty" aria-hidden="true"></li>')).join('')}
+                </ul>
+                <div class="compare-tray__actions">
+                    <a href="${buildUrl(products.map(p => p.id))}" class="btn btn--primary btn--small compare-tray__open${canOpen ? '' : ' compare-tray__open--disabled'}" aria-disabled="${!canOpen}">
+                        Comparar (${products.length})
+                    </a>
+                    <button type="button" class="compare-tray__clear" data-compare-clear>Limpiar</button>
+                </div>
+            </div>
+            ${canOpen ? '' : '<p class="compare-tray__hint">Agrega otro iPhone para comparar</p>'}
+        `;
+    };
+
+    const announceChange = () => {
+        renderToggles();
+        renderTray();
+        document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { ids: readIds() } }));
+    };
+
+    /* --- Event Layer --- */
+
+    /**
+     * @param {MouseEvent} e
+     */
+    const handleTrayClick = (e) => {
+        const removeBtn = e.target.closest('[data-compare-remove]');
+        if (removeBtn) {
+            remove(removeBtn.dataset.compareRemove);
+            return;
+        }
+
+        if (e.target.closest('[data-compare-clear]')) {
+            clear();
+            return;
+        }
+
+        /* "Comparar" with a single model has nothing to compare yet */
+        if (e.target.closest('.compare-tray__open--disabled')) e.preventDefault();
+    };
+
+    const init = () => {
+        renderToggles();
+        renderTray();
+
+        document.getElementById('compare-tray')?.addEventListener('click', handleTrayClick);
+
+        /* Products resolve once the feed is in */
+        document.addEventListener('psm:catalogready', () => {
+            renderToggles();
+            renderTray();
+        });
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === STORAGE_KEY) announceChange();
+        });
+    };
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    return {
+        CHANGE_EVENT,
+        MAX_ITEMS,
+        canCompare,
+        getIds,
+        has,
+        isFull,
+        toggle,
+        remove,
+        set,
+        clear,
+        getProducts,
+        buildUrl,
+        renderToggles
+    };
+})();
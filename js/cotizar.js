@@ -0,0 +1,362 @@
+/**
+ * Phone Store Maracaibo — Trade-In Page (cotizar.html)
+ * Flow: model → storage → battery → cosmetic grade → defects → estimate.
+ * Every option comes from PSM.tradeIn.PRICING, so sales changes the table,
+ * not this page. The result sends the whole assessment to sales over
+ * WhatsApp and is saved so product pages can apply it as credit.
+ * Opened from a product page (`?for=<product id>`), it offers to go back
+ * with the credit applied to that product.
+ *
+ * Data dependency: products.data.js, currency.js and tradein.store.js must load first.
+ */
+
+'use strict';
+
+/* --- Constants --- */
+
+const WHATSAPP_NUMBER = '584146395496';
+const WHATSAPP_BASE   = 'https://wa.me/';
+
+/**
+ * @typedef {Object} TradeInStep
+ * @property {string} key    - Assessment field, and the fieldset's data-step
+ * @property {string} label  - Progress list label
+ * @property {function(TradeInAssessment): boolean} isAnswered
+ */
+
+/** @type {TradeInStep[]} Wizard order; the result comes after the last one */
+const STEPS = [
+    { key: 'model',   label: 'Modelo',    isAnswered: (a) => Boolean(a.model) },
+    { key: 'storage', label: 'Capacidad', isAnswered: (a) => Boolean(a.storage) },
+    { key: 'battery', label: 'Batería',   isAnswered: (a) => Boolean(a.battery) },
+    { key: 'grade',   label: 'Estado',    isAnswered: (a) => Boolean(a.grade) },
+    { key: 'defects', label: 'Fallas',    isAnswered: () => true }
+];
+
+/* --- State --- */
+
+/**
+ * Current step (STEPS.length = result) and the answers so far.
+ * Single source of truth for the form.
+ */
+const wizard = {
+    step: 0,
+    /** @type {TradeInAssessment} */
+    assessment: { model: '', storage: '', battery: '', grade: '', defects: [] },
+    /** @type {Product|null} Product the credit is meant for (`?for=`) */
+    forProduct: null
+};
+
+/* --- Data Layer --- */
+
+/**
+ * @returns {string|null} Product ID from `?for=`, null when absent
+ */
+const getForIdFromUrl = () => new URLSearchParams(window.location.search).get('for');
+
+/** @returns {boolean} True on the result screen */
+const isOnResult = () => wizard.step === STEPS.length;
+
+/**
+ * The full assessment for sales: answers, estimate and, when it came from
+ * a product page, the product it's meant to pay for.
+ * @param {TradeInAssessment} assessment
+ * @param {TradeInEstimate} result
+ * @returns {string}
+ */
+const buildAssessmentMessage = (assessment, result) => [
+    'Hola, quiero cotizar mi iPhone usado como parte de pago.',
+    '',
+    ...window.PSM.tradeIn.describeAssessment(assessment),
+    '',
+    result.isEligible
+        ? `Estimado en la web: ${window.PSM.tradeIn.formatRange(result)}`
+        : 'La web indica que necesita revisión en tienda.',
+    wizard.forProduct ? `Lo quiero usar para: ${wizard.forProduct.name}` : null
+].filter(line => line !== null).join('\n');
+
+/**
+ * @param {string} message
+ * @returns {string}
+ */
+const buildWaUrl = (message) => `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`;
+
+/* --- DOM Layer --- */
+
+/**
+ * Radio or checkbox cards for one question.
+ * @param {string} name - Input name, the assessment field
+ * @param {string} type - 'radio' | 'checkbox'
+ * @param {Object<string, { label: string, detail?: string }>} options
+ * @returns {string} HTML string
+ */
+const renderOptions = (name, type, options) => Object.entries(options).map(([value, option]) => `
+    <label class="tradein-option">
+        <input type="${type}" name="${name}" value="${value}" class="tradein-option__input">
+        <span class="tradein-option__body">
+            <span class="tradein-option__label">${option.label}</span>
+            ${option.detail ? `<span class="tradein-option__detail">${option.detail}</span>` : ''}
+        </span>
+    </label>
+`).join('');
+
+/**
+ * Builds the questions that don't depend on earlier answers: the model
+ * select (one optgroup per series), battery, grade and defects.
+ */
+const renderStaticOptions = () => {
+    const { PRICING, getModels } = window.PSM.tradeIn;
+    const models = getModels();
+    const series = [...new Set(models.map(model => model.series))];
+
+    document.getElementById('tradein-model').innerHTML = `
+        <option value="">Elige tu modelo</option>
+        ${series.map(number => `
+            <optgroup label="Serie ${number}">
+                ${models.filter(model => model.series === number)
+                    .map(model => `<option value="${model.id}">${model.label}</option>`)
+                    .join('')}
+            </optgroup>
+        `).join('')}
+    `;
+
+    document.getElementById('tradein-battery').innerHTML = renderOptions('battery', 'radio', PRICING.battery);
+    document.getElementById('tradein-grade').innerHTML   = renderOptions('grade', 'radio', PRICING.grades);
+    document.getElementById('tradein-defects').innerHTML = renderOptions('defects', 'checkbox', PRICING.defects);
+};
+
+/**
+ * Capacity chips for the chosen model.
+ */
+const renderStorageOptions = () => {
+    const container = document.getElementById('tradein-storage');
+    const model = window.PSM.tradeIn.PRICING.models[wizard.assessment.model];
+    const storages = Object.fromEntries((model?.storages ?? []).map(storage => [storage, { label: storage }]));
+    container.innerHTML = renderOptions('storage', 'radio', storages);
+};
+
+/**
+ * Puts the answers in state back into the inputs, e.g. after a saved
+ * assessment was restored or the storage chips were rebuilt.
+ */
+const syncInputs = () => {
+    const { assessment } = wizard;
+    document.getElementById('tradein-model').value = assessment.model;
+
+    document.querySelectorAll('#tradein-form .tradein-option__input').forEach(input => {
+        const value = assessment[input.name];
+        input.checked = Array.isArray(value) ? value.includes(input.value) : value === input.value;
+    });
+};
+
+/**
+ * Progress list: done steps can be clicked to go back and change the answer.
+ */
+const renderSteps = () => {
+    const list = document.getElementById('tradein-steps');
+    list.innerHTML = [...STEPS, { key: 'result', label: 'Estimado' }].map((step, index) => {
+        const state = index < wizard.step ? 'done' : index === wizard.step ? 'current' : 'pending';
+        const label = index < wizard.step
+            ? `<button type="button" class="tradein-steps__button" data-goto-step="${index}">${step.label}</button>`
+            : step.label;
+        return `
+            <li class="tradein-steps__item tradein-steps__item--${state}"${state === 'current' ? ' aria-current="step"' : ''}>
+                ${label}
+            </li>
+        `;
+    }).join('');
+};
+
+/**
+ * Estimate screen: credit range (in the display currency), how it was
+ * reached, and the actions.
+ */
+const renderResult = () => {
+    const container = document.getElementById('tradein-result');
+    const { assessment, forProduct } = wizard;
+    const result = window.PSM.tradeIn.estimate(assessment);
+    const format = window.PSM.formatPrice;
+
+    const waUrl = buildWaUrl(buildAssessmentMessage(assessment, result));
+    const applyAction = forProduct
+        ? `<a href="producto.html?id=${forProduct.id}" class="btn btn--primary" data-tradein-apply="${forProduct.id}">Usar en ${forProduct.name}</a>`
+        : '<a href="catalogo.html?category=iphone" class="btn btn--primary" data-tradein-apply="">Elegir mi nuevo iPhone</a>';
+
+    container.innerHTML = result.isEligible ? `
+        <p class="tradein-result__device">${window.PSM.tradeIn.describeDevice(assessment)}</p>
+        <p class="tradein-result__label">Crédito estimado para tu próximo equipo</p>
+        <p class="tradein-result__range">${format(result.min)} – ${format(result.max)}</p>
+        <ul class="tradein-result__breakdown">
+            ${result.breakdown.map(line => `
+                <li class="tradein-result__line">
+                    <span>${line.label}</span>
+                    <span>${line.amount < 0 ? '−' : ''}${format(Math.abs(line.amount))}</span>
+                </li>
+            `).join('')}
+        </ul>
+        <p class="tradein-result__note">Es un estimado: la oferta final la confirmamos al revisar el equipo en tienda.</p>
+        <div class="tradein-result__actions">
+            ${applyAction}
+            <a href="${waUrl}" target="_blank" rel="noopener" class="btn btn--secondary">Enviar a un asesor por WhatsApp</a>
+        </div>
+    ` : `
+        <p class="tradein-result__device">${window.PSM.tradeIn.describeDevice(assessment)}</p>
+        <p class="tradein-result__label">Este equipo lo evaluamos en persona</p>
+        <p class="tradein-result__note">
+            Con estas fallas no podemos darte un estimado en línea, pero igual puede servirte como parte de pago.
+            Escríbenos y un asesor te dice cuánto vale.
+        </p>
+        <div class="tradein-result__actions">
+            <a href="${waUrl}" target="_blank" rel="noopener" class="btn btn--primary">Enviar a un asesor por WhatsApp</a>
+        </div>
+    `;
+    container.insertAdjacentHTML('beforeend', '<button type="button" class="tradein-result__restart" id="tradein-restart">Cotizar otro equipo</button>');
+};
+
+/**
+ * Shows the current step (or the result) and updates the navigation.
+ */
+const renderWizard = () => {
+    document.querySelectorAll('.tradein-step').forEach(fieldset => {
+        fieldset.hidden = isOnResult() || fieldset.dataset.step !== STEPS[wizard.step].key;
+    });
+
+    const result = document.getElementById('tradein-result');
+    result.hidden = !isOnResult();
+    if (isOnResult()) renderResult();
+
+    document.getElementById('tradein-nav').hidden = isOnResult();
+    document.getElementById('tradein-back').hidden = wizard.step === 0;
+
+    const next = document.getElementById('tradein-next');
+    if (!isOnResult()) {
+        next.disabled = !STEPS[wizard.step].isAnswered(wizard.assessment);
+        next.textContent = wizard.step === STEPS.length - 1 ? 'Ver mi estimado' : 'Siguiente';
+    }
+
+    renderSteps();
+};
+
+/**
+ * "Cotización para: iPhone 16" under the title when opened from a product.
+ */
+const renderForProduct = () => {
+    const note = document.getElementById('tradein-for');
+    if (!note) return;
+    note.hidden = !wizard.forProduct;
+    if (wizard.forProduct) note.textContent = `Cotización como parte de pago de: ${wizard.forProduct.name}`;
+};
+
+/* --- Event Layer --- */
+
+/**
+ * Answers flow into state as they change; the storage chips depend on the model.
+ * @param {Event} e
+ */
+const handleInput = (e) => {
+    const input = e.target;
+    const { assessment } = wizard;
+
+    if (input.id === 'tradein-model') {
+        assessment.model = input.value;
+        assessment.storage = '';
+        renderStorageOptions();
+    } else if (input.name === 'defects') {
+        assessment.defects = [...document.querySelectorAll('input[name="defects"]:checked')].map(box => box.value);
+    } else if (input.name in assessment) {
+        assessment[input.name] = input.value;
+    }
+
+    document.getElementById('tradein-next').disabled = !STEPS[wizard.step].isAnswered(assessment);
+};
+
+/**
+ * "Siguiente" / "Ver mi estimado". Reaching the result saves the
+ * assessment so product pages can offer it as credit.
+ * @param {SubmitEvent} e
+ */
+const handleNext = (e) => {
+    e.preventDefault();
+    if (isOnResult() || !STEPS[wizard.step].isAnswered(wizard.assessment)) return;
+
+    wizard.step += 1;
+    if (isOnResult()) window.PSM.tradeIn.save(wizard.assessment);
+    renderWizard();
+};
+
+/**
+ * @param {number} step
+ */
+const goToStep = (step) => {
+    wizard.step = Math.max(0, Math.min(step, STEPS.length));
+    renderWizard();
+};
+
+/**
+ * Result actions: applying the credit marks the saved trade-in for that
+ * product before the link navigates; "Cotizar otro equipo" starts over.
+ * @param {MouseEvent} e
+ */
+const handleResultClick = (e) => {
+    const apply = e.target.closest('[data-tradein-apply]');
+    if (apply) {
+        window.PSM.tradeIn.save(wizard.assessment, apply.dataset.tradeinApply || null);
+        return;
+    }
+
+    if (e.target.closest('#tradein-restart')) {
+        wizard.assessment = { model: '', storage: '', battery: '', grade: '', defects: [] };
+        renderStorageOptions();
+        syncInputs();
+        goToStep(0);
+    }
+};
+
+/**
+ * Wires all event listeners. Options are rebuilt, so inputs are delegated to the form.
+ */
+const bindEvents = () => {
+    const form = document.getElementById('tradein-form');
+    form.addEventListener('change', handleInput);
+    form.addEventListener('submit', handleNext);
+
+    document.getElementById('tradein-back').addEventListener('click', () => goToStep(wizard.step - 1));
+    document.getElementById('tradein-steps').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-goto-step]');
+        if (button) goToStep(Number(button.dataset.gotoStep));
+    });
+    document.getElementById('tradein-result').addEventListener('click', handleResultClick);
+
+    /* The estimate is shown in the display currency */
+    document.addEventListener('psm:currencychange', () => {
+        if (isOnResult()) renderResult();
+    });
+};
+
+/* --- Init --- */
+
+document.addEventListener('DOMContentLoaded', () => {
+    renderStaticOptions();
+
+    /* A returning customer starts from their last answers */
+    const saved = window.PSM.tradeIn.getSaved();
+    if (saved) wizard.assessment = { ...saved.assessment, defects: [...saved.assessment.defects] };
+    renderStorageOptions();
+    syncInputs();
+
+    bindEvents();
+    renderWizard();
+
+    /* The product name for `?for=` needs the catalog; the wizard works without it */
+    const forId = getForIdFromUrl();
+    if (forId) {
+        window.PSM.catalog.ready()
+            .then(() => {
+                const product = window.PSM.findProductById(forId);
+                wizard.forProduct = product?.category === 'iphone' ? product : null;
+                renderForProduct();
+                if (isOnResult()) renderResult();
+            })
+            .catch(() => {});
+    }
+});
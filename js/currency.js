@@ -0,0 +1,257 @@
+/**
+ * Phone Store Maracaibo — Currency Subsystem
+ * Shows every price in USD or bolívares (VES) using a configurable rate.
+ *
+ * Prices in the catalog feed (data/products.json) are always stored in USD. This module only
+ * changes how they are displayed: it owns the active currency, the USD→VES
+ * rate, and replaces window.PSM.formatPrice with a currency-aware version.
+ *
+ * Flow: restore saved currency → load rate JSON → announce change.
+ * Pages re-render prices by listening to the `psm:currencychange` event.
+ *
+ * Load order: products.data.js → currency.js → page script.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.currency = (() => {
+
+    /* --- Constants --- */
+
+    const RATE_URL         = 'data/exchange-rate.json';
+    const STORAGE_KEY      = 'psm:currency';
+    const RATE_STORAGE_KEY = 'psm:exchange-rate';
+    const CHANGE_EVENT     = 'psm:currencychange';
+    const SUPPORTED        = ['USD', 'VES'];
+    const TIMEOUT_MS       = 10000;
+
+    /**
+     * Last-resort rate if the JSON can't be fetched and nothing is cached
+     * (e.g. first visit opened from file://). Keep roughly in sync with the JSON.
+     */
+    const FALLBACK_RATE = { rate: 215.38, updatedAt: null, source: null };
+
+    /* --- State --- */
+
+    /**
+     * @typedef {Object} ExchangeRate
+     * @property {number}      rate      - Bolívares per 1 USD
+     * @property {string|null} updatedAt - ISO timestamp of the last rate update
+     * @property {string|null} source    - Where the rate comes from (e.g. 'BCV')
+     */
+
+    const state = {
+        currency: 'USD',
+        /** @type {ExchangeRate} */
+        exchange: { ...FALLBACK_RATE }
+    };
+
+    /* --- Persistence --- */
+
+    /**
+     * Reads a JSON value from localStorage without throwing
+     * (private mode and full storage both throw on access).
+     * @param {string} key
+     * @returns {*|null}
+     */
+    const readStorage = (key) => {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     */
+    const writeStorage = (key, value) => {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch {
+            /* Storage unavailable — preference just won't persist */
+        }
+    };
+
+    /* --- Data Layer --- */
+
+    /**
+     * @param {*} data
+     * @returns {boolean} True when the payload has a usable positive rate
+     */
+    const isValidRate = (data) =>
+        Boolean(data) && typeof data.rate === 'number' && data.rate > 0;
+
+    /**
+     * Fetches the configured rate. Falls back to the last cached rate,
+     * then to FALLBACK_RATE, so prices always render.
+     * @returns {Promise<ExchangeRate>}
+     */
+    const loadRate = async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+        try {
+            const response = await fetch(RATE_URL, { cache: 'no-cache', signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            if (!isValidRate(data)) throw new Error('Invalid rate payload');
+
+            const exchange = {
+                rate:      data.rate,
+                updatedAt: data.updatedAt ?? null,
+                source:    data.source ?? null
+            };
+            writeStorage(RATE_STORAGE_KEY, exchange);
+            return exchange;
+        } catch {
+            const cached = readStorage(RATE_STORAGE_KEY);
+            return isValidRate(cached) ? cached : { ...FALLBACK_RATE };
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    /**
+     * Converts a USD amount to the active currency.
+     * @param {number} usd
+     * @param {string} [currency]
+     * @returns {number}
+     */
+    const convert = (usd, currency = state.currency) =>
+        currency === 'VES' ? usd * state.exchange.rate : usd;
+
+    /**
+     * Formats a USD amount in the given currency.
+     * USD: "$1.399" (whole dollars). VES: "Bs. 301.316,62".
+     * @param {number} usd
+     * @param {string} [currency] - Defaults to the active currency
+     * @returns {string}
+     */
+    const format = (usd, currency = state.currency) => {
+        if (currency === 'VES') {
+            const amount = new Intl.NumberFormat('es-VE', {
+                minimumFractionDigits: 2,
+                maximumFractionDigits: 2
+            }).format(convert(usd, 'VES'));
+            return `Bs. ${amount}`;
+        }
+        return window.PSM.formatUsd(usd);
+    };
+
+    /**
+     * Human-readable rate line, e.g. "Tasa BCV: Bs. 215,38 · 18/10/2026".
+     * @returns {string}
+     */
+    const describeRate = () => {
+        const { rate, updatedAt, source } = state.exchange;
+        const rateText = new Intl.NumberFormat('es-VE', { minimumFractionDigits: 2 }).format(rate);
+        const label = source ? `Tasa ${source}` : 'Tasa';
+        const date = updatedAt
+            ? ` · ${new Date(updatedAt).toLocaleDateString('es-VE')}`
+            : '';
+        return `${label}: Bs. ${rateText}${date}`;
+    };
+
+    /* --- DOM Layer --- */
+
+    /**
+     * Syncs every currency toggle in the page with the active currency.
+     */
+    const renderToggles = () => {
+        document.querySelectorAll('[data-currency-toggle]').forEach(toggle => {
+            toggle.querySelectorAll('[data-currency-option]').forEach(option => {
+                const isActive = option.dataset.currencyOption === state.currency;
+                option.classList.toggle('currency-toggle__option--active', isActive);
+            });
+            toggle.setAttribute('aria-label', `Moneda: ${state.currency}. Cambiar moneda`);
+            toggle.title = describeRate();
+        });
+    };
+
+    /**
+     * Notifies pages that displayed prices must be refreshed.
+     */
+    const announceChange = () => {
+        renderToggles();
+        document.dispatchEvent(new CustomEvent(CHANGE_EVENT, {
+            detail: { currency: state.currency, exchange: { ...state.exchange } }
+        }));
+    };
+
+    /* --- Public API --- */
+
+    /** @returns {string} 'USD' | 'VES' */
+    const getCurrency = () => state.currency;
+
+    /** @returns {ExchangeRate} */
+    const getExchange = () => ({ ...state.exchange });
+
+    /**
+     * Changes the active currency, persists it and re-renders prices.
+     * @param {string} currency - 'USD' | 'VES'
+     */
+    const setCurrency = (currency) => {
+        if (!SUPPORTED.includes(currency) || currency === state.currency) return;
+        state.currency = currency;
+        writeStorage(STORAGE_KEY, currency);
+        announceChange();
+    };
+
+    /**
+     * Restores the saved currency and last cached rate.
+     * Runs at load time, before any page script renders a price.
+     */
+    const restore = () => {
+        const saved = readStorage(STORAGE_KEY);
+        if (SUPPORTED.includes(saved)) state.currency = saved;
+
+        const cached = readStorage(RATE_STORAGE_KEY);
+        if (isValidRate(cached)) state.exchange = cached;
+    };
+
+    /**
+     * Wires the nav toggles and loads the configured rate.
+     * Announces a change only if the fetched rate differs from the cached one.
+     */
+    const init = async () => {
+        document.querySelectorAll('[data-currency-toggle]').forEach(toggle => {
+            toggle.addEventListener('click', () => {
+                setCurrency(state.currency === 'USD' ? 'VES' : 'USD');
+            });
+        });
+        renderToggles();
+
+        const fresh = await loadRate();
+        const changed = fresh.rate !== state.exchange.rate ||
+            fresh.updatedAt !== state.exchange.updatedAt;
+        state.exchange = fresh;
+
+        if (changed) announceChange();
+        else renderToggles();
+    };
+
+    restore();
+    document.addEventListener('DOMContentLoaded', init);
+
+    return {
+        CHANGE_EVENT,
+        getCurrency,
+        getExchange,
+        setCurrency,
+        format,
+        describeRate
+    };
+})();
+
+/**
+ * Formats a USD amount in the shopper's active currency.
+ * Replaces the USD-only default from products.data.js so every caller switches live.
+ * @param {number} amount - Amount in USD
+ * @returns {string}
+ */
+window.PSM.formatPrice = (amount) => window.PSM.currency.format(amount);
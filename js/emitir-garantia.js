@@ -0,0 +1,243 @@
+/**
+ * Phone Store Maracaibo — Warranty Certificate Generator (emitir-garantia.html)
+ * Sales fills in the sale — product, IMEI/serial, purchase date, store — and
+ * gets a certificate to print or save as PDF, plus a link to send the
+ * customer. Coverage days come from PSM.resolveWarranty (60 iPhone / 30
+ * accessories and parts) and are fixed in the code when it's issued.
+ *
+ * Nothing is stored: the certificate code carries all the data (see warranty.js).
+ *
+ * Data dependency: products.data.js and warranty.js must load first.
+ */
+
+'use strict';
+
+/* --- Constants --- */
+
+const CATEGORY_GROUPS = { iphone: 'iPhone', accesorio: 'Accesorios', repuesto: 'Repuestos' };
+
+/* --- State --- */
+
+/** Last certificate generated, for the print / copy / share actions */
+const issued = {
+    /** @type {string|null} */
+    code: null,
+    /** @type {WarrantyCertificate|null} */
+    certificate: null
+};
+
+/* --- Data Layer --- */
+
+/**
+ * @returns {Product|undefined}
+ */
+const getSelectedProduct = () => window.PSM.findProductById(document.getElementById('issue-product').value);
+
+/**
+ * Reads and validates the form.
+ * @returns {{ certificate: WarrantyCertificate|null, errors: Object<string, string> }}
+ */
+const readForm = () => {
+    const product = getSelectedProduct();
+    const serial  = document.getElementById('issue-serial').value;
+    const date    = document.getElementById('issue-date').value;
+    const storeId = document.getElementById('issue-store').value;
+
+    const errors = {};
+    if (!product) errors.product = 'Elige el producto vendido.';
+
+    const serialError = window.PSM.warranty.validateSerial(serial);
+    if (serialError) errors.serial = serialError;
+
+    if (!date) errors.date = 'Indica la fecha de compra.';
+    else if (date > window.PSM.warranty.getStoreToday(storeId)) errors.date = 'La fecha de compra no puede ser futura.';
+
+    if (Object.keys(errors).length) return { certificate: null, errors };
+
+    return {
+        certificate: {
+            productId: product.id,
+            variantId: product.variants?.length ? document.getElementById('issue-variant').value : '',
+            serial: window.PSM.warranty.normalizeSerial(serial),
+            purchaseDate: date,
+            storeId,
+            days: window.PSM.resolveWarranty(product).days
+        },
+        errors
+    };
+};
+
+/**
+ * Message for the customer, sent from the store's WhatsApp.
+ * @returns {string}
+ */
+const buildCustomerMessage = () => {
+    const { name, variant } = window.PSM.warranty.describeProduct(issued.certificate);
+    return [
+        `Tu garantía de Phone Store Maracaibo para ${name}${variant ? ` (${variant})` : ''}.`,
+        `Código: ${issued.code}`,
+        `Consulta los días que te quedan aquí: ${window.PSM.warranty.buildLookupUrl(issued.code)}`
+    ].join('\n');
+};
+
+/* --- DOM Layer --- */
+
+/**
+ * Product select, grouped by category.
+ * @param {Product[]} products
+ */
+const renderProductOptions = (products) => {
+    document.getElementById('issue-product').innerHTML = `
+        <option value="">Elige un producto</option>
+        ${Object.entries(CATEGORY_GROUPS).map(([category, label]) => `
+            <optgroup label="${label}">
+                ${products.filter(p => p.category === category)
+                    .map(p => `<option value="${p.id}">${p.name}</option>`)
+                    .join('')}
+            </optgroup>
+        `).join('')}
+    `;
+};
+
+/**
+ * Variant select for the chosen product, and the coverage it gets.
+ */
+const renderProductDetails = () => {
+    const product = getSelectedProduct();
+    const variants = product?.variants ?? [];
+
+    document.getElementById('issue-variant-group').hidden = variants.length === 0;
+    document.getElementById('issue-variant').innerHTML = variants
+        .map(v => `<option value="${v.id}">${window.PSM.describeVariant(product, v)}</option>`)
+        .join('');
+
+    document.getElementById('issue-days').textContent = product
+        ? window.PSM.resolveWarranty(product).title
+        : 'Elige un producto';
+};
+
+/**
+ * @param {Object<string, string>} errors - Keyed by field: product, serial, date
+ */
+const renderErrors = (errors) => {
+    ['product', 'serial', 'date'].forEach(field => {
+        document.getElementById(`error-${field}`).textContent = errors[field] ?? '';
+        document.getElementById(`issue-${field}`).classList.toggle('admin-form__input--error', Boolean(errors[field]));
+    });
+};
+
+const renderCertificate = () => {
+    const result = document.getElementById('issue-result');
+    result.hidden = false;
+    document.getElementById('issue-certificate').innerHTML =
+        window.PSM.warranty.renderCertificate(issued.certificate, issued.code);
+    document.getElementById('issue-whatsapp').href =
+        `https://wa.me/?text=${encodeURIComponent(buildCustomerMessage())}`;
+    document.getElementById('issue-status').textContent = `Certificado ${issued.code}`;
+    result.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+/* --- Event Layer --- */
+
+/**
+ * @param {SubmitEvent} e
+ */
+const handleSubmit = (e) => {
+    e.preventDefault();
+    const { certificate, errors } = readForm();
+    renderErrors(errors);
+    if (!certificate) return;
+
+    const code = window.PSM.warranty.encode(certificate);
+    if (!code) {
+        renderErrors({ product: 'El ID de este producto no admite certificado; corrígelo en el catálogo.' });
+        return;
+    }
+
+    issued.certificate = certificate;
+    issued.code = code;
+    renderCertificate();
+};
+
+const handleCopy = async () => {
+    if (!issued.code) return;
+    try {
+        await navigator.clipboard.writeText(window.PSM.warranty.buildLookupUrl(issued.code));
+        showToast('Enlace copiado');
+    } catch {
+        showToast(`Código: ${issued.code}`);
+    }
+};
+
+const bindEvents = () => {
+    document.getElementById('issue-form').addEventListener('submit', handleSubmit);
+    document.getElementById('issue-product').addEventListener('change', renderProductDetails);
+    document.getElementById('issue-print').addEventListener('click', () => window.print());
+    document.getElementById('issue-copy').addEventListener('click', handleCopy);
+    document.getElementById('issue-retry').addEventListener('click', loadGenerator);
+};
+
+/* --- Utility --- */
+
+/**
+ * Toast notification (same look as the catalog editor).
+ * @param {string} message
+ */
+const showToast = (message) => {
+    const existing = document.getElementById('psm-toast');
+    if (existing) existing.remove();
+
+    const toast = document.createElement('div');
+    toast.id = 'psm-toast';
+    toast.textContent = message;
+    toast.style.cssText = `
+        position: fixed; bottom: 2rem; left: 50%; transform: translateX(-50%);
+        background: #ffffff; color: #000; padding: 0.75rem 1.5rem;
+        border-radius: 9999px; font-size: 0.875rem; font-weight: 500;
+        z-index: 9999; opacity: 0; transition: opacity 300ms ease;
+        pointer-events: none; font-family: var(--font-family);
+    `;
+
+    document.body.appendChild(toast);
+    requestAnimationFrame(() => { toast.style.opacity = '1'; });
+    setTimeout(() => {
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 300);
+    }, 3500);
+};
+
+/* --- Init --- */
+
+/**
+ * Loads the catalog for the product list; shows the error state if it fails.
+ */
+const loadGenerator = () => {
+    const layout = document.getElementById('issue-layout');
+    const errorState = document.getElementById('issue-error');
+    errorState.hidden = true;
+
+    window.PSM.catalog.load()
+        .then((products) => {
+            renderProductOptions(products);
+            renderProductDetails();
+            layout.hidden = false;
+            document.getElementById('issue-status').textContent = 'Completa los datos de la venta';
+        })
+        .catch(() => {
+            document.getElementById('issue-status').textContent = 'Sin catálogo';
+            errorState.hidden = false;
+        });
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const storeSelect = document.getElementById('issue-store');
+    storeSelect.innerHTML = Object.entries(window.PSM.STORES)
+        .map(([id, store]) => `<option value="${id}">${store.name}</option>`)
+        .join('');
+
+    /* Most certificates are issued the day of the sale */
+    document.getElementById('issue-date').value = window.PSM.warranty.getStoreToday(storeSelect.value);
+
+    bindEvents();
+    loadGenerator();
+});
@@ -0,0 +1,128 @@
+/**
+ * Phone Store Maracaibo — Shared Favorites Store
+ * Products the customer hearted, persisted in localStorage so the list
+ * survives between visits and can be sent to sales over WhatsApp.
+ * Every `[data-favorite-toggle]` button on the page has its state kept in
+ * sync: catalog cards and the product detail page.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.favorites = (() => {
+
+    /* --- Constants --- */
+
+    const STORAGE_KEY  = 'psm:favorites';
+    const CHANGE_EVENT = 'psm:favoriteschange';
+
+    /* --- Persistence --- */
+
+    /**
+     * @returns {string[]} Product IDs, in the order they were added
+     */
+    const readIds = () => {
+        try {
+            const ids = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+        } catch {
+            return [];
+        }
+    };
+
+    /**
+     * Saves IDs and notifies listeners on this page.
+     * Other tabs are notified by the browser's `storage` event.
+     * @param {string[]} ids
+     */
+    const writeIds = (ids) => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+        } catch {
+            /* Storage unavailable — favorites live only until reload */
+        }
+        announceChange();
+    };
+
+    /* --- Data Layer --- */
+
+    /** @returns {string[]} */
+    const getIds = () => readIds();
+
+    /**
+     * @param {string} productId
+     * @returns {boolean}
+     */
+    const has = (productId) => readIds().includes(productId);
+
+    /**
+     * Adds the product, or removes it if it's already a favorite.
+     * @param {string} productId
+     * @returns {boolean} True when the product is now a favorite
+     */
+    const toggle = (productId) => {
+        const ids = readIds();
+        const isFavorite = ids.includes(productId);
+        writeIds(isFavorite ? ids.filter(id => id !== productId) : [...ids, productId]);
+        return !isFavorite;
+    };
+
+    const clear = () => writeIds([]);
+
+    /**
+     * Resolves stored IDs against the catalog. Products that no longer exist
+     * are dropped from storage. Call it after PSM.catalog.ready().
+     * @returns {Product[]}
+     */
+    const getProducts = () => {
+        const ids = readIds();
+        const products = ids.map(id => window.PSM.findProductById(id)).filter(Boolean);
+
+        /* Never prune against a catalog that hasn't loaded — it would empty the list */
+        const catalogReady = window.PSM.catalog?.getStatus() === 'ready';
+        if (catalogReady && products.length !== ids.length) writeIds(products.map(p => p.id));
+        return products;
+    };
+
+    /* --- DOM Layer --- */
+
+    /**
+     * Marks every heart on the page as filled or not.
+     */
+    const renderToggles = () => {
+        const ids = readIds();
+        document.querySelectorAll('[data-favorite-toggle]').forEach(button => {
+            const isFavorite = ids.includes(button.dataset.favoriteToggle);
+            button.setAttribute('aria-pressed', String(isFavorite));
+            button.classList.toggle('favorite-toggle--active', isFavorite);
+        });
+    };
+
+    const announceChange = () => {
+        renderToggles();
+        document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { ids: readIds() } }));
+    };
+
+    /* --- Init --- */
+
+    const init = () => {
+        renderToggles();
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === STORAGE_KEY) announceChange();
+        });
+    };
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    return {
+        CHANGE_EVENT,
+        getIds,
+        has,
+        toggle,
+        clear,
+        getProducts,
+        renderToggles
+    };
+})();
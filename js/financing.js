@@ -0,0 +1,176 @@
+/**
+ * Phone Store Maracaibo — Installment Plans
+ * Plans the store offers to pay in parts (initial payment today, the rest
+ * in fixed installments, no credit card) and the payment schedule of a
+ * purchase under each one. producto.js shows the calculator and sends the
+ * chosen plan with the WhatsApp inquiry; approval is done by sales.
+ *
+ * All amounts are whole USD, like the catalog prices, so the schedule adds
+ * up exactly to the total shown in any currency.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.financing = (() => {
+
+    /* --- Plans --- */
+
+    /**
+     * @typedef {Object} FinancingPlan
+     * @property {string} id
+     * @property {string} label        - Chip text ('3 cuotas quincenales')
+     * @property {number} downPayment  - Share of the price paid today, 0–1
+     * @property {number} installments - Payments after the initial one
+     * @property {number} intervalDays - Days between payments
+     * @property {number} interestRate - Flat charge on the financed amount, 0.05 = 5%
+     * @property {number} fee          - Opening fee in USD, paid with the initial payment
+     * @property {number} minAmount    - Lowest price in USD the plan is offered for
+     */
+
+    /**
+     * What sales offers today, in chip order. Edit here when terms change;
+     * a quote already sent over WhatsApp keeps the figures it had.
+     * @type {FinancingPlan[]}
+     */
+    const PLANS = [
+        { id: 'quincenal-3', label: '3 cuotas quincenales', downPayment: 0.4, installments: 3,  intervalDays: 14, interestRate: 0,    fee: 0,  minAmount: 50 },
+        { id: 'quincenal-6', label: '6 cuotas quincenales', downPayment: 0.4, installments: 6,  intervalDays: 14, interestRate: 0.05, fee: 0,  minAmount: 200 },
+        { id: 'mensual-6',   label: '6 cuotas mensuales',   downPayment: 0.3, installments: 6,  intervalDays: 30, interestRate: 0.1,  fee: 15, minAmount: 400 },
+        { id: 'mensual-12',  label: '12 cuotas mensuales',  downPayment: 0.3, installments: 12, intervalDays: 30, interestRate: 0.2,  fee: 15, minAmount: 800 }
+    ];
+
+    /* --- Schedule --- */
+
+    /**
+     * @typedef {Object} FinancingPayment
+     * @property {number} number - 0 for the initial payment, then 1…installments
+     * @property {Date}   date   - Due date, counting from the purchase day
+     * @property {number} amount - USD
+     */
+
+    /**
+     * @typedef {Object} FinancingSchedule
+     * @property {FinancingPlan}      plan
+     * @property {number}             price       - Cash price in USD
+     * @property {number}             downPayment - Initial share of the price, without the fee
+     * @property {number}             interest    - USD charged for financing
+     * @property {number}             installment - Regular installment; the last ones may be a dollar lower
+     * @property {FinancingPayment[]} payments    - Initial payment (with the fee) first
+     * @property {number}             total       - Everything paid: price + interest + fee
+     */
+
+    /**
+     * @param {string} id
+     * @returns {FinancingPlan|undefined}
+     */
+    const findPlan = (id) => PLANS.find(plan => plan.id === id);
+
+    /**
+     * @param {FinancingPlan} plan
+     * @param {number} price - USD
+     * @returns {boolean}
+     */
+    const isEligible = (plan, price) => price >= plan.minAmount;
+
+    /**
+     * Splits a purchase into the plan's payments. Installments are whole
+     * dollars: the leftover dollars go one each to the first installments,
+     * so no installment is ever more than a dollar off the others.
+     * @param {FinancingPlan} plan
+     * @param {number} price - Cash price in USD
+     * @param {Date} [today] - Purchase day
+     * @returns {FinancingSchedule}
+     */
+    const buildSchedule = (plan, price, today = new Date()) => {
+        const downPayment = Math.round(price * plan.downPayment);
+        const financed    = price - downPayment;
+        const interest    = Math.round(financed * plan.interestRate);
+        const owed        = financed + interest;
+        const base        = Math.floor(owed / plan.installments);
+        const remainder   = owed - base * plan.installments;
+        const installment = remainder ? base + 1 : base;
+
+        const dueDate = (days) => {
+            const date = new Date(today);
+            date.setDate(date.getDate() + days);
+            return date;
+        };
+
+        const payments = [
+            { number: 0, date: dueDate(0), amount: downPayment + plan.fee },
+            ...Array.from({ length: plan.installments }, (_, i) => ({
+                number: i + 1,
+                date:   dueDate((i + 1) * plan.intervalDays),
+                amount: i < remainder ? base + 1 : base
+            }))
+        ];
+
+        return {
+            plan,
+            price,
+            downPayment,
+            interest,
+            installment,
+            payments,
+            total: price + interest + plan.fee
+        };
+    };
+
+    /* --- Text --- */
+
+    /**
+     * @param {Date} date
+     * @returns {string} '2 nov'
+     */
+    const formatDate = (date) => new Intl.DateTimeFormat('es-VE', { day: 'numeric', month: 'short' })
+        .format(date)
+        .replace(/\./g, '');
+
+    /**
+     * Plan terms in one line: "Inicial 40% + 3 cuotas cada 14 días, sin intereses".
+     * @param {FinancingPlan} plan
+     * @returns {string}
+     */
+    const describeTerms = (plan) => {
+        const charges = [
+            plan.interestRate ? `${Math.round(plan.interestRate * 100)}% de recargo` : 'sin intereses',
+            plan.fee ? `${window.PSM.formatUsd(plan.fee)} de apertura` : null
+        ].filter(Boolean).join(' y ');
+        return `Inicial ${Math.round(plan.downPayment * 100)}% + ${plan.installments} cuotas cada ${plan.intervalDays} días, ${charges}`;
+    };
+
+    /**
+     * Lines for the WhatsApp inquiry, in USD: what sales quotes in.
+     * @param {FinancingSchedule} schedule
+     * @returns {string[]}
+     */
+    const describeSchedule = (schedule) => {
+        const { plan, payments, installment, total } = schedule;
+        const format = window.PSM.formatUsd;
+        const last = payments[payments.length - 1].amount;
+        const lower = payments.filter(payment => payment.number > 0 && payment.amount !== installment).length;
+
+        return [
+            `Plan: ${plan.label} (${describeTerms(plan)})`,
+            `Inicial hoy: ${format(payments[0].amount)}`,
+            lower
+                ? `${plan.installments} cuotas: ${plan.installments - lower} de ${format(installment)} y ${lower} de ${format(last)}`
+                : `${plan.installments} cuotas de ${format(installment)}`,
+            `Costo total: ${format(total)}`
+        ];
+    };
+
+    /* --- Public API --- */
+
+    return {
+        PLANS,
+        findPlan,
+        isEligible,
+        buildSchedule,
+        formatDate,
+        describeTerms,
+        describeSchedule
+    };
+})();
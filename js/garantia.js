@@ -0,0 +1,176 @@
+/**
+ * Phone Store Maracaibo — Warranty Lookup (garantia.html)
+ * Flow: code typed (or `?code=` from the certificate link) → decoded right
+ * here, no server → days of coverage left, and the certificate again to
+ * print or save. A mistyped code is caught by its check characters.
+ *
+ * Product names come from the catalog; if it can't load, the coverage is
+ * still shown with the product ID.
+ *
+ * Data dependency: products.data.js and warranty.js must load first.
+ */
+
+'use strict';
+
+/* --- Constants --- */
+
+const WHATSAPP_NUMBER = '584146395496';
+const WHATSAPP_BASE   = 'https://wa.me/';
+
+/** Badge text and modifier per WarrantyCoverage status */
+const STATUS_LABELS = {
+    'active':   'Vigente',
+    'last-day': 'Vence hoy',
+    'expired':  'Vencida'
+};
+
+/* --- State --- */
+
+/** Last code looked up, so the view can re-render once the catalog is in */
+const lookup = {
+    /** @type {string|null} */
+    code: null,
+    /** @type {WarrantyCertificate|null} */
+    certificate: null
+};
+
+/* --- Data Layer --- */
+
+/**
+ * @returns {string} `?code=` from the certificate link, '' when absent
+ */
+const getCodeFromUrl = () => new URLSearchParams(window.location.search).get('code') ?? '';
+
+/**
+ * Keeps `?code=` in the URL so the result can be bookmarked or shared.
+ * @param {string|null} code
+ */
+const syncUrl = (code) => {
+    const params = new URLSearchParams(window.location.search);
+    if (code) params.set('code', code);
+    else params.delete('code');
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+};
+
+/**
+ * @returns {string} Claim message with the certificate details for sales
+ */
+const buildClaimWaUrl = () => {
+    const { name, variant } = window.PSM.warranty.describeProduct(lookup.certificate);
+    const message = [
+        'Hola, quiero hacer válida la garantía de mi equipo.',
+        `Producto: ${name}${variant ? ` (${variant})` : ''}`,
+        `IMEI / Serie: ${lookup.certificate.serial}`,
+        `Código: ${lookup.code}`
+    ].join('\n');
+    return `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`;
+};
+
+/* --- DOM Layer --- */
+
+/**
+ * Coverage summary, then the certificate itself.
+ */
+const renderStatus = () => {
+    const container = document.getElementById('warranty-status');
+    const { certificate, code } = lookup;
+    const { warranty } = window.PSM;
+    const format = warranty.formatDate;
+    const coverage = warranty.getCoverage(certificate);
+    const product = warranty.describeProduct(certificate);
+    const store = window.PSM.STORES[certificate.storeId];
+
+    const headline = {
+        'active':   `Te quedan <strong>${coverage.remainingDays} ${coverage.remainingDays === 1 ? 'día' : 'días'}</strong> de garantía`,
+        'last-day': 'Hoy es el <strong>último día</strong> de tu garantía',
+        'expired':  `Tu garantía venció el ${format(coverage.expiryDate)}`
+    }[coverage.status];
+
+    container.innerHTML = `
+        <div class="warranty-status__card warranty-status__card--${coverage.status}">
+            <span class="warranty-status__badge">${STATUS_LABELS[coverage.status]}</span>
+            <p class="warranty-status__headline">${headline}</p>
+            <div class="warranty-status__bar" role="progressbar" aria-label="Cobertura usada"
+                aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(coverage.elapsedShare * 100)}">
+                <span class="warranty-status__bar-fill" style="width: ${coverage.elapsedShare * 100}%"></span>
+            </div>
+            <dl class="warranty-status__details">
+                <div><dt>Producto</dt><dd>${product.name}${product.variant ? ` · ${product.variant}` : ''}</dd></div>
+                <div><dt>IMEI / Serie</dt><dd>${certificate.serial}</dd></div>
+                <div><dt>Compra</dt><dd>${format(certificate.purchaseDate)} · ${store.name}</dd></div>
+                <div><dt>Cubierto hasta</dt><dd>${format(coverage.expiryDate)}</dd></div>
+            </dl>
+            <div class="warranty-status__actions">
+                ${coverage.status !== 'expired' ? `
+                    <a href="${buildClaimWaUrl()}" target="_blank" rel="noopener" class="btn btn--primary">Reportar una falla</a>
+                ` : ''}
+                <button type="button" class="btn btn--secondary" id="warranty-print">Imprimir certificado</button>
+            </div>
+        </div>
+        ${warranty.renderCertificate(certificate, code)}
+    `;
+    container.hidden = false;
+};
+
+/**
+ * @param {boolean} isVisible
+ */
+const renderError = (isVisible) => {
+    document.getElementById('warranty-error').hidden = !isVisible;
+    document.getElementById('warranty-code').classList.toggle('warranty-lookup__input--error', isVisible);
+};
+
+/* --- Event Layer --- */
+
+/**
+ * Decodes the code and shows the coverage, or the error.
+ * @param {string} code
+ */
+const lookUp = (code) => {
+    const certificate = window.PSM.warranty.decode(code);
+    renderError(Boolean(code.trim()) && !certificate);
+
+    lookup.certificate = certificate;
+    lookup.code = certificate ? window.PSM.warranty.encode(certificate) : null;
+    syncUrl(lookup.code);
+
+    const status = document.getElementById('warranty-status');
+    if (!certificate) {
+        status.hidden = true;
+        status.innerHTML = '';
+        return;
+    }
+
+    /* Show the code the way it's printed, whatever way it was typed */
+    document.getElementById('warranty-code').value = lookup.code;
+    renderStatus();
+};
+
+const bindEvents = () => {
+    document.getElementById('warranty-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        lookUp(document.getElementById('warranty-code').value);
+    });
+
+    document.getElementById('warranty-status').addEventListener('click', (e) => {
+        if (e.target.closest('#warranty-print')) window.print();
+    });
+
+    /* Product names arrive with the catalog */
+    document.addEventListener('psm:catalogready', () => {
+        if (lookup.certificate) renderStatus();
+    });
+};
+
+/* --- Init --- */
+
+document.addEventListener('DOMContentLoaded', () => {
+    bindEvents();
+
+    const code = getCodeFromUrl();
+    if (code) {
+        document.getElementById('warranty-code').value = code;
+        lookUp(code);
+    }
+});
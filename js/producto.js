@@ -1,9 +1,20 @@
 /**
  * Phone Store Maracaibo — Product Detail Page
- * Flow: read URL param → find product → render detail + related.
+ * Flow: read URL params → wait for the catalog feed → find product + variant
+ * → render detail + related products grouped by reason. The skeleton stays up while the feed loads; if
+ * it fails, an error state with retry replaces it.
  * If product not found → redirect to catalog (guard clause at init).
+ * Picking another color/capacity swaps gallery, specs, price and WhatsApp
+ * message in place, and keeps `?variant=` in the URL for sharing.
+ * Certified units show their inspection report ("Informe Certificado PSM").
+ * Each view is recorded in the recently viewed history. On iPhones, a
+ * trade-in quoted on cotizar.html can be applied as part of payment; parts
+ * with installation get the appointment booking wizard. Anything that can
+ * be ordered can be paid in installments (financing.js).
  *
- * Data dependency: products.data.js must load before this file.
+ * Data dependency: products.data.js, cart.store.js, compare.store.js,
+ * favorites.store.js, recent.store.js, tradein.store.js, financing.js and
+ * repair.booking.js must load before this file.
  */
 
 'use strict';
@@ -15,6 +26,32 @@ const WHATSAPP_BASE   = 'https://wa.me/';
 const CATALOG_URL     = 'catalogo.html';
 const RELATED_STAGGER_MS = 80;
 
+/* --- Selection State --- */
+
+/**
+ * Product on display and the variant currently picked.
+ * Single source of truth for everything the picker swaps.
+ */
+const selection = {
+    product: null,
+    variant: null
+};
+
+/**
+ * Flattened view of the selected product + variant, ready to render.
+ * @returns {import('./products.data').Product}
+ */
+const getSelectedView = () =>
+    window.PSM.resolveVariant(selection.product, selection.variant);
+
+/**
+ * Installment plan picked in the financing calculator. Kept across variant
+ * swaps; null = paying in full.
+ */
+const financing = {
+    planId: null
+};
+
 /* --- Data Layer --- */
 
 /**
@@ -25,9 +62,22 @@ const getProductIdFromUrl = () =>
     new URLSearchParams(window.location.search).get('id');
 
 /**
- * Resolves badge config from a product's category and condition.
- * @param {import('./products.data').Product} product
- * @returns {{ cssClass: string, label: string }}
+ * Reads the `variant` query param. Legacy per-color product IDs carry
+ * their variant implicitly, so they are resolved here too.
+ * @param {string} productId
+ * @returns {string|null}
+ */
+const getVariantIdFromUrl = (productId) =>
+    new URLSearchParams(window.location.search).get('variant') ??
+    window.PSM.LEGACY_PRODUCT_IDS[productId]?.variant ??
+    null;
+
+/**
+ * Resolves badge config from a product's category and condition, plus its
+ * availability. Unlike the catalog card, "Disponible" is shown too — it's
+ * the first thing customers ask about on this page.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {{ cssClass: string, label: string }[]}
  */
 const resolveBadge = (product) => {
     const MAP = {
@@ -37,30 +87,169 @@ const resolveBadge = (product) => {
         repuesto:    { cssClass: 'product-detail__badge--repuesto',    label: 'Repuesto' }
     };
 
-    if (product.category !== 'iphone') return MAP[product.category];
-    return MAP[product.condition];
+    const availability = window.PSM.getAvailability(product);
+
+    return [
+        product.category !== 'iphone' ? MAP[product.category] : MAP[product.condition],
+        {
+            cssClass: `product-detail__badge--${availability}`,
+            label: window.PSM.AVAILABILITY[availability].label
+        }
+    ];
+};
+
+/**
+ * The saved trade-in, when the customer applied it to this product.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {SavedTradeIn|null}
+ */
+const getAppliedTradeIn = (product) => {
+    const saved = window.PSM.tradeIn.getSaved();
+    return saved?.appliedTo === product.parentId ? saved : null;
+};
+
+/**
+ * Payment schedule of the picked plan for this variant's price. Null when
+ * paying in full, or when the plan isn't offered at this price.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {FinancingSchedule|null}
+ */
+const getSelectedSchedule = (product) => {
+    const plan = window.PSM.financing.findPlan(financing.planId);
+    const { current } = window.PSM.resolvePrice(product);
+    return plan && window.PSM.financing.isEligible(plan, current)
+        ? window.PSM.financing.buildSchedule(plan, current)
+        : null;
 };
 
+/* --- DOM Layer --- */
+
 /**
- * Builds the warranty text based on product type.
- * iPhones: 60 days. Accessories/parts: 30 days.
+ * Builds the WhatsApp URL: a price inquiry, or a restock request when
+ * the variant is sold out. An applied trade-in and the picked installment
+ * plan go along with the inquiry so sales sees the whole deal.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {string}
+ */
+const buildWaUrl = (product) => {
+    const tradeIn = getAppliedTradeIn(product);
+    const tradeInText = tradeIn ? [
+        '',
+        '',
+        'Quiero dar mi iPhone usado como parte de pago:',
+        ...window.PSM.tradeIn.describeAssessment(tradeIn.assessment),
+        `Estimado en la web: ${window.PSM.tradeIn.formatRange(tradeIn.estimate)}`
+    ].join('\n') : '';
+
+    const schedule = getSelectedSchedule(product);
+    const financingText = schedule ? [
+        '',
+        '',
+        'Quiero pagarlo en cuotas:',
+        ...window.PSM.financing.describeSchedule(schedule)
+    ].join('\n') : '';
+
+    const message = window.PSM.resolveAvailability(product).canOrder
+        ? window.PSM.buildInquiryMessage(product) + tradeInText + financingText
+        : window.PSM.buildRestockMessage(product);
+    return `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`;
+};
+
+/**
+ * Builds the badge row.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {string} HTML string
+ */
+const renderBadges = (product) => resolveBadge(product)
+    .map(b => `<span class="product-detail__badge ${b.cssClass}">${b.label}</span>`)
+    .join('');
+
+/**
+ * Builds the price markup for the detail column.
+ * On sale: "Antes" crossed out, "Ahora" highlighted, plus the saving.
+ * In bolívares, the rate and its date are shown so the figure is traceable.
  * @param {import('./products.data').Product} product
- * @returns {{ title: string, subtitle: string }}
+ * @returns {string} HTML string
  */
-const resolveWarranty = (product) => {
-    if (product.category === 'iphone') {
-        return {
-            title: '60 días de garantía PSM',
-            subtitle: 'Cubre defectos de fábrica y funcionamiento'
-        };
+const renderPriceBlock = (product) => {
+    const { current, previous, isSale } = window.PSM.resolvePrice(product);
+    const format = window.PSM.formatPrice;
+    const rateNote = window.PSM.currency?.getCurrency() === 'VES'
+        ? `<span class="product-detail__price-rate">${window.PSM.currency.describeRate()}</span>`
+        : '';
+
+    if (!isSale) {
+        return `
+            <div class="product-detail__price">
+                <span class="product-detail__price-now">${format(current)}</span>
+                ${rateNote}
+            </div>
+        `;
     }
-    return {
-        title: '30 días de garantía PSM',
-        subtitle: 'Garantía sobre el producto y la instalación'
-    };
+
+    return `
+        <div class="product-detail__price product-detail__price--sale">
+            <span class="product-detail__price-old">Antes <s>${format(previous)}</s></span>
+            <span class="product-detail__price-now">Ahora ${format(current)}</span>
+            <span class="product-detail__price-saving">Ahorras ${format(previous - current)}</span>
+            ${rateNote}
+        </div>
+    `;
 };
 
-/* --- DOM Layer --- */
+/**
+ * Trade-in panel for iPhones: an invitation to quote the customer's used
+ * iPhone, or their saved estimate with the option to use it here and
+ * what they'd pay after it.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {string} HTML string, empty for accessories and parts
+ */
+const renderTradeIn = (product) => {
+    if (product.category !== 'iphone') return '';
+
+    const quoteUrl = `cotizar.html?for=${product.parentId}`;
+    const saved = window.PSM.tradeIn.getSaved();
+
+    if (!saved) {
+        return `
+            <div class="product-tradein">
+                <div class="product-tradein__text">
+                    <strong>¿Tienes un iPhone usado?</strong>
+                    <span>Cotízalo en línea y úsalo como parte de pago.</span>
+                </div>
+                <a href="${quoteUrl}" class="product-tradein__link">Cotiza tu iPhone usado</a>
+            </div>
+        `;
+    }
+
+    const format = window.PSM.formatPrice;
+    const { min, max } = saved.estimate;
+    const isApplied = saved.appliedTo === product.parentId;
+    const { current } = window.PSM.resolvePrice(product);
+
+    return `
+        <div class="product-tradein product-tradein--saved">
+            <div class="product-tradein__text">
+                <strong>Tu ${window.PSM.tradeIn.describeDevice(saved.assessment)}</strong>
+                <span>Crédito estimado: ${format(min)} – ${format(max)}</span>
+            </div>
+            <label class="product-tradein__apply">
+                <input type="checkbox" id="tradein-apply"${isApplied ? ' checked' : ''}>
+                <span>Usarlo como parte de pago</span>
+            </label>
+            ${isApplied ? `
+                <p class="product-tradein__total">
+                    Pagarías entre <strong>${format(Math.max(0, current - max))}</strong>
+                    y <strong>${format(Math.max(0, current - min))}</strong>
+                </p>
+            ` : ''}
+            <div class="product-tradein__actions">
+                <a href="${quoteUrl}" class="product-tradein__link">Cambiar</a>
+                <button type="button" class="product-tradein__link" id="tradein-remove">Quitar</button>
+            </div>
+        </div>
+    `;
+};
 
 /**
  * Updates all dynamic <meta> tags for social sharing.
@@ -80,19 +269,79 @@ const updateMetaTags = (product) => {
 };
 
 /**
- * Renders the full product detail section and injects it into the DOM.
- * Hides the skeleton, reveals the content container.
- * @param {import('./products.data').Product} product
+ * Financing calculator: plan chips ("De contado" first) and, for the picked
+ * plan, every payment with its date plus the total cost. Plans with a
+ * minimum above this price stay visible but disabled.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {string} HTML string, empty when the variant can't be ordered
+ *                   or no plan is offered at its price
  */
-const renderProduct = (product) => {
-    const badge    = resolveBadge(product);
-    const warranty = resolveWarranty(product);
-    const waUrl    = `${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(product.waMessage)}`;
+const renderFinancing = (product) => {
+    const { PLANS, isEligible, describeTerms, formatDate } = window.PSM.financing;
+    const { current } = window.PSM.resolvePrice(product);
 
-    const specTags = product.specs
-        .map(s => `<span class="product-detail__spec">${s}</span>`)
-        .join('');
+    if (!window.PSM.resolveAvailability(product).canOrder) return '';
+    if (!PLANS.some(plan => isEligible(plan, current))) return '';
+    const schedule = getSelectedSchedule(product);
+    const format = window.PSM.formatPrice;
 
+    const chip = (id, label, isActive, plan = null) => {
+        const isOffered = !plan || isEligible(plan, current);
+        return `
+            <button type="button"
+                class="variant-chip ${isActive ? 'variant-option--active' : ''} ${isOffered ? '' : 'variant-option--unavailable'}"
+                data-financing-plan="${id}" aria-pressed="${isActive}" ${isOffered ? '' : `disabled title="Desde ${format(plan.minAmount)}"`}>
+                ${label}
+            </button>
+        `;
+    };
+
+    return `
+        <div class="product-financing">
+            <div class="product-financing__text">
+                <strong>Paga en cuotas</strong>
+                <span>Inicial hoy y el resto en cuotas, sin tarjeta de crédito.</span>
+            </div>
+
+            <div class="variant-picker__options">
+                ${chip('', 'De contado', !schedule)}
+                ${PLANS.map(plan => chip(plan.id, plan.label, schedule?.plan === plan, plan)).join('')}
+            </div>
+
+            ${schedule ? `
+                <p class="product-financing__terms">${describeTerms(schedule.plan)}</p>
+                <ol class="product-financing__schedule">
+                    ${schedule.payments.map(payment => `
+                        <li class="product-financing__payment">
+                            <span>${payment.number ? `Cuota ${payment.number}` : 'Inicial'}</span>
+                            <span class="product-financing__date">${payment.number ? formatDate(payment.date) : 'Hoy'}</span>
+                            <strong>${format(payment.amount)}</strong>
+                        </li>
+                    `).join('')}
+                </ol>
+                <dl class="product-financing__totals">
+                    <div>
+                        <dt>Recargo y apertura</dt>
+                        <dd>${schedule.total > schedule.price ? format(schedule.total - schedule.price) : 'Sin costo'}</dd>
+                    </div>
+                    <div class="product-financing__total">
+                        <dt>Costo total</dt>
+                        <dd>${format(schedule.total)}</dd>
+                    </div>
+                </dl>
+                <p class="product-financing__note">Sujeto a aprobación. Las fechas cuentan desde hoy; el plan va en tu consulta por WhatsApp.</p>
+            ` : ''}
+        </div>
+    `;
+};
+
+/**
+ * Builds the gallery column: hero image + thumbnails.
+ * Re-rendered as a whole when the picked color changes.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {string} HTML string
+ */
+const renderGallery = (product) => {
     const galleryThumbs = product.gallery.length > 1
         ? product.gallery.map((src, i) => `
             <button
@@ -105,33 +354,272 @@ const renderProduct = (product) => {
         `).join('')
         : '';
 
+    return `
+        <div class="product-gallery__hero" id="gallery-hero">
+            <img
+                class="product-gallery__hero-img"
+                id="gallery-hero-img"
+                src="${product.gallery[0]}"
+                alt="${product.name}"
+            >
+        </div>
+        ${galleryThumbs ? `<div class="product-gallery__thumbs" id="gallery-thumbs">${galleryThumbs}</div>` : ''}
+    `;
+};
+
+/**
+ * Builds the spec tags row.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {string} HTML string
+ */
+const renderSpecTags = (product) => product.specs
+    .map(s => `<span class="product-detail__spec">${s}</span>`)
+    .join('');
+
+/**
+ * Builds the "Compatible con" list of an accessory or part. Each model
+ * links to the catalog filtered to everything that fits it.
+ * @param {import('./products.data').Product} product
+ * @returns {string} HTML string, empty without a compatibility list
+ */
+const renderCompatibility = (product) => {
+    const models = window.PSM.getCompatibleModels(product);
+    if (!models.length) return '';
+
+    return `
+        <div class="product-compat">
+            <span class="product-compat__label">Compatible con</span>
+            <ul class="product-compat__list">
+                ${models.map(model => `
+                    <li>
+                        <a href="${CATALOG_URL}?device=${model.id}" class="product-compat__model" title="Ver todo para ${model.label}">${model.label}</a>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+};
+
+/**
+ * Builds the "Certificado PSM" report card of a certified unit: battery
+ * health, cosmetic grade, replaced parts and every functional test with
+ * its result. Depends on the variant, so it's re-rendered on variant swaps.
+ * @param {import('./products.data').Product} product - Variant view
+ * @returns {string} HTML string, empty for new units and units without a report
+ */
+const renderInspection = (product) => {
+    const { inspection } = product;
+    if (product.condition !== 'certificado' || !inspection) return '';
+
+    const { tests, passedCount, batteryPassed } = window.PSM.summarizeInspection(inspection);
+    const grade = window.PSM.INSPECTION_GRADES[inspection.grade];
+    const parts = inspection.partsReplaced;
+
+    const icon = (passed) => `
+        <svg class="inspection__icon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            ${passed ? '<path d="M5 12l5 5L20 7"/>' : '<path d="M6 6l12 12M18 6L6 18"/>'}
+        </svg>
+    `;
+
+    return `
+        <section class="inspection" aria-labelledby="inspection-title">
+            <div class="inspection__header">
+                <h2 class="inspection__title" id="inspection-title">Informe Certificado PSM</h2>
+                <span class="inspection__score">${passedCount}/${tests.length} pruebas superadas</span>
+            </div>
+
+            <div class="inspection__metrics">
+                <div class="inspection__metric inspection__metric--${batteryPassed ? 'pass' : 'fail'}">
+                    <span class="inspection__metric-label">${icon(batteryPassed)} Batería</span>
+                    <strong class="inspection__metric-value">${inspection.batteryHealth}%</strong>
+                    <span class="inspection__battery" role="meter" aria-label="Salud de batería"
+                        aria-valuemin="0" aria-valuemax="100" aria-valuenow="${inspection.batteryHealth}">
+                        <span class="inspection__battery-fill" style="width: ${inspection.batteryHealth}%"></span>
+                    </span>
+                    <span class="inspection__metric-note">Capacidad máxima</span>
+                </div>
+                <div class="inspection__metric">
+                    <span class="inspection__metric-label">Estética</span>
+                    <strong class="inspection__metric-value">Grado ${inspection.grade}</strong>
+                    <span class="inspection__metric-note">${grade.label}: ${grade.description.toLowerCase()}</span>
+                </div>
+                <div class="inspection__metric">
+                    <span class="inspection__metric-label">Piezas</span>
+                    <strong class="inspection__metric-value">${parts.length ? `${parts.length} ${parts.length === 1 ? 'nueva' : 'nuevas'}` : 'Originales'}</strong>
+                    <span class="inspection__metric-note">${parts.length ? `Reemplazo: ${parts.join(', ')}` : 'Sin piezas reemplazadas'}</span>
+                </div>
+            </div>
+
+            <ul class="inspection__tests">
+                ${tests.map(test => `
+                    <li class="inspection__test inspection__test--${test.passed ? 'pass' : 'fail'}">
+                        ${icon(test.passed)}
+                        <span class="inspection__test-label">${test.label}</span>
+                        <span class="inspection__test-result">${test.passed ? 'OK' : 'Falla'}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `;
+};
+
+/**
+ * Builds the collapsible "Ficha técnica": one block per spec group, in
+ * PSM.SPEC_GROUPS order. Products without techSpecs get no section.
+ * @param {import('./products.data').Product} product
+ * @returns {string} HTML string
+ */
+const renderSpecSheet = (product) => {
+    const groups = window.PSM.getSpecSheet(product);
+    if (!groups.length) return '';
+
+    return `
+        <details class="product-specsheet" id="product-specsheet">
+            <summary class="product-specsheet__summary">Ficha técnica</summary>
+            <div class="product-specsheet__groups">
+                ${groups.map(group => `
+                    <section class="product-specsheet__group">
+                        <h2 class="product-specsheet__title">${group.label}</h2>
+                        <dl class="product-specsheet__list">
+                            ${group.rows.map(row => `
+                                <div class="product-specsheet__row">
+                                    <dt>${row.label}</dt>
+                                    <dd>${row.value}</dd>
+                                </div>
+                            `).join('')}
+                        </dl>
+                    </section>
+                `).join('')}
+            </div>
+        </details>
+    `;
+};
+
+/**
+ * Builds the variant picker: color swatches, capacity chips and, for
+ * models sold in both conditions, condition chips. Options with no stock
+ * for the current combination are dimmed but stay clickable — picking one
+ * jumps to the closest variant that has it.
+ * @param {import('./products.data').Product} product
+ * @param {import('./products.data').ProductVariant|null} variant
+ * @returns {string} HTML string, empty when there is nothing to choose
+ */
+const renderVariantPicker = (product, variant) => {
+    if (!variant || product.variants.length < 2) return '';
+
+    const { colors, storages, conditions } = window.PSM.getVariantOptions(product);
+    const CONDITION_LABELS = { nuevo: 'Nuevo', certificado: 'Certificado' };
+
+    /* The variant this option leads to when the other axes stay unchanged */
+    const findMatch = (axis, value) => product.variants.find(v =>
+        v[axis] === value &&
+        ['color', 'storage', 'condition']
+            .filter(other => other !== axis)
+            .every(other => v[other] === variant[other])
+    );
+
+    const optionState = (axis, value) => {
+        const isActive = variant[axis] === value;
+        const match = findMatch(axis, value);
+        const classes = [
+            isActive ? 'variant-option--active' : '',
+            match ? '' : 'variant-option--unavailable',
+            match?.availability === 'agotado' ? 'variant-option--sold-out' : ''
+        ].join(' ');
+        return { isActive, classes };
+    };
+
+    const colorGroup = colors.length > 1 ? `
+        <div class="variant-picker__group">
+            <span class="variant-picker__label">
+                Color: <strong>${colors.find(c => c.id === variant.color)?.label ?? ''}</strong>
+            </span>
+            <div class="variant-picker__options">
+                ${colors.map(c => {
+                    const { isActive, classes } = optionState('color', c.id);
+                    return `
+                        <button
+                            type="button"
+                            class="variant-swatch ${classes}"
+                            style="--swatch: ${c.hex}"
+                            data-variant-axis="color"
+                            data-variant-value="${c.id}"
+                            aria-label="${c.label}"
+                            aria-pressed="${isActive}"
+                            title="${c.label}"
+                        ></button>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    ` : '';
+
+    const chipGroup = (axis, label, values, toLabel) => values.length > 1 ? `
+        <div class="variant-picker__group">
+            <span class="variant-picker__label">${label}</span>
+            <div class="variant-picker__options">
+                ${values.map(value => {
+                    const { isActive, classes } = optionState(axis, value);
+                    return `
+                        <button
+                            type="button"
+                            class="variant-chip ${classes}"
+                            data-variant-axis="${axis}"
+                            data-variant-value="${value}"
+                            aria-pressed="${isActive}"
+                        >${toLabel(value)}</button>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    ` : '';
+
+    return `
+        ${colorGroup}
+        ${chipGroup('storage', 'Capacidad', storages, v => v)}
+        ${chipGroup('condition', 'Condición', conditions, v => CONDITION_LABELS[v] ?? v)}
+    `;
+};
+
+/**
+ * Renders the full product detail section and injects it into the DOM.
+ * Hides the skeleton, reveals the content container.
+ * @param {import('./products.data').Product} parent - Product as stored in PRODUCTS
+ * @param {import('./products.data').ProductVariant|null} variant - Picked variant
+ */
+const renderProduct = (parent, variant) => {
+    const product  = window.PSM.resolveVariant(parent, variant);
+    const warranty = window.PSM.resolveWarranty(product);
+    const waUrl    = buildWaUrl(product);
+    const picker   = renderVariantPicker(parent, variant);
+
     const html = `
         <div class="container">
             <div class="product-layout">
 
                 <!-- Gallery column -->
-                <div class="product-gallery">
-                    <div class="product-gallery__hero" id="gallery-hero">
-                        <img
-                            class="product-gallery__hero-img"
-                            id="gallery-hero-img"
-                            src="${product.gallery[0]}"
-                            alt="${product.name}"
-                        >
-                    </div>
-                    ${galleryThumbs ? `<div class="product-gallery__thumbs" id="gallery-thumbs">${galleryThumbs}</div>` : ''}
+                <div class="product-gallery" id="product-gallery">
+                    ${renderGallery(product)}
                 </div>
 
                 <!-- Detail column -->
                 <div class="product-detail">
-                    <span class="product-detail__badge ${badge.cssClass}">${badge.label}</span>
+                    <div class="product-detail__badges" id="product-badges">${renderBadges(product)}</div>
 
                     <h1 class="product-detail__name">${product.name}</h1>
 
-                    <div class="product-detail__specs">${specTags}</div>
+                    <div id="product-price">${renderPriceBlock(product)}</div>
+
+                    ${picker ? `<div class="variant-picker" id="variant-picker">${picker}</div>` : ''}
+
+                    <div class="product-detail__specs" id="product-specs">${renderSpecTags(product)}</div>
+
+                    ${renderCompatibility(parent)}
 
                     <p class="product-detail__description">${product.description}</p>
 
+                    <div id="product-inspection">${renderInspection(product)}</div>
+
                     <div class="product-detail__warranty">
                         <div class="product-detail__warranty-icon">
                             <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
@@ -145,9 +633,31 @@ const renderProduct = (product) => {
                         </div>
                     </div>
 
+                    <div id="product-tradein">${renderTradeIn(product)}</div>
+
+                    <div id="product-financing">${renderFinancing(product)}</div>
+
+                    ${window.PSM.repairBooking.canBook(parent) ? `
+                        <a href="#booking-section" class="product-detail__booking">
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                                <rect x="3" y="4" width="18" height="18" rx="2"/><path d="M16 2v4M8 2v4M3 10h18"/>
+                            </svg>
+                            <span>Agendar instalación en tienda</span>
+                        </a>
+                    ` : ''}
+
+                    <button type="button" class="product-detail__add-cart" id="add-to-cart-btn">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
+                            <path d="M1 2h4l3 12.4a2 2 0 0 0 2 1.6h9a2 2 0 0 0 2-1.6L23 6H6"/>
+                            <circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/>
+                        </svg>
+                        <span>Agregar al carrito</span>
+                    </button>
+
                     <div class="product-detail__actions">
                         <a
                             href="${waUrl}"
+                            id="wa-inquiry-btn"
                             target="_blank"
                             rel="noopener"
                             class="btn btn--primary"
@@ -162,17 +672,33 @@ const renderProduct = (product) => {
                         </a>
                     </div>
 
-                    <button class="btn--share" id="share-btn" aria-label="Compartir producto">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/>
-                            <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"/>
-                            <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/>
-                        </svg>
-                        <span>Compartir</span>
-                    </button>
+                    <div class="product-detail__tools">
+                        <button class="btn--share" id="share-btn" aria-label="Compartir producto">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/>
+                                <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"/>
+                                <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/>
+                            </svg>
+                            <span>Compartir</span>
+                        </button>
+                        <button type="button" class="favorite-toggle product-detail__favorite" id="favorite-btn" data-favorite-toggle="${parent.id}" aria-pressed="false">
+                            <svg class="favorite-toggle__icon" width="16" height="16" viewBox="0 0 24 24" aria-hidden="true">
+                                <path d="M12 20.5s-7.5-4.6-9.4-9.2C1.3 8 3.4 4.5 7 4.5c2.1 0 3.6 1.2 5 3 1.4-1.8 2.9-3 5-3 3.6 0 5.7 3.5 4.4 6.8-1.9 4.6-9.4 9.2-9.4 9.2z"/>
+                            </svg>
+                            <span>Favorito</span>
+                        </button>
+                        ${window.PSM.compare.canCompare(parent) ? `
+                            <button type="button" class="compare-toggle product-detail__compare" id="compare-btn" data-compare-toggle="${parent.id}" aria-pressed="false">
+                                <span class="compare-toggle__box" aria-hidden="true"></span>
+                                <span>Comparar</span>
+                            </button>
+                        ` : ''}
+                    </div>
                 </div>
 
             </div>
+
+            ${renderSpecSheet(parent)}
         </div>
     `;
 
@@ -187,6 +713,11 @@ const renderProduct = (product) => {
     setTimeout(() => {
         skeleton.hidden = true;
         content.innerHTML = html;
+        window.PSM.compare.renderToggles();
+        window.PSM.favorites.renderToggles();
+        /* The rate may have loaded during the fade — render prices fresh */
+        refreshPrices(getSelectedView());
+        refreshAvailability(getSelectedView());
         content.hidden = false;
         content.style.opacity = '0';
         content.style.transition = 'opacity 400ms ease';
@@ -195,53 +726,164 @@ const renderProduct = (product) => {
 };
 
 /**
- * Renders the related products strip.
- * @param {import('./products.data').Product[]} relatedProducts
+ * Cards for a related products group.
+ * @param {import('./products.data').Product[]} products
+ * @returns {string} HTML string
  */
-const renderRelated = (relatedProducts) => {
-    if (!relatedProducts.length) return;
+const renderRelatedCards = (products) => products.map((product, index) => {
+    const delay = index * RELATED_STAGGER_MS;
+    const conditionLabel = product.condition === 'certificado' ? 'Certificado' : 'Nuevo';
+    const { current, previous } = window.PSM.resolvePrice(window.PSM.resolveVariant(product));
+    const priceHtml = previous
+        ? `<s class="related-card__price-old">${window.PSM.formatPrice(previous)}</s> ${window.PSM.formatPrice(current)}`
+        : window.PSM.formatPrice(current);
+    return `
+        <a href="producto.html?id=${product.id}" class="related-card" style="animation-delay: ${delay}ms">
+            <div class="related-card__image-wrap">
+                <img src="${product.gallery[0]}" alt="${product.name}" loading="lazy">
+            </div>
+            <div class="related-card__body">
+                <p class="related-card__name">${product.name}</p>
+                <span class="related-card__condition">${conditionLabel}</span>
+                <p class="related-card__price">${priceHtml}</p>
+            </div>
+        </a>
+    `;
+}).join('');
+
+/**
+ * Renders the related products, one group per reason in PSM.RELATED_REASONS
+ * order. On an iPhone the "Complementa tu iPhone" group links to the catalog
+ * filtered to that model.
+ * @param {import('./products.data').Product} product - Catalog product
+ */
+const renderRelated = (product) => {
+    const section   = document.getElementById('related-section');
+    const container = document.getElementById('related-groups');
+    if (!section || !container) return;
 
-    const section = document.getElementById('related-section');
-    const grid    = document.getElementById('related-grid');
+    const recommendations = window.PSM.getRelatedProducts(product);
+    const model = window.PSM.findDeviceModel(product.deviceModel);
 
-    if (!section || !grid) return;
+    container.innerHTML = Object.entries(window.PSM.RELATED_REASONS).map(([reason, { label }]) => {
+        const products = recommendations.filter(r => r.reason === reason).map(r => r.product);
+        if (!products.length) return '';
 
-    grid.innerHTML = relatedProducts.map((product, index) => {
-        const delay = index * RELATED_STAGGER_MS;
-        const conditionLabel = product.condition === 'certificado' ? 'Certificado' : 'Nuevo';
+        const link = reason === 'complement' && model
+            ? `<a href="${CATALOG_URL}?device=${model.id}" class="related-section__link">Ver todo para ${model.label}</a>`
+            : '';
         return `
-            <a href="producto.html?id=${product.id}" class="related-card" style="animation-delay: ${delay}ms">
-                <div class="related-card__image-wrap">
-                    <img src="${product.gallery[0]}" alt="${product.name}" loading="lazy">
-                </div>
-                <div class="related-card__body">
-                    <p class="related-card__name">${product.name}</p>
-                    <span class="related-card__condition">${conditionLabel}</span>
+            <div class="related-group" data-related-reason="${reason}">
+                <div class="related-section__header">
+                    <h2 class="related-section__title">${label}</h2>
+                    ${link}
                 </div>
-            </a>
+                <div class="related-grid">${renderRelatedCards(products)}</div>
+            </div>
         `;
     }).join('');
 
-    section.hidden = false;
+    section.hidden = !recommendations.length;
+};
+
+/**
+ * Re-renders the detail price, the trade-in panel, the financing calculator
+ * and the WhatsApp link in the active currency. Only these nodes are touched — the gallery and the
+ * rest of the detail keep their state.
+ * @param {import('./products.data').Product} product - Variant view
+ */
+const refreshPrices = (product) => {
+    const priceSlot = document.getElementById('product-price');
+    if (priceSlot) priceSlot.innerHTML = renderPriceBlock(product);
+
+    const tradeInSlot = document.getElementById('product-tradein');
+    if (tradeInSlot) tradeInSlot.innerHTML = renderTradeIn(product);
+
+    const financingSlot = document.getElementById('product-financing');
+    if (financingSlot) financingSlot.innerHTML = renderFinancing(product);
+
+    const waBtn = document.getElementById('wa-inquiry-btn');
+    if (waBtn) waBtn.href = buildWaUrl(product);
+};
+
+/**
+ * Swaps the purchase actions for the variant's availability: sold-out
+ * variants can't be added to the cart and "Consultar" becomes a restock
+ * request ("Avísame cuando llegue").
+ * @param {import('./products.data').Product} product - Variant view
+ */
+const refreshAvailability = (product) => {
+    const { canOrder } = window.PSM.resolveAvailability(product);
+
+    const addBtn = document.getElementById('add-to-cart-btn');
+    if (addBtn) {
+        addBtn.disabled = !canOrder;
+        addBtn.querySelector('span').textContent = canOrder ? 'Agregar al carrito' : 'Agotado';
+    }
+
+    const waBtn = document.getElementById('wa-inquiry-btn');
+    if (waBtn) {
+        waBtn.href = buildWaUrl(product);
+        waBtn.querySelector('span').textContent = canOrder ? 'Consultar por WhatsApp' : 'Avísame cuando llegue';
+    }
+};
+
+/**
+ * Switches the page to another variant without reloading: gallery, badge,
+ * specs, inspection report, picker, price and WhatsApp message, plus
+ * `?variant=` in the URL.
+ * @param {import('./products.data').ProductVariant} variant
+ */
+const applyVariant = (variant) => {
+    if (!variant || variant === selection.variant) return;
+    selection.variant = variant;
+
+    const view = getSelectedView();
+
+    const gallery = document.getElementById('product-gallery');
+    if (gallery) gallery.innerHTML = renderGallery(view);
+
+    const badges = document.getElementById('product-badges');
+    if (badges) badges.innerHTML = renderBadges(view);
+
+    const specs = document.getElementById('product-specs');
+    if (specs) specs.innerHTML = renderSpecTags(view);
+
+    const inspection = document.getElementById('product-inspection');
+    if (inspection) inspection.innerHTML = renderInspection(view);
+
+    const picker = document.getElementById('variant-picker');
+    if (picker) picker.innerHTML = renderVariantPicker(selection.product, variant);
+
+    refreshPrices(view);
+    refreshAvailability(view);
+    updateMetaTags(view);
+
+    const params = new URLSearchParams(window.location.search);
+    params.set('id', selection.product.id);
+    params.set('variant', variant.id);
+    history.replaceState(null, '', `${window.location.pathname}?${params}`);
 };
 
 /* --- Event Layer --- */
 
 /**
  * Binds thumbnail click events for gallery switching.
- * Uses event delegation on the thumbs container.
- * @param {import('./products.data').Product} product
+ * Delegated to the gallery column, which survives variant swaps
+ * (the thumbs container itself is re-rendered).
  */
-const bindGalleryEvents = (product) => {
-    const thumbsContainer = document.getElementById('gallery-thumbs');
-    if (!thumbsContainer) return;
+const bindGalleryEvents = () => {
+    const galleryColumn = document.getElementById('product-gallery');
+    if (!galleryColumn) return;
 
-    thumbsContainer.addEventListener('click', (e) => {
+    galleryColumn.addEventListener('click', (e) => {
         const thumb = e.target.closest('.product-gallery__thumb');
         if (!thumb) return;
 
+        const thumbsContainer = thumb.parentElement;
+        const { gallery } = getSelectedView();
         const index = parseInt(thumb.dataset.thumbIndex, 10);
-        if (isNaN(index) || !product.gallery[index]) return;
+        if (isNaN(index) || !gallery[index]) return;
 
         const heroImg = document.getElementById('gallery-hero-img');
         if (!heroImg) return;
@@ -250,7 +892,7 @@ const bindGalleryEvents = (product) => {
         heroImg.style.opacity = '0';
         heroImg.style.transition = 'opacity 200ms ease';
         setTimeout(() => {
-            heroImg.src = product.gallery[index];
+            heroImg.src = gallery[index];
             heroImg.style.opacity = '1';
         }, 200);
 
@@ -260,6 +902,115 @@ const bindGalleryEvents = (product) => {
     });
 };
 
+/**
+ * Binds the variant picker. One delegated listener for all option buttons.
+ */
+const bindVariantPicker = () => {
+    const picker = document.getElementById('variant-picker');
+    if (!picker) return;
+
+    picker.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-variant-axis]');
+        if (!option) return;
+
+        const axis = option.dataset.variantAxis;
+        const next = window.PSM.pickVariant(
+            selection.product,
+            { ...selection.variant, [axis]: option.dataset.variantValue },
+            axis
+        );
+        applyVariant(next);
+    });
+};
+
+/**
+ * Adds the selected product + variant to the cart.
+ * The button label confirms briefly, same pattern as the share button.
+ */
+const bindAddToCart = () => {
+    const addBtn = document.getElementById('add-to-cart-btn');
+    if (!addBtn) return;
+
+    const CONFIRM_MS = 2000;
+
+    addBtn.addEventListener('click', () => {
+        if (!window.PSM.resolveAvailability(getSelectedView()).canOrder) return;
+
+        window.PSM.cart.add(selection.product.id, selection.variant?.id ?? null);
+
+        const view = getSelectedView();
+        showToast(`${view.name}${view.variantLabel ? ` (${view.variantLabel})` : ''} agregado al carrito`);
+
+        addBtn.querySelector('span').textContent = '¡Agregado!';
+        /* Restore from the current variant — the customer may have switched meanwhile */
+        setTimeout(() => refreshAvailability(getSelectedView()), CONFIRM_MS);
+    });
+};
+
+/**
+ * Picks or unpicks this iPhone for comparar.html. The tray and the
+ * button state are updated by compare.store.js.
+ */
+const bindCompareButton = () => {
+    const compareBtn = document.getElementById('compare-btn');
+    if (!compareBtn) return;
+
+    compareBtn.addEventListener('click', () => {
+        if (!window.PSM.compare.toggle(selection.product.id)) {
+            showToast(`Puedes comparar hasta ${window.PSM.compare.MAX_ITEMS} iPhones a la vez`);
+        }
+    });
+};
+
+/**
+ * Saves or removes this product from favorites. The button state is
+ * updated by favorites.store.js.
+ */
+const bindFavoriteButton = () => {
+    const favoriteBtn = document.getElementById('favorite-btn');
+    if (!favoriteBtn) return;
+
+    favoriteBtn.addEventListener('click', () => {
+        const isFavorite = window.PSM.favorites.toggle(selection.product.id);
+        showToast(isFavorite ? 'Guardado en favoritos' : 'Quitado de favoritos');
+    });
+};
+
+/**
+ * Applies the saved trade-in to this product, or stops using it / forgets
+ * it. The panel re-renders on the store's change event.
+ */
+const bindTradeIn = () => {
+    const slot = document.getElementById('product-tradein');
+    if (!slot) return;
+
+    slot.addEventListener('change', (e) => {
+        if (e.target.id !== 'tradein-apply') return;
+        window.PSM.tradeIn.apply(e.target.checked ? selection.product.id : null);
+        showToast(e.target.checked ? 'Crédito aplicado a este equipo' : 'Crédito quitado');
+    });
+
+    slot.addEventListener('click', (e) => {
+        if (e.target.closest('#tradein-remove')) window.PSM.tradeIn.clear();
+    });
+};
+
+/**
+ * Plan chips of the financing calculator. The slot is re-rendered with the
+ * schedule, and the WhatsApp link picks up the plan.
+ */
+const bindFinancing = () => {
+    const slot = document.getElementById('product-financing');
+    if (!slot) return;
+
+    slot.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-financing-plan]');
+        if (!chip || chip.disabled) return;
+        financing.planId = chip.dataset.financingPlan || null;
+        refreshPrices(getSelectedView());
+    });
+};
+
 /**
  * Binds the native Web Share API if available, falls back to clipboard copy.
  */
@@ -292,14 +1043,13 @@ const bindShareButton = () => {
 };
 
 /**
- * Handles pending page links (cart, login) with toast notification.
+ * Handles pending page links (login) with toast notification.
  */
 const bindPendingPages = () => {
     document.querySelectorAll('[data-page-pending]').forEach(link => {
         link.addEventListener('click', (e) => {
             e.preventDefault();
-            const label = link.dataset.pagePending === 'cart' ? 'Carrito' : 'Mi cuenta';
-            showToast(`${label} — Próximamente`);
+            showToast('Mi cuenta — Próximamente');
         });
     });
 };
@@ -333,17 +1083,36 @@ const showToast = (message) => {
     }, 2500);
 };
 
-/* --- Init --- */
+/**
+ * Toggles the feed error state. The skeleton is shown again while retrying.
+ * @param {boolean} hasFailed
+ */
+const renderLoadError = (hasFailed) => {
+    const skeleton   = document.getElementById('product-skeleton');
+    const errorState = document.getElementById('product-error');
 
-document.addEventListener('DOMContentLoaded', () => {
-    const productId = getProductIdFromUrl();
+    if (skeleton) skeleton.hidden = hasFailed;
+    if (errorState) errorState.hidden = !hasFailed;
+};
 
-    /* Guard: no ID or invalid ID → redirect to catalog */
-    if (!productId) {
-        window.location.href = CATALOG_URL;
-        return;
-    }
+/**
+ * Waits for the catalog feed, then renders the product.
+ * "Reintentar" calls this again, which makes PSM.catalog fetch a fresh copy.
+ * @param {string} productId
+ */
+const loadProduct = (productId) => {
+    renderLoadError(false);
 
+    window.PSM.catalog.load()
+        .then(() => initProduct(productId))
+        .catch(() => renderLoadError(true));
+};
+
+/**
+ * Renders the page for a product once the catalog is loaded.
+ * @param {string} productId
+ */
+const initProduct = (productId) => {
     const product = window.PSM.findProductById(productId);
 
     /* Guard: product not found → redirect to catalog */
@@ -352,18 +1121,53 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
 
-    updateMetaTags(product);
-    renderProduct(product);
+    selection.product = product;
+    selection.variant = window.PSM.findVariant(product, getVariantIdFromUrl(productId));
+
+    updateMetaTags(getSelectedView());
+    renderProduct(product, selection.variant);
 
     /* Bind events after render (content injected by renderProduct with delay) */
     const RENDER_DELAY_MS = 350;
     setTimeout(() => {
-        bindGalleryEvents(product);
+        bindGalleryEvents();
+        bindVariantPicker();
+        bindAddToCart();
         bindShareButton();
+        bindCompareButton();
+        bindFavoriteButton();
+        bindTradeIn();
+        bindFinancing();
     }, RENDER_DELAY_MS);
 
-    const related = window.PSM.getRelatedProducts(product);
-    renderRelated(related);
+    renderRelated(product);
+    window.PSM.repairBooking.mount(product);
+
+    /* The strip on this page lists the other products viewed, not this one */
+    document.querySelectorAll('[data-recent-strip]').forEach(strip => { strip.dataset.recentExclude = product.id; });
+    window.PSM.recent.record(product.id);
+
+    document.addEventListener('psm:currencychange', () => {
+        refreshPrices(getSelectedView());
+        renderRelated(product);
+    });
+
+    /* Applied, removed, or quoted again in another tab */
+    document.addEventListener(window.PSM.tradeIn.CHANGE_EVENT, () => refreshPrices(getSelectedView()));
+};
+
+/* --- Init --- */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const productId = getProductIdFromUrl();
+
+    /* Guard: no ID or invalid ID → redirect to catalog */
+    if (!productId) {
+        window.location.href = CATALOG_URL;
+        return;
+    }
 
+    document.getElementById('product-retry')?.addEventListener('click', () => loadProduct(productId));
     bindPendingPages();
+    loadProduct(productId);
 });
@@ -1,11 +1,15 @@
 /**
  * Phone Store Maracaibo — Shared Product Data
- * Single source of truth for all product data.
+ * Product schema, catalog helpers and the loader for the product feed.
  * Loaded before catalogo.js and producto.js.
  *
  * Why a shared file: both the catalog grid and the product detail page
  * need this data. Duplicating it would create divergence risk.
  *
+ * The products themselves live in data/products.json, so a price or stock
+ * change is a data edit, not a code change. The feed is fetched as soon as
+ * this file runs; pages wait on PSM.catalog.ready() before rendering.
+ *
  * @namespace PSM
  */
 
@@ -19,263 +23,1095 @@ window.PSM = window.PSM || {};
  * @property {string}      name        - Display name
  * @property {string}      category    - 'iphone' | 'accesorio' | 'repuesto'
  * @property {number|null} series      - iPhone series number, null for non-iPhones
- * @property {string}      condition   - 'nuevo' | 'certificado'
- * @property {string[]}    specs       - Feature tags shown on cards
+ * @property {string}      [deviceModel]    - DEVICE_MODELS id, required for iPhones
+ * @property {string[]}    [compatibleWith] - DEVICE_MODELS ids an accessory or part fits.
+ *                                            Accessories without it work with any iPhone
+ * @property {string}      condition   - 'nuevo' | 'certificado'. With variants: the default variant's
+ * @property {string[]}    specs       - Extra card tags that aren't specs: 'Original Apple', 'Incluye instalación'
+ * @property {TechSpecs}   [techSpecs] - Structured specs, grouped as in PSM.SPEC_GROUPS
+ * @property {string[]}    [boughtTogether] - Product ids picked by hand for "Se compran juntos",
+ *                                            shown first among the related products
  * @property {string[]}    gallery     - Ordered image paths (first = hero)
  * @property {string}      description - Long description for product detail page
  * @property {string}      waMessage   - WhatsApp pre-filled inquiry message
+ * @property {number}      [price]     - List price in USD. Required unless every variant has its own
+ * @property {number}      [salePrice] - Promotional price in USD. When set, `price` is shown as "antes"
+ * @property {Object<string, number>} [conditionPrices] - List price per condition, for models
+ *                                       sold both 'nuevo' and 'certificado'. Overrides `price`.
+ * @property {string}      [availability] - 'en-stock' (default) | 'pocas-unidades' | 'por-encargo' | 'agotado'.
+ *                                          Products with variants set it per variant instead
+ * @property {ProductColor[]}   [colors]   - Color options, in picker order
+ * @property {ProductVariant[]} [variants] - Sellable color × storage × condition combinations.
+ *                                           First one not sold out is the default shown on cards and links.
+ * @property {Inspection}  [inspection] - Certified products without variants: the unit's inspection report
  */
-window.PSM.PRODUCTS = [
 
-    /* --- Serie 17 --- */
-    {
-        id: 'iph-17-pro-max',
-        name: 'iPhone 17 Pro Max',
-        category: 'iphone',
-        series: 17,
-        condition: 'nuevo',
-        specs: ['A19 Pro', 'Titanio', '256GB'],
-        gallery: [
-            'img/phone/product/iphone_17/17_pro_max_png/17promax.png',
-            'img/phone/product/iphone_17/iphone-17-series.webp'
-        ],
-        description: 'El iPhone más avanzado de la historia. El chip A19 Pro establece nuevos estándares de rendimiento, con una cámara Pro de 48 MP con zoom óptico 5x y pantalla Super Retina XDR ProMotion 120Hz en titanio grado aeroespacial.',
-        waMessage: 'Hola, me interesa el iPhone 17 Pro Max'
-    },
-    {
-        id: 'iph-17',
-        name: 'iPhone 17',
-        category: 'iphone',
-        series: 17,
-        condition: 'nuevo',
-        specs: ['A19', '6.1"', '128GB'],
-        gallery: [
-            'img/phone/product/iphone_17/17_plus/iphone-17.png',
-            'img/phone/product/iphone_17/iphone-17-series.webp'
-        ],
-        description: 'Toda la potencia del A19 en el formato estándar. Dynamic Island, carga rápida y la misma durabilidad de siempre en un diseño renovado.',
-        waMessage: 'Hola, me interesa el iPhone 17'
-    },
+/**
+ * @typedef {Object} ProductColor
+ * @property {string}   id        - Slug referenced by variants ('negro')
+ * @property {string}   label     - Display name ('Negro Titanio')
+ * @property {string}   hex       - Swatch color
+ * @property {string[]} [gallery] - Images for this color. Falls back to the product gallery
+ */
 
-    /* --- Serie 16 --- */
-    {
-        id: 'iph-16-pro-max',
-        name: 'iPhone 16 Pro Max',
-        category: 'iphone',
-        series: 16,
-        condition: 'nuevo',
-        specs: ['A18 Pro', 'Titanio', '256GB'],
-        gallery: [
-            'img/phone/product/iphone_16/16_pro_max/16_pro_max.png',
-            'img/phone/product/iphone_16/0021697_iphone-16-16-plus-series.jpeg'
-        ],
-        description: 'Pantalla de 6.9" ProMotion 120Hz, chip A18 Pro y sistema de cámara Pro más avanzado de Apple hasta la fecha. Con Action Button y botón de Control de Cámara. Cuerpo de titanio grado aeroespacial.',
-        waMessage: 'Hola, me interesa el iPhone 16 Pro Max'
-    },
-    {
-        id: 'iph-16',
-        name: 'iPhone 16 Negro',
-        category: 'iphone',
-        series: 16,
-        condition: 'nuevo',
-        specs: ['A18', '6.1"', '128GB', 'Negro Titanio'],
-        gallery: [
-            'img/phone/product/iphone_16/png/iphone_16_black_titanium.png',
-            'img/phone/product/iphone_16/iphone-16-finish-select-202409-6-1inch-black.jfif'
-        ],
-        description: 'El iPhone 16 en Negro Titanio. Chip A18 con Apple Intelligence, cámara Fusion de 48 MP y Dynamic Island. USB-C con transferencia a 10 Gb/s.',
-        waMessage: 'Hola, me interesa el iPhone 16 en Negro Titanio'
-    },
-    {
-        id: 'iph-16-pink',
-        name: 'iPhone 16 Rosa',
-        category: 'iphone',
-        series: 16,
-        condition: 'nuevo',
-        specs: ['A18', '6.1"', '128GB', 'Rosa'],
-        gallery: [
-            'img/phone/product/iphone_16/png/iphone_16_pink.png',
-            'img/phone/product/iphone_16/iPhone-16-Teal-1.png'
-        ],
-        description: 'El iPhone 16 en acabado Rosa. Todo el rendimiento del A18 con Apple Intelligence en el color más solicitado de la temporada.',
-        waMessage: 'Hola, me interesa el iPhone 16 en color Rosa'
-    },
-    {
-        id: 'iph-16-white',
-        name: 'iPhone 16 Blanco',
-        category: 'iphone',
-        series: 16,
-        condition: 'nuevo',
-        specs: ['A18', '6.1"', '128GB', 'Blanco'],
-        gallery: [
-            'img/phone/product/iphone_16/png/iphone_16_white.png',
-            'img/phone/product/iphone_16/0021697_iphone-16-16-plus-series.jpeg'
-        ],
-        description: 'El iPhone 16 en Blanco. Diseño atemporal con chip A18 y el sistema de cámara más inteligente de la línea estándar.',
-        waMessage: 'Hola, me interesa el iPhone 16 en color Blanco'
-    },
+/**
+ * @typedef {Object} ProductVariant
+ * @property {string} id          - Unique within the product, used as `?variant=` URL param
+ * @property {string} [color]     - ProductColor id
+ * @property {string} [storage]   - Capacity label ('128GB')
+ * @property {string} condition   - 'nuevo' | 'certificado'
+ * @property {number} [price]     - List price in USD. Falls back to conditionPrices, then product price
+ * @property {number} [salePrice] - Promotional price in USD
+ * @property {string} [availability] - Same values as Product.availability. Defaults to 'en-stock'
+ * @property {Inspection} [inspection] - Certified variants only: the inspection report of the unit in stock
+ */
+
+/**
+ * Spec group key → field key → text, e.g. `{ chip: { name: 'A19 Pro' } }`.
+ * Only groups and fields listed in PSM.SPEC_GROUPS are allowed.
+ * @typedef {Object<string, Object<string, string>>} TechSpecs
+ */
+
+/**
+ * The catalog, filled from data/products.json by PSM.catalog (see Catalog
+ * Feed below). Empty until the feed loads: read it at render time, after
+ * PSM.catalog.ready(), never keep a copy from script load.
+ * @type {Product[]}
+ */
+window.PSM.PRODUCTS = [];
+
+/**
+ * Old per-color product IDs → parent product + variant.
+ * Links with these IDs were already shared over WhatsApp; keep them working.
+ */
+window.PSM.LEGACY_PRODUCT_IDS = {
+    'iph-16-pink':  { id: 'iph-16', variant: 'rosa-128gb' },
+    'iph-16-white': { id: 'iph-16', variant: 'blanco-128gb' },
+    'iph-15-black': { id: 'iph-15', variant: 'negro-128gb' },
+    'iph-15-cream': { id: 'iph-15', variant: 'crema-128gb' },
+    'iph-15-white': { id: 'iph-15', variant: 'blanco-128gb' }
+};
+
+/**
+ * Finds a product by its unique ID. Legacy per-color IDs resolve to their parent.
+ * @param {string} id
+ * @returns {Product|undefined}
+ */
+window.PSM.findProductById = (id) => {
+    const legacy = window.PSM.LEGACY_PRODUCT_IDS[id];
+    const targetId = legacy ? legacy.id : id;
+    return window.PSM.PRODUCTS.find(p => p.id === targetId);
+};
+
+/* --- Variants --- */
+
+/**
+ * @typedef {Object} VariantOptions
+ * @property {ProductColor[]} colors     - Colors that have at least one variant
+ * @property {string[]}       storages   - Distinct capacities, in data order
+ * @property {string[]}       conditions - Distinct conditions, in data order
+ */
+
+/**
+ * Lists the distinct values of each variant axis.
+ * Products without variants report their own condition only.
+ * @param {Product} product
+ * @returns {VariantOptions}
+ */
+window.PSM.getVariantOptions = (product) => {
+    const variants = product.variants ?? [];
+    const distinct = (key) => [...new Set(variants.map(v => v[key]).filter(Boolean))];
+    const colorIds = distinct('color');
+
+    return {
+        colors:     (product.colors ?? []).filter(c => colorIds.includes(c.id)),
+        storages:   distinct('storage'),
+        conditions: variants.length ? distinct('condition') : [product.condition]
+    };
+};
+
+/**
+ * Finds a variant by ID, falling back to the default variant: the first
+ * one not sold out, or simply the first when everything is sold out.
+ * @param {Product} product
+ * @param {string|null} [variantId]
+ * @returns {ProductVariant|null} null when the product has no variants
+ */
+window.PSM.findVariant = (product, variantId) => {
+    const variants = product.variants ?? [];
+    return variants.find(v => v.id === variantId) ??
+        variants.find(v => v.availability !== 'agotado') ??
+        variants[0] ??
+        null;
+};
+
+/**
+ * Picks the variant that best matches a selection after one axis changed.
+ * The changed axis is honoured strictly; the other axes are kept when a
+ * matching variant exists, otherwise the closest one wins.
+ * @param {Product} product
+ * @param {{ color?: string, storage?: string, condition?: string }} selection
+ * @param {string} changedAxis - 'color' | 'storage' | 'condition'
+ * @returns {ProductVariant|null}
+ */
+window.PSM.pickVariant = (product, selection, changedAxis) => {
+    const AXES = ['color', 'storage', 'condition'];
+    const candidates = (product.variants ?? [])
+        .filter(v => v[changedAxis] === selection[changedAxis]);
+
+    const score = (v) => AXES.filter(axis => v[axis] === selection[axis]).length;
+
+    return candidates.reduce((best, v) => (!best || score(v) > score(best) ? v : best), null);
+};
+
+/**
+ * Short human label for a variant: "Rosa · 128GB · Certificado".
+ * @param {Product} product
+ * @param {ProductVariant} variant
+ * @returns {string}
+ */
+window.PSM.describeVariant = (product, variant) => {
+    const color = product.colors?.find(c => c.id === variant.color);
+    const conditions = window.PSM.getVariantOptions(product).conditions;
+    return [
+        color?.label,
+        variant.storage,
+        conditions.length > 1 ? (variant.condition === 'certificado' ? 'Certificado' : 'Nuevo') : null
+    ].filter(Boolean).join(' · ');
+};
+
+/**
+ * Flattens a product and one of its variants into a plain Product, so
+ * every renderer keeps working on a single shape. Gallery comes from the
+ * variant's color, price and condition from the variant. `specs` becomes
+ * the full tag list: PSM.getSpecTags plus the storage and color.
+ * @param {Product} product
+ * @param {ProductVariant|null} [variant] - Defaults to the product's default variant
+ * @returns {Product & { parentId: string, variantId: string|null, variantLabel: string }}
+ */
+window.PSM.resolveVariant = (product, variant = window.PSM.findVariant(product)) => {
+    if (!variant) {
+        return {
+            ...product,
+            parentId:     product.id,
+            variantId:    null,
+            variantLabel: '',
+            specs:        window.PSM.getSpecTags(product)
+        };
+    }
+
+    const color = product.colors?.find(c => c.id === variant.color);
+    const label = window.PSM.describeVariant(product, variant);
+    const price = variant.price ?? product.conditionPrices?.[variant.condition] ?? product.price;
+
+    return {
+        ...product,
+        parentId:     product.id,
+        variantId:    variant.id,
+        variantLabel: label,
+        condition:    variant.condition,
+        availability: variant.availability ?? 'en-stock',
+        price,
+        salePrice:    variant.salePrice,
+        conditionPrices: undefined,
+        gallery:      color?.gallery ?? product.gallery,
+        specs:        [...window.PSM.getSpecTags(product), variant.storage, color?.label].filter(Boolean),
+        waMessage:    label ? `${product.waMessage} — ${label}` : product.waMessage,
+        inspection:   variant.inspection
+    };
+};
+
+/**
+ * Lowest and highest current price across all variants.
+ * Cards use it to show "Desde $X" when capacities are priced differently.
+ * @param {Product} product
+ * @returns {{ min: number, max: number }}
+ */
+window.PSM.getPriceRange = (product) => {
+    const variants = product.variants?.length ? product.variants : [null];
+    const prices = variants.map(v => {
+        const view = v ? window.PSM.resolveVariant(product, v) : product;
+        return window.PSM.resolvePrice(view).current;
+    });
+    return { min: Math.min(...prices), max: Math.max(...prices) };
+};
+
+/* --- Availability --- */
+
+/**
+ * @typedef {Object} AvailabilityState
+ * @property {string}  label    - Customer-facing text
+ * @property {boolean} inStock  - Can be delivered now (used by the "solo disponibles" filter)
+ * @property {boolean} canOrder - Can go in the cart. False only when sold out
+ */
+
+/**
+ * Availability states, best first. Key order is the ranking used to
+ * summarise a product from its variants.
+ * @type {Object<string, AvailabilityState>}
+ */
+window.PSM.AVAILABILITY = {
+    'en-stock':       { label: 'Disponible',        inStock: true,  canOrder: true  },
+    'pocas-unidades': { label: 'Últimas unidades',  inStock: true,  canOrder: true  },
+    'por-encargo':    { label: 'Por encargo Miami', inStock: false, canOrder: true  },
+    'agotado':        { label: 'Agotado',           inStock: false, canOrder: false }
+};
+
+/**
+ * Availability key of a product or variant view.
+ * A parent product with variants reports its best variant, so a model
+ * only reads as sold out when every color and capacity is.
+ * @param {Product} product - Catalog product or a view from resolveVariant
+ * @returns {string} Key of PSM.AVAILABILITY
+ */
+window.PSM.getAvailability = (product) => {
+    const ranking = Object.keys(window.PSM.AVAILABILITY);
+    const isParent = product.variants?.length && !product.parentId;
+
+    if (!isParent) return product.availability ?? 'en-stock';
+
+    return product.variants
+        .map(v => v.availability ?? 'en-stock')
+        .reduce((best, key) => (ranking.indexOf(key) < ranking.indexOf(best) ? key : best));
+};
+
+/**
+ * @param {Product} product
+ * @returns {AvailabilityState}
+ */
+window.PSM.resolveAvailability = (product) =>
+    window.PSM.AVAILABILITY[window.PSM.getAvailability(product)] ?? window.PSM.AVAILABILITY['en-stock'];
+
+/**
+ * WhatsApp text for a sold-out item: asks sales to notify the customer
+ * on restock instead of asking for a price we can't honour.
+ * @param {Product} product - Variant view, so the message names the exact color/capacity
+ * @returns {string}
+ */
+window.PSM.buildRestockMessage = (product) =>
+    `${product.waMessage}. Aparece agotado en la web, ¿me avisan cuando llegue?`;
+
+/* --- Device Compatibility --- */
+
+/**
+ * @typedef {Object} DeviceModel
+ * @property {string} id     - 'iphone-15-pro-max', used in Product.compatibleWith and `?device=`
+ * @property {string} label  - 'iPhone 15 Pro Max'
+ * @property {number} series
+ */
+
+/**
+ * Every iPhone we sell parts or accessories for, newest series first.
+ * Not only the models in the catalog: customers pick their own phone.
+ * @type {DeviceModel[]}
+ */
+window.PSM.DEVICE_MODELS = [
+    { id: 'iphone-17-pro-max', label: 'iPhone 17 Pro Max', series: 17 },
+    { id: 'iphone-17-pro',     label: 'iPhone 17 Pro',     series: 17 },
+    { id: 'iphone-air',        label: 'iPhone Air',        series: 17 },
+    { id: 'iphone-17',         label: 'iPhone 17',         series: 17 },
+    { id: 'iphone-16-pro-max', label: 'iPhone 16 Pro Max', series: 16 },
+    { id: 'iphone-16-pro',     label: 'iPhone 16 Pro',     series: 16 },
+    { id: 'iphone-16-plus',    label: 'iPhone 16 Plus',    series: 16 },
+    { id: 'iphone-16',         label: 'iPhone 16',         series: 16 },
+    { id: 'iphone-16e',        label: 'iPhone 16e',        series: 16 },
+    { id: 'iphone-15-pro-max', label: 'iPhone 15 Pro Max', series: 15 },
+    { id: 'iphone-15-pro',     label: 'iPhone 15 Pro',     series: 15 },
+    { id: 'iphone-15-plus',    label: 'iPhone 15 Plus',    series: 15 },
+    { id: 'iphone-15',         label: 'iPhone 15',         series: 15 },
+    { id: 'iphone-14-pro-max', label: 'iPhone 14 Pro Max', series: 14 },
+    { id: 'iphone-14-pro',     label: 'iPhone 14 Pro',     series: 14 },
+    { id: 'iphone-14-plus',    label: 'iPhone 14 Plus',    series: 14 },
+    { id: 'iphone-14',         label: 'iPhone 14',         series: 14 },
+    { id: 'iphone-13-pro-max', label: 'iPhone 13 Pro Max', series: 13 },
+    { id: 'iphone-13-pro',     label: 'iPhone 13 Pro',     series: 13 },
+    { id: 'iphone-13',         label: 'iPhone 13',         series: 13 },
+    { id: 'iphone-13-mini',    label: 'iPhone 13 mini',    series: 13 },
+    { id: 'iphone-12-pro-max', label: 'iPhone 12 Pro Max', series: 12 },
+    { id: 'iphone-12-pro',     label: 'iPhone 12 Pro',     series: 12 },
+    { id: 'iphone-12',         label: 'iPhone 12',         series: 12 },
+    { id: 'iphone-12-mini',    label: 'iPhone 12 mini',    series: 12 },
+    { id: 'iphone-11-pro-max', label: 'iPhone 11 Pro Max', series: 11 },
+    { id: 'iphone-11-pro',     label: 'iPhone 11 Pro',     series: 11 },
+    { id: 'iphone-11',         label: 'iPhone 11',         series: 11 }
+];
+
+/**
+ * @param {string|null} id
+ * @returns {DeviceModel|undefined}
+ */
+window.PSM.findDeviceModel = (id) => window.PSM.DEVICE_MODELS.find(model => model.id === id);
 
-    /* --- Serie 15 --- */
+/**
+ * Models an accessory or part fits, in DEVICE_MODELS order.
+ * @param {Product} product
+ * @returns {DeviceModel[]} Empty for iPhones and universal accessories
+ */
+window.PSM.getCompatibleModels = (product) =>
+    window.PSM.DEVICE_MODELS.filter(model => product.compatibleWith?.includes(model.id));
+
+/**
+ * Whether a product is worth showing to the owner of a given iPhone:
+ * parts and accessories listing the model, plus accessories without a
+ * list (chargers, AirPods — they work with any iPhone). iPhones never fit.
+ * @param {Product} product
+ * @param {string} modelId - DEVICE_MODELS id
+ * @returns {boolean}
+ */
+window.PSM.fitsDevice = (product, modelId) => {
+    if (product.category === 'iphone') return false;
+    if (product.compatibleWith) return product.compatibleWith.includes(modelId);
+    return product.category === 'accesorio';
+};
+
+/**
+ * Series span of the compatible models, for the card tag: '13 al 15', '15'.
+ * @param {Product} product
+ * @returns {string|undefined} undefined without a compatibility list
+ */
+window.PSM.describeCompatibleSeries = (product) => {
+    const series = window.PSM.getCompatibleModels(product).map(model => model.series);
+    if (!series.length) return undefined;
+
+    const min = Math.min(...series);
+    const max = Math.max(...series);
+    return min === max ? String(min) : `${min} al ${max}`;
+};
+
+/* --- Recommendations --- */
+
+/**
+ * Why a product is recommended. Key order is the order the product page
+ * shows the groups in.
+ * @type {Object<string, { label: string }>}
+ */
+window.PSM.RELATED_REASONS = {
+    together:   { label: 'Se compran juntos' },
+    complement: { label: 'Complementa tu iPhone' },
+    compatible: { label: 'iPhones compatibles' },
+    version:    { label: 'Otras versiones' },
+    similar:    { label: 'También te puede interesar' }
+};
+
+/**
+ * @typedef {Object} Recommendation
+ * @property {Product} product
+ * @property {string}  reason - Key of PSM.RELATED_REASONS
+ * @property {number}  score  - Higher comes first
+ */
+
+/**
+ * Related products for a product page, best first. Every other product is
+ * scored against this one:
+ * - hand-picked `boughtTogether` ids win, in the order they were listed;
+ * - on an iPhone: accessories and parts made for its model, then other
+ *   iPhones (closest series first), then accessories that fit any iPhone;
+ * - on an accessory or part: the iPhones it fits and items for the same models.
+ * Sold-out products are left out and in-stock ones get a small boost. No
+ * reason fills more than half the list, so a page always gets a mix.
+ * @param {Product} product
+ * @returns {Recommendation[]}
+ */
+window.PSM.getRelatedProducts = (product) => {
+    const MAX_RELATED    = 8;
+    const MAX_PER_REASON = 4;
+    const STOCK_BONUS    = 5;
+
+    /**
+     * @param {Product} candidate
+     * @returns {{ reason: string, score: number }|null} null when unrelated
+     */
+    const score = (candidate) => {
+        const picked = product.boughtTogether?.indexOf(candidate.id) ?? -1;
+        if (picked >= 0) return { reason: 'together', score: 100 - picked };
+        if (candidate.boughtTogether?.includes(product.id)) return { reason: 'together', score: 80 };
+
+        if (product.category === 'iphone') {
+            if (candidate.category === 'iphone') {
+                const gap = Math.abs(candidate.series - product.series);
+                return { reason: 'version', score: Math.max(10, 40 - gap * 10) };
+            }
+            if (candidate.compatibleWith?.includes(product.deviceModel)) {
+                return { reason: 'complement', score: candidate.category === 'accesorio' ? 60 : 50 };
+            }
+            return window.PSM.fitsDevice(candidate, product.deviceModel) ? { reason: 'complement', score: 30 } : null;
+        }
+
+        if (candidate.category === 'iphone') {
+            return product.compatibleWith?.includes(candidate.deviceModel) ? { reason: 'compatible', score: 40 } : null;
+        }
+
+        const shared = (candidate.compatibleWith ?? []).filter(id => product.compatibleWith?.includes(id)).length;
+        if (shared) return { reason: 'similar', score: 30 + shared };
+        return candidate.category === product.category ? { reason: 'similar', score: 10 } : null;
+    };
+
+    const perReason = {};
+    return window.PSM.PRODUCTS
+        .filter(candidate => candidate.id !== product.id && window.PSM.getAvailability(candidate) !== 'agotado')
+        .map(candidate => {
+            const match = score(candidate);
+            if (!match) return null;
+            const bonus = window.PSM.resolveAvailability(candidate).inStock ? STOCK_BONUS : 0;
+            return { product: candidate, reason: match.reason, score: match.score + bonus };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .filter(({ reason }) => {
+            perReason[reason] = (perReason[reason] ?? 0) + 1;
+            return perReason[reason] <= MAX_PER_REASON;
+        })
+        .slice(0, MAX_RELATED);
+};
+
+/* --- Tech Specs --- */
+
+/**
+ * @typedef {Object} SpecField
+ * @property {string} key
+ * @property {string} label - Row label on the spec sheet and comparar.html
+ * @property {boolean|function(string): string} [tag] - Shown as a card tag; a function formats the text
+ * @property {function(Product): (string|undefined)} [compute] - Derived from other product data
+ *           instead of stored in techSpecs; not editable
+ */
+
+/**
+ * @typedef {Object} SpecGroup
+ * @property {string}      key
+ * @property {string}      label  - Section title on the spec sheet
+ * @property {SpecField[]} fields - In display order
+ */
+
+/**
+ * The spec sheet schema: every group and field a product's techSpecs may
+ * use, in the order they are shown. The product page, comparar.html, the
+ * catalog editor and the CSV columns are all built from this list.
+ * @type {SpecGroup[]}
+ */
+window.PSM.SPEC_GROUPS = [
     {
-        id: 'iph-15-pro-max',
-        name: 'iPhone 15 Pro Max',
-        category: 'iphone',
-        series: 15,
-        condition: 'nuevo',
-        specs: ['A17 Pro', 'Titanio', '256GB'],
-        gallery: [
-            'img/phone/product/iphone_15/15_pro_max/15_pro_max.png',
-            'img/phone/iphone-15-pro-max-blue-titanium-256gb-back_4.jpg'
-        ],
-        description: 'El primer iPhone con cuerpo de titanio grado aeroespacial. Chip A17 Pro con GPU de 6 núcleos, zoom óptico 5x y Action Button personalizable. USB-C con Thunderbolt 3.',
-        waMessage: 'Hola, me interesa el iPhone 15 Pro Max'
+        key: 'chip',
+        label: 'Chip',
+        fields: [
+            { key: 'name', label: 'Chip', tag: true }
+        ]
     },
     {
-        id: 'iph-15-black',
-        name: 'iPhone 15 Negro',
-        category: 'iphone',
-        series: 15,
-        condition: 'certificado',
-        specs: ['A16 Bionic', '6.1"', '128GB'],
-        gallery: [
-            'img/phone/product/iphone_15/iphone_15/iphone_15_black.png',
-            'img/phone/product/iphone_15/iphone_15/iphone_15_cream_1.png'
-        ],
-        description: 'Certificado PSM. El iPhone 15 Negro en condición revisada y garantizada. Pantalla Super Retina XDR con Dynamic Island, chip A16 Bionic y cámara principal de 48 MP.',
-        waMessage: 'Hola, me interesa el iPhone 15 Negro certificado'
+        key: 'display',
+        label: 'Pantalla',
+        fields: [
+            { key: 'size',        label: 'Tamaño', tag: true },
+            { key: 'type',        label: 'Tipo' },
+            { key: 'refreshRate', label: 'Frecuencia' }
+        ]
     },
     {
-        id: 'iph-15-cream',
-        name: 'iPhone 15 Crema',
-        category: 'iphone',
-        series: 15,
-        condition: 'certificado',
-        specs: ['A16 Bionic', '6.1"', '128GB', 'Crema'],
-        gallery: [
-            'img/phone/product/iphone_15/iphone_15/iphone_15_cream_1.png',
-            'img/phone/product/iphone_15/iphone_15/iphone_15_white.png'
-        ],
-        description: 'Certificado PSM. iPhone 15 en Crema — el tono más elegante de la Serie 15. Revisado, garantizado y listo para estrenar.',
-        waMessage: 'Hola, me interesa el iPhone 15 en color Crema'
+        key: 'cameras',
+        label: 'Cámaras',
+        fields: [
+            { key: 'main',      label: 'Principal' },
+            { key: 'ultraWide', label: 'Ultra gran angular' },
+            { key: 'telephoto', label: 'Teleobjetivo' },
+            { key: 'front',     label: 'Frontal' }
+        ]
     },
     {
-        id: 'iph-15-white',
-        name: 'iPhone 15 Blanco',
-        category: 'iphone',
-        series: 15,
-        condition: 'certificado',
-        specs: ['A16 Bionic', '6.1"', '128GB', 'Blanco'],
-        gallery: [
-            'img/phone/product/iphone_15/iphone_15/iphone_15_white.png',
-            'img/phone/product/iphone_15/iphone_15/iphone_15_cream_1.png'
-        ],
-        description: 'Certificado PSM. iPhone 15 Blanco con revisión técnica completa. 60 días de garantía PSM incluida.',
-        waMessage: 'Hola, me interesa el iPhone 15 en color Blanco'
+        key: 'battery',
+        label: 'Batería y carga',
+        fields: [
+            { key: 'video',    label: 'Reproducción de video' },
+            { key: 'life',     label: 'Autonomía' },
+            { key: 'power',    label: 'Potencia', tag: true },
+            { key: 'charging', label: 'Carga' },
+            { key: 'health',   label: 'Salud', tag: (value) => `${value} salud` }
+        ]
     },
-
-    /* --- Accesorios --- */
     {
-        id: 'acc-cargador-40w',
-        name: 'Cargador Apple 40W',
-        category: 'accesorio',
-        series: null,
-        condition: 'nuevo',
-        specs: ['Original Apple', '40W', 'USB-C'],
-        gallery: [
-            'img/accesorys/cargador40w/PNG/40w.png'
-        ],
-        description: 'Cargador original Apple de 40W con conector USB-C. Compatible con iPhone 15 y 16. Carga hasta un 50% en 30 minutos. Incluye cable USB-C.',
-        waMessage: 'Hola, me interesa el Cargador Apple 40W'
+        key: 'connectivity',
+        label: 'Conectividad',
+        fields: [
+            { key: 'port',      label: 'Puerto' },
+            { key: 'connector', label: 'Conector', tag: true },
+            { key: 'wireless',  label: 'Inalámbrica' }
+        ]
     },
     {
-        id: 'acc-cable-typec',
-        name: 'Cable Anker USB-C',
-        category: 'accesorio',
-        series: null,
-        condition: 'nuevo',
-        specs: ['Nylon trenzado', '1 metro', 'USB-C a USB-C'],
-        gallery: [
-            'img/accesorys/cableTypeC/PNG/cabletypec.png'
-        ],
-        description: 'Cable Anker USB-C a USB-C de nylon trenzado. 1 metro de longitud, soporta carga rápida y transferencia de datos. Compatible con todos los iPhone con puerto USB-C.',
-        waMessage: 'Hola, me interesa el Cable Anker USB-C'
+        key: 'dimensions',
+        label: 'Dimensiones y materiales',
+        fields: [
+            { key: 'material', label: 'Material', tag: true },
+            { key: 'length',   label: 'Largo', tag: true },
+            { key: 'weight',   label: 'Peso' }
+        ]
     },
     {
-        id: 'acc-airpods-4',
-        name: 'AirPods Serie 4',
-        category: 'accesorio',
-        series: null,
-        condition: 'nuevo',
-        specs: ['Original Apple', 'ANC activo', 'USB-C', 'H2 chip'],
-        gallery: [
-            'img/accesorys/airpods/serie4/PNG/airpods-serie4.png'
-        ],
-        description: 'AirPods Serie 4 con cancelación activa de ruido. Diseño abierto rediseñado, chip H2, hasta 30 horas de batería total con estuche. Puerto USB-C.',
-        waMessage: 'Hola, me interesa los AirPods Serie 4'
-    },
+        key: 'compatibility',
+        label: 'Compatibilidad',
+        fields: [
+            {
+                key: 'series',
+                label: 'Series',
+                tag: (value) => `Serie ${value}`,
+                compute: (product) => window.PSM.describeCompatibleSeries(product)
+            },
+            {
+                key: 'models',
+                label: 'Modelos',
+                compute: (product) => window.PSM.getCompatibleModels(product).map(model => model.label).join(', ') || undefined
+            },
+            { key: 'notes', label: 'Notas' }
+        ]
+    }
+];
 
-    /* --- Repuestos --- */
-    {
-        id: 'rep-camara-frontal-15',
-        name: 'Cámara Frontal 15 Pro Max',
-        category: 'repuesto',
-        series: null,
-        condition: 'nuevo',
-        specs: ['Original Apple', 'Serie 13 al 15', 'Incluye instalación'],
-        gallery: [
-            'img/accesorys/camara_iphone_pro_max/iphone_15_pro_max/PNG/camara-accesory-iphone-15-pro-max.png'
-        ],
-        description: 'Módulo de cámara frontal TrueDepth original para iPhone 13, 14 y 15 Pro Max. Incluye instalación por técnico certificado PSM y garantía de 30 días sobre el trabajo.',
-        waMessage: 'Hola, me interesa la Cámara Frontal para mi iPhone'
-    },
-    {
-        id: 'rep-camara-trasera-14',
-        name: 'Cámara Trasera Serie 14',
-        category: 'repuesto',
-        series: null,
-        condition: 'nuevo',
-        specs: ['Original Apple', 'Serie 14 al 16', 'Incluye instalación'],
-        gallery: [
-            'img/accesorys/camara_iphone_pro_max/trasera-iphone_14/PNG/camara-trasera_iphone14.png'
-        ],
-        description: 'Módulo de cámara trasera original para iPhone 14, 15 y 16. Reemplaza el módulo completo. Instalación por técnico certificado PSM incluida con garantía de 30 días.',
-        waMessage: 'Hola, me interesa la Cámara Trasera para mi iPhone'
+/**
+ * One spec value: computed fields are derived, the rest read from techSpecs.
+ * @param {Product} product
+ * @param {SpecGroup} group
+ * @param {SpecField} field
+ * @returns {string|undefined}
+ */
+window.PSM.readSpec = (product, group, field) =>
+    (field.compute ? field.compute(product) : product.techSpecs?.[group.key]?.[field.key]);
+
+/**
+ * @typedef {Object} SpecSheetGroup
+ * @property {string} key
+ * @property {string} label
+ * @property {{ key: string, label: string, value: string }[]} rows - Only the fields the product has
+ */
+
+/**
+ * The product's spec values in schema order, without empty groups.
+ * @param {Product} product
+ * @returns {SpecSheetGroup[]}
+ */
+window.PSM.getSpecSheet = (product) => window.PSM.SPEC_GROUPS
+    .map(group => ({
+        key: group.key,
+        label: group.label,
+        rows: group.fields
+            .map(field => ({ key: field.key, label: field.label, value: window.PSM.readSpec(product, group, field) }))
+            .filter(row => row.value)
+    }))
+    .filter(group => group.rows.length);
+
+/**
+ * Card tags: the tag fields of the spec sheet, then the product's own
+ * `specs` extras. Storage and color are added by the callers that know them.
+ * @param {Product} product
+ * @returns {string[]}
+ */
+window.PSM.getSpecTags = (product) => {
+    const specTags = window.PSM.SPEC_GROUPS.flatMap(group => group.fields
+        .filter(field => field.tag)
+        .map(field => {
+            const value = window.PSM.readSpec(product, group, field);
+            if (!value) return null;
+            return typeof field.tag === 'function' ? field.tag(value) : value;
+        })
+        .filter(Boolean));
+    return [...new Set([...specTags, ...(product.specs ?? [])])];
+};
+
+/* --- Certified Inspection --- */
+
+/**
+ * Report filled in by the technician for each certified unit.
+ * @typedef {Object} Inspection
+ * @property {number}   batteryHealth - Maximum capacity, 1–100 (Ajustes → Batería)
+ * @property {string}   grade         - Cosmetic grade, key of PSM.INSPECTION_GRADES
+ * @property {string[]} partsReplaced - Parts swapped during refurbishing, empty when all original
+ * @property {Object<string, boolean>} tests - Result per PSM.INSPECTION_TESTS key, true = passed
+ */
+
+/**
+ * Battery health a certified unit must reach. Apple rates 80% or more as
+ * normal wear, so below this the battery is replaced before sale.
+ * @type {number}
+ */
+window.PSM.INSPECTION_BATTERY_MIN = 80;
+
+/**
+ * Cosmetic grades, best first.
+ * @type {Object<string, { label: string, description: string }>}
+ */
+window.PSM.INSPECTION_GRADES = {
+    'A+': { label: 'Como nuevo', description: 'Sin marcas visibles' },
+    'A':  { label: 'Excelente',  description: 'Marcas mínimas, solo visibles de cerca' },
+    'B':  { label: 'Muy bueno',  description: 'Marcas leves de uso en marco o pantalla' }
+};
+
+/**
+ * Functional checks every certified unit goes through, in report order.
+ * @type {{ key: string, label: string }[]}
+ */
+window.PSM.INSPECTION_TESTS = [
+    { key: 'display',      label: 'Pantalla y táctil' },
+    { key: 'face-id',      label: 'Face ID' },
+    { key: 'cameras',      label: 'Cámaras' },
+    { key: 'audio',        label: 'Altavoces y micrófonos' },
+    { key: 'charging',     label: 'Carga y puerto' },
+    { key: 'connectivity', label: 'Wi-Fi, Bluetooth y red celular' },
+    { key: 'buttons',      label: 'Botones y vibración' },
+    { key: 'sensors',      label: 'Sensores' }
+];
+
+/**
+ * Inspection reports of a product's certified units, one per certified
+ * variant that has one. Used by the catalog's battery and grade filters.
+ * @param {Product} product
+ * @returns {Inspection[]}
+ */
+window.PSM.getInspections = (product) => {
+    const units = product.variants?.length ? product.variants : [product];
+    return units
+        .filter(unit => unit.condition === 'certificado' && unit.inspection)
+        .map(unit => unit.inspection);
+};
+
+/**
+ * Tallies a report for display: which tests passed, and whether the
+ * battery meets PSM.INSPECTION_BATTERY_MIN.
+ * @param {Inspection} inspection
+ * @returns {{ tests: { key: string, label: string, passed: boolean }[], passedCount: number, batteryPassed: boolean }}
+ */
+window.PSM.summarizeInspection = (inspection) => {
+    const tests = window.PSM.INSPECTION_TESTS.map(test => ({ ...test, passed: inspection.tests[test.key] === true }));
+    return {
+        tests,
+        passedCount: tests.filter(test => test.passed).length,
+        batteryPassed: inspection.batteryHealth >= window.PSM.INSPECTION_BATTERY_MIN
+    };
+};
+
+/* --- Warranty --- */
+
+/**
+ * @typedef {Object} WarrantyRule
+ * @property {number} days     - Coverage from the purchase date
+ * @property {string} subtitle - What it covers
+ */
+
+/**
+ * PSM warranty per category. iPhones: 60 days. Accessories/parts: 30 days.
+ * Issued certificates carry their own day count, so a change here only
+ * affects new ones.
+ * @type {Object<string, WarrantyRule>}
+ */
+window.PSM.WARRANTY_RULES = {
+    iphone:    { days: 60, subtitle: 'Cubre defectos de fábrica y funcionamiento' },
+    accesorio: { days: 30, subtitle: 'Garantía sobre el producto y la instalación' },
+    repuesto:  { days: 30, subtitle: 'Garantía sobre el producto y la instalación' }
+};
+
+/**
+ * Builds the warranty text based on product type.
+ * @param {Product} product
+ * @returns {{ days: number, title: string, subtitle: string }}
+ */
+window.PSM.resolveWarranty = (product) => {
+    const rule = window.PSM.WARRANTY_RULES[product.category] ?? window.PSM.WARRANTY_RULES.accesorio;
+    return {
+        days: rule.days,
+        title: `${rule.days} días de garantía PSM`,
+        subtitle: rule.subtitle
+    };
+};
+
+/* --- Stores --- */
+
+/**
+ * @typedef {Object} Store
+ * @property {string} name
+ * @property {string} address
+ * @property {string} timeZone - IANA zone for appointments and purchase dates
+ * @property {string} code     - One letter in warranty certificate codes; never reuse one
+ */
+
+/**
+ * Physical stores: where installations are booked and warranties issued.
+ * @type {Object<string, Store>}
+ */
+window.PSM.STORES = {
+    'maracaibo': {
+        name: 'Tienda Maracaibo',
+        address: 'Hotel Tibisay del Lago, Locales 18-20, Maracaibo',
+        timeZone: 'America/Caracas',
+        code: 'M'
     },
-    {
-        id: 'rep-bateria-15',
-        name: 'Batería iPhone 15 Pro Max',
-        category: 'repuesto',
-        series: null,
-        condition: 'nuevo',
-        specs: ['Original Apple', 'Serie 14 al 16', 'Incluye instalación', '100% salud'],
-        gallery: [
-            'img/accesorys/bateries/PNG/bateries-iphone-15-pro-max.png'
-        ],
-        description: 'Batería original Apple al 100% de salud para iPhone 14, 15 y 16. El reemplazo devuelve la autonomía original de tu iPhone. Instalación en el día con garantía de 30 días.',
-        waMessage: 'Hola, me interesa el reemplazo de Batería para mi iPhone'
+    'miami': {
+        name: 'Tienda Miami',
+        address: '5585 NW 72nd Ave, Miami, FL 33195',
+        timeZone: 'America/New_York',
+        code: 'F'
     }
-];
+};
+
+/* --- Pricing --- */
 
 /**
- * Finds a product by its unique ID.
- * @param {string} id
- * @returns {Product|undefined}
+ * @typedef {Object} ResolvedPrice
+ * @property {number}      current  - Price the customer pays today (USD)
+ * @property {number|null} previous - Crossed-out "antes" price, null when not on sale
+ * @property {boolean}     isSale   - True when a promotional price is active
  */
-window.PSM.findProductById = (id) =>
-    window.PSM.PRODUCTS.find(p => p.id === id);
 
 /**
- * Returns related products: same series or same category, excluding self.
- * Capped at 4 to keep the related strip clean.
+ * Resolves the effective price of a product for a given condition.
+ * Order of precedence: conditionPrices[condition] → price. salePrice only
+ * applies to the product's own condition — a sale on the new unit is not a
+ * sale on the certified one.
  * @param {Product} product
- * @returns {Product[]}
+ * @param {string} [condition] - Defaults to the product's own condition
+ * @returns {ResolvedPrice}
  */
-window.PSM.getRelatedProducts = (product) => {
-    const MAX_RELATED = 4;
-    return window.PSM.PRODUCTS
-        .filter(p => p.id !== product.id && (
-            (p.series && p.series === product.series) ||
-            p.category === product.category
-        ))
-        .slice(0, MAX_RELATED);
+window.PSM.resolvePrice = (product, condition = product.condition) => {
+    const list = product.conditionPrices?.[condition] ?? product.price;
+    const hasSale = condition === product.condition &&
+        typeof product.salePrice === 'number' &&
+        product.salePrice < list;
+
+    return {
+        current:  hasSale ? product.salePrice : list,
+        previous: hasSale ? list : null,
+        isSale:   hasSale
+    };
 };
+
+/**
+ * Formats a USD amount for display: "$1.399".
+ * Venezuelan grouping (dot as thousands separator), no cents — prices are
+ * always whole dollars in store.
+ * @param {number} amount
+ * @returns {string}
+ */
+window.PSM.formatUsd = (amount) =>
+    `$${new Intl.NumberFormat('es-VE', { maximumFractionDigits: 0 }).format(amount)}`;
+
+/**
+ * Formats a USD amount in the display currency.
+ * USD by default; currency.js replaces it when the page supports bolívares.
+ * @param {number} amount - Amount in USD
+ * @returns {string}
+ */
+window.PSM.formatPrice = window.PSM.formatUsd;
+
+/**
+ * Builds the WhatsApp inquiry text for a product, appending the published
+ * price so sales knows which figure the customer saw. When the shopper is
+ * viewing bolívares, the USD reference price is included too.
+ * @param {Product} product
+ * @returns {string}
+ */
+window.PSM.buildInquiryMessage = (product) => {
+    const { current } = window.PSM.resolvePrice(product);
+    const shown = window.PSM.formatPrice(current);
+    const usd   = window.PSM.formatUsd(current);
+    const priceText = shown === usd ? usd : `${shown} · ref. ${usd}`;
+    return `${product.waMessage} (precio publicado: ${priceText})`;
+};
+
+/* --- Catalog Feed --- */
+
+/**
+ * Loads data/products.json into PSM.PRODUCTS.
+ *
+ * Flow: fetch feed → check schema version → validate each product →
+ * publish PSM.PRODUCTS → resolve ready() and fire `psm:catalogready`.
+ * On failure ready() rejects and `psm:catalogerror` fires; pages show
+ * their error state and call load() again to retry.
+ */
+window.PSM.catalog = (() => {
+
+    /* --- Constants --- */
+
+    const FEED_URL       = 'data/products.json';
+    const SCHEMA_VERSION = 1;
+    const READY_EVENT    = 'psm:catalogready';
+    const ERROR_EVENT    = 'psm:catalogerror';
+    const TIMEOUT_MS     = 10000;
+    /** Warranty codes pack ids into a fixed alphabet — keep both in step */
+    const ID_PATTERN     = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+    const CATEGORIES = ['iphone', 'accesorio', 'repuesto'];
+    const CONDITIONS = ['nuevo', 'certificado'];
+
+    /**
+     * @typedef {Object} CatalogFeed
+     * @property {number}      schemaVersion - Must match SCHEMA_VERSION; bump both on breaking changes
+     * @property {string|null} updatedAt     - ISO timestamp of the last catalog edit
+     * @property {Product[]}   products
+     */
+
+    /* --- State --- */
+
+    const state = {
+        /** 'loading' | 'ready' | 'error' */
+        status: 'loading',
+        updatedAt: null,
+        /** @type {Promise<Product[]>|null} */
+        request: null
+    };
+
+    /* --- Validation --- */
+
+    /**
+     * Checks techSpecs against PSM.SPEC_GROUPS, so a typo in a group or
+     * field name is reported instead of silently missing from the sheet.
+     * @param {*} techSpecs
+     * @returns {string[]}
+     */
+    const validateTechSpecs = (techSpecs) => {
+        if (techSpecs === undefined) return [];
+        if (!techSpecs || typeof techSpecs !== 'object' || Array.isArray(techSpecs)) {
+            return ['techSpecs must be an object'];
+        }
+
+        return Object.entries(techSpecs).flatMap(([groupKey, fields]) => {
+            const group = window.PSM.SPEC_GROUPS.find(g => g.key === groupKey);
+            if (!group) return [`unknown spec group "${groupKey}"`];
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                return [`techSpecs.${groupKey} must be an object`];
+            }
+
+            return Object.entries(fields).flatMap(([fieldKey, value]) => {
+                const field = group.fields.find(f => f.key === fieldKey);
+                if (!field) return [`unknown spec field "${groupKey}.${fieldKey}"`];
+                if (field.compute) return [`${groupKey}.${fieldKey} is computed and can't be set`];
+                return typeof value === 'string' && value.trim() !== '' ? [] : [`techSpecs.${groupKey}.${fieldKey} must be text`];
+            });
+        });
+    };
+
+    /**
+     * iPhones name their own model; accessories and parts list the models
+     * they fit. Both must be DEVICE_MODELS ids.
+     * @param {*} product
+     * @returns {string[]}
+     */
+    const validateCompatibility = (product) => {
+        const isModel = (id) => Boolean(window.PSM.findDeviceModel(id));
+
+        if (product.category === 'iphone') {
+            const problems = isModel(product.deviceModel) ? [] : [`unknown deviceModel "${product.deviceModel}"`];
+            if (product.compatibleWith !== undefined) problems.push('compatibleWith is for accessories and parts');
+            return problems;
+        }
+
+        const problems = product.deviceModel !== undefined ? ['deviceModel is for iPhones'] : [];
+        if (product.compatibleWith === undefined) return problems;
+        if (!Array.isArray(product.compatibleWith) || !product.compatibleWith.length) {
+            return [...problems, 'compatibleWith must be a non-empty array'];
+        }
+        const unknown = product.compatibleWith.filter(id => !isModel(id));
+        if (unknown.length) problems.push(`unknown compatible models: ${unknown.join(', ')}`);
+        return problems;
+    };
+
+    /**
+     * Checks a certified unit's report against the Inspection typedef.
+     * Every test in PSM.INSPECTION_TESTS must have a result.
+     * @param {*} unit - Product or variant
+     * @param {string} prefix - Prepended to each problem, to name the variant
+     * @returns {string[]}
+     */
+    const validateInspection = (unit, prefix) => {
+        const { inspection } = unit;
+        if (inspection === undefined) return [];
+        if (unit.condition !== 'certificado') return [`${prefix}inspection is for certified units`];
+        if (!inspection || typeof inspection !== 'object' || Array.isArray(inspection)) {
+            return [`${prefix}inspection must be an object`];
+        }
+
+        const problems = [];
+        const { batteryHealth, grade, partsReplaced, tests } = inspection;
+        if (!Number.isInteger(batteryHealth) || batteryHealth < 1 || batteryHealth > 100) {
+            problems.push(`${prefix}inspection.batteryHealth must be a whole number from 1 to 100`);
+        }
+        if (!(grade in window.PSM.INSPECTION_GRADES)) problems.push(`${prefix}unknown inspection grade "${grade}"`);
+        if (!Array.isArray(partsReplaced) || !partsReplaced.every(part => typeof part === 'string' && part.trim() !== '')) {
+            problems.push(`${prefix}inspection.partsReplaced must be an array of part names`);
+        }
+        if (!tests || typeof tests !== 'object' || Array.isArray(tests)) {
+            return [...problems, `${prefix}inspection.tests must be an object`];
+        }
+
+        const keys = window.PSM.INSPECTION_TESTS.map(test => test.key);
+        const unknown = Object.keys(tests).filter(key => !keys.includes(key));
+        const missing = keys.filter(key => typeof tests[key] !== 'boolean');
+        if (unknown.length) problems.push(`${prefix}unknown inspection tests: ${unknown.join(', ')}`);
+        if (missing.length) problems.push(`${prefix}inspection tests without a result: ${missing.join(', ')}`);
+        return problems;
+    };
+
+    /**
+     * Lists what's wrong with one feed entry, in terms of the Product typedef.
+     * Also used by scripts/validate-catalog.js, so both enforce the same rules.
+     * @param {*} product
+     * @returns {string[]} Empty when the product can be rendered
+     */
+    const validateProduct = (product) => {
+        const isText  = (value) => typeof value === 'string' && value.trim() !== '';
+        /* Whole dollars only — financing.js splits prices into whole-dollar payments */
+        const isPrice = (value) => Number.isInteger(value) && value > 0;
+        const isOptionalPrice = (value) => value === undefined || isPrice(value);
+        const isAvailability = (value) => value === undefined || value in window.PSM.AVAILABILITY;
+
+        if (!isText(product?.id)) return ['missing id'];
+
+        const problems = [];
+        if (!ID_PATTERN.test(product.id)) problems.push('id must be lowercase letters, digits and dashes');
+        if (!isText(product.name)) problems.push('missing name');
+        if (!CATEGORIES.includes(product.category)) problems.push(`unknown category "${product.category}"`);
+        if (!CONDITIONS.includes(product.condition)) problems.push(`unknown condition "${product.condition}"`);
+        if (product.category === 'iphone' ? !Number.isInteger(product.series) : product.series !== null) {
+            problems.push('series must be a number for iPhones and null otherwise');
+        }
+        if (!Array.isArray(product.specs)) problems.push('specs must be an array');
+        problems.push(...validateTechSpecs(product.techSpecs));
+        problems.push(...validateCompatibility(product));
+        if (product.boughtTogether !== undefined &&
+            !(Array.isArray(product.boughtTogether) && product.boughtTogether.every(isText))) {
+            problems.push('boughtTogether must be an array of product ids');
+        }
+        if (!Array.isArray(product.gallery) || !product.gallery.length) problems.push('empty gallery');
+        if (!isText(product.waMessage)) problems.push('missing waMessage');
+        if (!isAvailability(product.availability)) problems.push(`unknown availability "${product.availability}"`);
+        problems.push(...validateInspection(product, ''));
+        if (![product.price, product.salePrice, ...Object.values(product.conditionPrices ?? {})].every(isOptionalPrice)) {
+            problems.push('prices must be whole USD amounts above 0');
+        }
+
+        const variants = product.variants ?? [];
+        if (!Array.isArray(variants)) return [...problems, 'variants must be an array'];
+
+        variants.forEach((variant) => {
+            const price = variant.price ?? product.conditionPrices?.[variant.condition] ?? product.price;
+            if (!isText(variant.id)) problems.push('variant without id');
+            else if (!ID_PATTERN.test(variant.id)) problems.push(`variant "${variant.id}": id must be lowercase letters, digits and dashes`);
+            if (!CONDITIONS.includes(variant.condition)) problems.push(`variant "${variant.id}": unknown condition`);
+            if (price === undefined) problems.push(`variant "${variant.id}": no price`);
+            if (![variant.price, variant.salePrice].every(isOptionalPrice)) {
+                problems.push(`variant "${variant.id}": prices must be whole USD amounts above 0`);
+            }
+            if (!isAvailability(variant.availability)) problems.push(`variant "${variant.id}": unknown availability`);
+            problems.push(...validateInspection(variant, `variant "${variant.id}": `));
+        });
+
+        if (!variants.length && (product.conditionPrices?.[product.condition] ?? product.price) === undefined) {
+            problems.push('no price');
+        }
+        return problems;
+    };
+
+    /**
+     * Checks the feed envelope and every product. A bad product is skipped
+     * with a console warning so one typo doesn't take the store down; a
+     * wrong schema version or a feed with nothing usable is rejected.
+     * @param {*} data - Parsed JSON
+     * @returns {CatalogFeed}
+     * @throws {Error}
+     */
+    const validateFeed = (data) => {
+        if (data?.schemaVersion !== SCHEMA_VERSION) {
+            throw new Error(`Unsupported catalog schema version: ${data?.schemaVersion}`);
+        }
+        if (!Array.isArray(data.products)) throw new Error('Catalog feed has no products array');
+
+        const seen = new Set();
+        const products = data.products.filter((product, index) => {
+            const problems = validateProduct(product);
+            if (seen.has(product?.id)) problems.push('duplicate id');
+
+            if (problems.length) {
+                console.warn(`[PSM] Skipping product #${index} (${product?.id ?? 'no id'}): ${problems.join('; ')}`);
+                return false;
+            }
+            seen.add(product.id);
+            return true;
+        });
+
+        if (!products.length) throw new Error('Catalog feed has no valid products');
+        return { schemaVersion: data.schemaVersion, updatedAt: data.updatedAt ?? null, products };
+    };
+
+    /* --- Loading --- */
+
+    /**
+     * @returns {Promise<CatalogFeed>}
+     */
+    const fetchFeed = async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+        try {
+            const response = await fetch(FEED_URL, { cache: 'no-cache', signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return validateFeed(await response.json());
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    /**
+     * Fetches the feed and publishes it as PSM.PRODUCTS. While a request is
+     * in flight, or once it succeeded, the same promise is returned; after
+     * a failure a new request is made — that's the retry.
+     * @returns {Promise<Product[]>}
+     */
+    const load = () => {
+        if (state.request && state.status !== 'error') return state.request;
+
+        state.status = 'loading';
+        state.request = fetchFeed().then(
+            (feed) => {
+                window.PSM.PRODUCTS = feed.products;
+                state.status = 'ready';
+                state.updatedAt = feed.updatedAt;
+                document.dispatchEvent(new CustomEvent(READY_EVENT, {
+                    detail: { count: feed.products.length, updatedAt: feed.updatedAt }
+                }));
+                return feed.products;
+            },
+            (error) => {
+                state.status = 'error';
+                console.error('[PSM] Could not load the catalog:', error);
+                document.dispatchEvent(new CustomEvent(ERROR_EVENT, { detail: { error } }));
+                throw error;
+            }
+        );
+
+        /* Callers handle the rejection; this only keeps it out of "uncaught" logs */
+        state.request.catch(() => {});
+        return state.request;
+    };
+
+    /**
+     * Promise for the latest load. Does not retry by itself.
+     * @returns {Promise<Product[]>}
+     */
+    const ready = () => state.request ?? load();
+
+    /** @returns {string} 'loading' | 'ready' | 'error' */
+    const getStatus = () => state.status;
+
+    /** @returns {string|null} ISO timestamp from the feed */
+    const getUpdatedAt = () => state.updatedAt;
+
+    /* Start right away — the fetch overlaps the rest of the page loading */
+    load();
+
+    return {
+        READY_EVENT,
+        ERROR_EVENT,
+        SCHEMA_VERSION,
+        ID_PATTERN,
+        load,
+        ready,
+        getStatus,
+        getUpdatedAt,
+        validateProduct,
+        validateFeed
+    };
+})();
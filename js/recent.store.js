@@ -0,0 +1,161 @@
+/**
+ * Phone Store Maracaibo — Shared Recently Viewed Store
+ * Products the customer opened, newest first, persisted in localStorage so
+ * they can flip back to a model they were weighing up. producto.js records
+ * each view; pages with a `[data-recent-strip]` section get the
+ * "Vistos recientemente" strip, with a button to clear the history.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.recent = (() => {
+
+    /* --- Constants --- */
+
+    const STORAGE_KEY  = 'psm:recent';
+    const CHANGE_EVENT = 'psm:recentchange';
+    const MAX_ITEMS    = 8;
+
+    /* --- Persistence --- */
+
+    /**
+     * @returns {string[]} Product IDs, newest first
+     */
+    const readIds = () => {
+        try {
+            const ids = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(ids) ? ids.filter(id => typeof id === 'string').slice(0, MAX_ITEMS) : [];
+        } catch {
+            return [];
+        }
+    };
+
+    /**
+     * Saves IDs and notifies listeners on this page.
+     * Other tabs are notified by the browser's `storage` event.
+     * @param {string[]} ids
+     */
+    const writeIds = (ids) => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+        } catch {
+            /* Storage unavailable — history lives only until reload */
+        }
+        announceChange();
+    };
+
+    /* --- Data Layer --- */
+
+    /** @returns {string[]} */
+    const getIds = () => readIds();
+
+    /**
+     * Moves the product to the front of the history, dropping the oldest
+     * entry once there are MAX_ITEMS.
+     * @param {string} productId
+     */
+    const record = (productId) => {
+        if (!productId) return;
+        writeIds([productId, ...readIds().filter(id => id !== productId)].slice(0, MAX_ITEMS));
+    };
+
+    const clear = () => writeIds([]);
+
+    /**
+     * Resolves stored IDs against the catalog. Products that no longer exist
+     * are dropped from storage; legacy per-color IDs resolve to their parent.
+     * Call it after PSM.catalog.ready().
+     * @returns {Product[]}
+     */
+    const getProducts = () => {
+        const ids = readIds();
+        const products = [...new Set(ids.map(id => window.PSM.findProductById(id)).filter(Boolean))];
+
+        /* Never prune against a catalog that hasn't loaded — it would empty the history */
+        const catalogReady = window.PSM.catalog?.getStatus() === 'ready';
+        const resolvedIds = products.map(p => p.id);
+        if (catalogReady && resolvedIds.join() !== ids.join()) writeIds(resolvedIds);
+        return products;
+    };
+
+    /* --- DOM Layer --- */
+
+    /**
+     * @param {Product} product
+     * @returns {string} HTML string
+     */
+    const renderCard = (product) => {
+        const view = window.PSM.resolveVariant(product);
+        return `
+            <li class="recent-strip__item">
+                <a href="producto.html?id=${product.id}" class="recent-strip__card">
+                    <img class="recent-strip__image" src="${view.gallery[0]}" alt="" loading="lazy">
+                    <span class="recent-strip__name">${product.name}</span>
+                    <span class="recent-strip__price">${window.PSM.formatPrice(window.PSM.resolvePrice(view).current)}</span>
+                </a>
+            </li>
+        `;
+    };
+
+    /**
+     * Fills every strip on the page. A strip with `data-recent-exclude`
+     * leaves that product out — the product page doesn't list itself.
+     * Hidden when there's nothing to show or the catalog isn't loaded.
+     */
+    const renderStrips = () => {
+        const products = window.PSM.catalog?.getStatus() === 'ready' ? getProducts() : [];
+
+        document.querySelectorAll('[data-recent-strip]').forEach(section => {
+            const list = section.querySelector('[data-recent-list]');
+            if (!list) return;
+
+            const shown = products.filter(p => p.id !== section.dataset.recentExclude);
+            section.hidden = shown.length === 0;
+            list.innerHTML = shown.map(renderCard).join('');
+        });
+    };
+
+    const announceChange = () => {
+        renderStrips();
+        document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { ids: readIds() } }));
+    };
+
+    /* --- Event Layer --- */
+
+    /**
+     * @param {MouseEvent} e
+     */
+    const handleStripClick = (e) => {
+        if (e.target.closest('[data-recent-clear]')) clear();
+    };
+
+    const init = () => {
+        renderStrips();
+
+        document.querySelectorAll('[data-recent-strip]').forEach(section => {
+            section.addEventListener('click', handleStripClick);
+        });
+
+        /* Products resolve once the feed is in; prices follow the currency */
+        document.addEventListener('psm:catalogready', renderStrips);
+        document.addEventListener('psm:currencychange', renderStrips);
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === STORAGE_KEY) announceChange();
+        });
+    };
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    return {
+        CHANGE_EVENT,
+        MAX_ITEMS,
+        getIds,
+        record,
+        clear,
+        getProducts,
+        renderStrips
+    };
+})();
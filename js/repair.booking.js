@@ -0,0 +1,637 @@
+/**
+ * Phone Store Maracaibo — Installation Booking
+ * Appointment wizard for parts that include installation ("Incluye
+ * instalación"): device model → symptoms → store → day and time → name.
+ * Slots come from each store's weekly schedule minus blocked dates and the
+ * minimum notice, computed in the store's own time zone. The request goes
+ * to sales over WhatsApp — they confirm it — and the customer keeps a
+ * summary: copy it or add it to their calendar (.ics).
+ *
+ * producto.js mounts it into #booking-section for parts that qualify.
+ *
+ * Data dependency: products.data.js must load first.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.repairBooking = (() => {
+
+    /* --- Constants --- */
+
+    const WHATSAPP_NUMBER     = '584146395496';
+    const WHATSAPP_BASE       = 'https://wa.me/';
+    const INSTALLATION_TAG    = 'Incluye instalación';
+    const MIN_SYMPTOMS_LENGTH = 10;
+
+    /* --- Schedule --- */
+
+    /**
+     * @typedef {Object} StoreSchedule
+     * @property {Object<number, string[]>} weekly - Weekday (0 = domingo) → slot start times 'HH:MM', in the store's zone; missing = closed
+     * @property {string[]} blockedDates - 'YYYY-MM-DD' the store doesn't take appointments
+     */
+
+    /**
+     * When the technicians take installations. Sales edits it: add a store
+     * (a PSM.STORES key), move a slot, block a holiday or a day the bench
+     * is full.
+     */
+    const SCHEDULE = {
+        /** Days shown, counting today */
+        daysAhead: 14,
+
+        /** Minimum notice for a slot, in minutes */
+        leadMinutes: 120,
+
+        /** Length of an appointment, for the calendar entry */
+        appointmentMinutes: 60,
+
+        /** Closed in every store */
+        blockedDates: ['2026-12-24', '2026-12-25', '2026-12-31', '2027-01-01'],
+
+        /** @type {Object<string, StoreSchedule>} Keyed by PSM.STORES id */
+        stores: {
+            'maracaibo': {
+                weekly: {
+                    1: ['09:00', '10:30', '12:00', '14:00', '15:30'],
+                    2: ['09:00', '10:30', '12:00', '14:00', '15:30'],
+                    3: ['09:00', '10:30', '12:00', '14:00', '15:30'],
+                    4: ['09:00', '10:30', '12:00', '14:00', '15:30'],
+                    5: ['09:00', '10:30', '12:00', '14:00', '15:30'],
+                    6: ['09:00', '10:30', '12:00']
+                },
+                blockedDates: []
+            },
+            'miami': {
+                weekly: {
+                    1: ['09:00', '11:00', '14:00'],
+                    2: ['09:00', '11:00', '14:00'],
+                    3: ['09:00', '11:00', '14:00'],
+                    4: ['09:00', '11:00', '14:00'],
+                    5: ['09:00', '11:00', '14:00']
+                },
+                blockedDates: ['2026-11-26']
+            }
+        }
+    };
+
+    /**
+     * @typedef {Object} BookingStep
+     * @property {string} key
+     * @property {string} label - Progress list label
+     * @property {function(BookingRequest): boolean} isAnswered
+     */
+
+    /** @type {BookingStep[]} Wizard order; the confirmation comes after the last one */
+    const STEPS = [
+        { key: 'model',    label: 'Equipo',       isAnswered: (r) => Boolean(r.model) },
+        { key: 'symptoms', label: 'Síntomas',     isAnswered: (r) => r.symptoms.trim().length >= MIN_SYMPTOMS_LENGTH },
+        { key: 'store',    label: 'Tienda',       isAnswered: (r) => Boolean(r.storeId) },
+        { key: 'slot',     label: 'Fecha y hora', isAnswered: (r) => Boolean(r.date && r.time) },
+        { key: 'contact',  label: 'Tus datos',    isAnswered: (r) => r.name.trim().length >= 2 }
+    ];
+
+    /* --- State --- */
+
+    /**
+     * @typedef {Object} BookingRequest
+     * @property {string} model    - DEVICE_MODELS id, one the part fits
+     * @property {string} symptoms
+     * @property {string} storeId  - PSM.STORES id with a schedule
+     * @property {string} date     - 'YYYY-MM-DD' in the store's zone
+     * @property {string} time     - 'HH:MM'
+     * @property {string} name
+     */
+
+    /** @returns {BookingRequest} */
+    const createRequest = () => ({ model: '', symptoms: '', storeId: '', date: '', time: '', name: '' });
+
+    const booking = {
+        /** @type {Product|null} */
+        product: null,
+        step: 0,
+        request: createRequest(),
+        /** @type {string|null} Set once the request is sent */
+        reference: null
+    };
+
+    /* --- Data Layer --- */
+
+    /**
+     * @param {Product} product
+     * @returns {boolean} True for parts sold with installation that can be ordered
+     */
+    const canBook = (product) =>
+        product?.category === 'repuesto' &&
+        product.specs.includes(INSTALLATION_TAG) &&
+        window.PSM.resolveAvailability(window.PSM.resolveVariant(product)).canOrder;
+
+    /**
+     * @param {string} timeZone
+     * @returns {{ date: string, minutes: number }} Today and the time of day in that zone
+     */
+    const getZonedNow = (timeZone) => {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+            timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(new Date()).map(part => [part.type, part.value]));
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    };
+
+    /**
+     * @param {string} date - 'YYYY-MM-DD'
+     * @param {number} days
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    const addDays = (date, days) => {
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() + days);
+        return day.toISOString().slice(0, 10);
+    };
+
+    /** @param {string} time - 'HH:MM' */
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+
+    /**
+     * Open slots for the coming SCHEDULE.daysAhead days, in the store's zone.
+     * Days without a slot left are skipped.
+     * @param {string} storeId
+     * @returns {{ date: string, times: string[] }[]}
+     */
+    const getAvailableDays = (storeId) => {
+        const store = window.PSM.STORES[storeId];
+        const schedule = SCHEDULE.stores[storeId];
+        if (!store || !schedule) return [];
+
+        const now = getZonedNow(store.timeZone);
+        const blocked = new Set([...SCHEDULE.blockedDates, ...schedule.blockedDates]);
+
+        return Array.from({ length: SCHEDULE.daysAhead }, (_, offset) => addDays(now.date, offset))
+            .filter(date => !blocked.has(date))
+            .map(date => {
+                const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+                const times = (schedule.weekly[weekday] ?? []).filter(time =>
+                    date !== now.date || toMinutes(time) >= now.minutes + SCHEDULE.leadMinutes);
+                return { date, times };
+            })
+            .filter(day => day.times.length > 0);
+    };
+
+    /**
+     * @param {BookingRequest} request
+     * @returns {boolean} True while the chosen slot is still open
+     */
+    const isSlotAvailable = (request) => getAvailableDays(request.storeId)
+        .some(day => day.date === request.date && day.times.includes(request.time));
+
+    /**
+     * @param {string} date - 'YYYY-MM-DD'
+     * @param {boolean} [long] - 'martes, 20 de octubre' instead of 'mar 20 oct'
+     * @returns {string}
+     */
+    const formatDate = (date, long = false) => new Intl.DateTimeFormat('es-VE', long
+        ? { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' }
+        : { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' }
+    ).format(new Date(`${date}T00:00:00Z`)).replace(/\./g, '');
+
+    /**
+     * @param {string} time - 'HH:MM'
+     * @returns {string} '9:00am', same style as the opening hours on the site
+     */
+    const formatTime = (time) => {
+        const minutes = toMinutes(time);
+        const hours = Math.floor(minutes / 60);
+        return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')}${hours < 12 ? 'am' : 'pm'}`;
+    };
+
+    /**
+     * Short code sales and the customer can both quote: 'R-LZ4K2Q'.
+     * @returns {string}
+     */
+    const createReference = () => `R-${Date.now().toString(36).toUpperCase().slice(-6)}`;
+
+    /**
+     * The request as label / value lines, for the message, the summary and
+     * the copied text.
+     * @param {BookingRequest} request
+     * @returns {{ label: string, value: string }[]}
+     */
+    const describeRequest = (request) => {
+        const store = window.PSM.STORES[request.storeId];
+        return [
+            { label: 'Servicio', value: `Instalación de ${booking.product.name}` },
+            { label: 'Equipo',   value: window.PSM.findDeviceModel(request.model).label },
+            { label: 'Síntomas', value: request.symptoms.trim() },
+            { label: 'Tienda',   value: `${store.name} (${store.address})` },
+            { label: 'Fecha',    value: formatDate(request.date, true) },
+            { label: 'Hora',     value: formatTime(request.time) },
+            { label: 'Nombre',   value: request.name.trim() }
+        ];
+    };
+
+    /**
+     * @param {BookingRequest} request
+     * @param {string} reference
+     * @returns {string}
+     */
+    const buildRequestMessage = (request, reference) => [
+        'Hola, quiero agendar una cita de instalación.',
+        '',
+        `Solicitud: ${reference}`,
+        ...describeRequest(request).map(line => `${line.label}: ${line.value}`)
+    ].join('\n');
+
+    /**
+     * Calendar entry for the appointment, in the store's time zone.
+     * @param {BookingRequest} request
+     * @param {string} reference
+     * @returns {string} iCalendar text
+     */
+    const buildCalendarFile = (request, reference) => {
+        const store = window.PSM.STORES[request.storeId];
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const start = `${request.date.replace(/-/g, '')}T${request.time.replace(':', '')}00`;
+        const escape = (text) => text.replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+
+        return [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Phone Store Maracaibo//Citas//ES',
+            'BEGIN:VEVENT',
+            `UID:${reference}@phonestoreca.com`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;TZID=${store.timeZone}:${start}`,
+            `DURATION:PT${SCHEDULE.appointmentMinutes}M`,
+            `SUMMARY:${escape(`Instalación ${booking.product.name} — Phone Store`)}`,
+            `LOCATION:${escape(store.address)}`,
+            `DESCRIPTION:${escape(`Solicitud ${reference}. Pendiente de confirmación por WhatsApp.`)}`,
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n');
+    };
+
+    /* --- DOM Layer --- */
+
+    /**
+     * @param {string} name
+     * @param {{ value: string, label: string, detail?: string }[]} options
+     * @param {string} selected
+     * @param {string} [modifier] - 'chips' for short options in a row
+     * @returns {string} HTML string
+     */
+    const renderOptions = (name, options, selected, modifier) => `
+        <div class="booking-options${modifier ? ` booking-options--${modifier}` : ''}">
+            ${options.map(option => `
+                <label class="booking-option">
+                    <input type="radio" name="${name}" value="${option.value}" class="booking-option__input"${option.value === selected ? ' checked' : ''}>
+                    <span class="booking-option__body">
+                        <span class="booking-option__label">${option.label}</span>
+                        ${option.detail ? `<span class="booking-option__detail">${option.detail}</span>` : ''}
+                    </span>
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    /**
+     * @param {BookingRequest} request
+     * @returns {string} HTML string
+     */
+    const renderSlotStep = (request) => {
+        const days = getAvailableDays(request.storeId);
+        if (!days.length) {
+            return '<p class="booking__help">No quedan horarios en las próximas dos semanas. Escríbenos y te buscamos un espacio.</p>';
+        }
+
+        const day = days.find(d => d.date === request.date);
+        return `
+            ${renderOptions('date', days.map(d => ({ value: d.date, label: formatDate(d.date) })), request.date, 'chips')}
+            ${day ? `
+                <p class="booking__help">Horarios disponibles el ${formatDate(day.date, true)}:</p>
+                ${renderOptions('time', day.times.map(time => ({ value: time, label: formatTime(time) })), request.time, 'chips')}
+            ` : '<p class="booking__help">Elige un día para ver los horarios.</p>'}
+        `;
+    };
+
+    /**
+     * @param {{ label: string, value: string }[]} lines - From describeRequest
+     * @returns {string} HTML string
+     */
+    const renderSummary = (lines) => `
+        <dl class="booking__summary">
+            ${lines.map(line => `
+                <div class="booking__summary-row">
+                    <dt>${line.label}</dt>
+                    <dd>${escapeHtml(line.value)}</dd>
+                </div>
+            `).join('')}
+        </dl>
+    `;
+
+    /**
+     * The question for the current step.
+     * @returns {string} HTML string
+     */
+    const renderStep = () => {
+        const { request } = booking;
+        const models = window.PSM.getCompatibleModels(booking.product);
+
+        switch (STEPS[booking.step].key) {
+            case 'model':
+                return `
+                    <legend class="booking__question">¿Para qué iPhone es?</legend>
+                    ${renderOptions('model', models.map(m => ({ value: m.id, label: m.label })), request.model, 'chips')}
+                `;
+            case 'symptoms':
+                return `
+                    <legend class="booking__question">¿Qué le pasa a tu equipo?</legend>
+                    <p class="booking__help">Cuéntanos qué notas y desde cuándo. Así el técnico llega con todo listo.</p>
+                    <textarea class="booking__textarea" name="symptoms" rows="4" maxlength="500"
+                        placeholder="Ej.: la batería no llega a media tarde y se apaga al 20%">${escapeHtml(request.symptoms)}</textarea>
+                `;
+            case 'store':
+                return `
+                    <legend class="booking__question">¿En qué tienda?</legend>
+                    ${renderOptions('storeId', Object.keys(SCHEDULE.stores).map(id => ({
+                        value: id, label: window.PSM.STORES[id].name, detail: window.PSM.STORES[id].address
+                    })), request.storeId)}
+                `;
+            case 'slot':
+                return `
+                    <legend class="booking__question">Elige día y hora</legend>
+                    <div id="booking-slots">${renderSlotStep(request)}</div>
+                `;
+            default:
+                return `
+                    <legend class="booking__question">¿A nombre de quién?</legend>
+                    <input type="text" class="booking__input" name="name" autocomplete="name" maxlength="80"
+                        placeholder="Nombre y apellido" value="${escapeHtml(request.name)}">
+                    <p class="booking__help">Revisa tu solicitud. Te confirmamos la cita por WhatsApp.</p>
+                    ${renderSummary(describeRequest(request).filter(line => line.label !== 'Nombre'))}
+                `;
+        }
+    };
+
+    /**
+     * @returns {string} HTML string
+     */
+    const renderSteps = () => `
+        <ol class="booking__steps">
+            ${STEPS.map((step, index) => {
+                const state = index < booking.step ? 'done' : index === booking.step ? 'current' : 'pending';
+                const label = index < booking.step
+                    ? `<button type="button" class="booking__steps-button" data-booking-goto="${index}">${step.label}</button>`
+                    : step.label;
+                return `<li class="booking__steps-item booking__steps-item--${state}"${state === 'current' ? ' aria-current="step"' : ''}>${label}</li>`;
+            }).join('')}
+        </ol>
+    `;
+
+    /**
+     * @returns {string} HTML string
+     */
+    const renderConfirmation = () => `
+        <div class="booking__confirmation" role="status">
+            <p class="booking__confirmation-title">Solicitud ${booking.reference} enviada</p>
+            <p class="booking__help">
+                Tu cita queda confirmada cuando te respondamos por WhatsApp.
+                Guarda este resumen por si necesitas cambiarla.
+            </p>
+            ${renderSummary(describeRequest(booking.request))}
+            <div class="booking__actions">
+                <button type="button" class="btn btn--primary" data-booking-action="calendar">Agregar a mi calendario</button>
+                <button type="button" class="btn btn--secondary" data-booking-action="copy">Copiar resumen</button>
+            </div>
+            <button type="button" class="booking__restart" data-booking-action="restart">Agendar otra cita</button>
+        </div>
+    `;
+
+    /**
+     * Renders the wizard (or the confirmation) into #booking-wizard.
+     */
+    const render = () => {
+        const container = document.getElementById('booking-wizard');
+        if (!container) return;
+
+        if (booking.reference) {
+            container.innerHTML = renderConfirmation();
+            return;
+        }
+
+        const isLast = booking.step === STEPS.length - 1;
+        container.innerHTML = `
+            ${renderSteps()}
+            <form class="booking__form" id="booking-form" novalidate>
+                <fieldset class="booking__step">${renderStep()}</fieldset>
+                <div class="booking__nav">
+                    ${booking.step > 0 ? '<button type="button" class="btn btn--secondary" data-booking-action="back">Atrás</button>' : ''}
+                    <button type="submit" class="btn btn--primary" id="booking-next">
+                        ${isLast ? 'Enviar solicitud por WhatsApp' : 'Siguiente'}
+                    </button>
+                </div>
+            </form>
+        `;
+        syncNextButton();
+    };
+
+    const syncNextButton = () => {
+        const next = document.getElementById('booking-next');
+        if (next) next.disabled = !STEPS[booking.step].isAnswered(booking.request);
+    };
+
+    /* --- Event Layer --- */
+
+    /**
+     * Answers flow into state as they're typed or picked (radios fire `input` too). Typing doesn't
+     * re-render, so focus stays in the field; a new store or day does,
+     * since the slots depend on it.
+     * @param {Event} e
+     */
+    const handleInput = (e) => {
+        const { name, value } = e.target;
+        const { request } = booking;
+        if (!(name in request)) return;
+
+        request[name] = value;
+        if (name === 'storeId') {
+            request.date = '';
+            request.time = '';
+        }
+        if (name === 'date') {
+            request.time = '';
+            document.getElementById('booking-slots').innerHTML = renderSlotStep(request);
+        }
+        syncNextButton();
+    };
+
+    /**
+     * Next step, or on the last one: send the request over WhatsApp. A slot
+     * that closed while the customer was filling in sends them back to pick
+     * another.
+     * @param {SubmitEvent} e
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const { request } = booking;
+        if (!STEPS[booking.step].isAnswered(request)) return;
+
+        if (booking.step < STEPS.length - 1) {
+            booking.step += 1;
+            render();
+            return;
+        }
+
+        if (!isSlotAvailable(request)) {
+            request.time = '';
+            booking.step = STEPS.findIndex(step => step.key === 'slot');
+            render();
+            showNotice('Ese horario ya no está disponible. Elige otro.');
+            return;
+        }
+
+        booking.reference = createReference();
+        const message = buildRequestMessage(request, booking.reference);
+        window.open(`${WHATSAPP_BASE}${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`, '_blank', 'noopener');
+        render();
+    };
+
+    /**
+     * Downloads the .ics so the appointment lands in the customer's calendar.
+     */
+    const downloadCalendarFile = () => {
+        const blob = new Blob([buildCalendarFile(booking.request, booking.reference)], { type: 'text/calendar' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `cita-phone-store-${booking.reference}.ics`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    /**
+     * @param {HTMLButtonElement} button
+     */
+    const copySummary = async (button) => {
+        const text = [
+            `Phone Store — Solicitud ${booking.reference}`,
+            ...describeRequest(booking.request).map(line => `${line.label}: ${line.value}`)
+        ].join('\n');
+
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = '¡Resumen copiado!';
+            setTimeout(() => { button.textContent = 'Copiar resumen'; }, 2000);
+        } catch {
+            /* Clipboard unavailable — the summary is still on screen */
+        }
+    };
+
+    /**
+     * @param {MouseEvent} e
+     */
+    const handleClick = (e) => {
+        const goto = e.target.closest('[data-booking-goto]');
+        if (goto) {
+            booking.step = Number(goto.dataset.bookingGoto);
+            render();
+            return;
+        }
+
+        const action = e.target.closest('[data-booking-action]');
+        if (!action) return;
+
+        switch (action.dataset.bookingAction) {
+            case 'back':
+                booking.step = Math.max(0, booking.step - 1);
+                render();
+                break;
+            case 'calendar':
+                downloadCalendarFile();
+                break;
+            case 'copy':
+                copySummary(action);
+                break;
+            case 'restart':
+                booking.request = createDefaultRequest();
+                booking.step = 0;
+                booking.reference = null;
+                render();
+                break;
+        }
+    };
+
+    /* --- Utility --- */
+
+    /**
+     * Symptoms and names are typed by the customer — never inject them raw.
+     * @param {string} text
+     * @returns {string}
+     */
+    const escapeHtml = (text) => text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    /**
+     * Inline message above the wizard navigation.
+     * @param {string} message
+     */
+    const showNotice = (message) => {
+        document.querySelector('#booking-wizard .booking__nav')
+            ?.insertAdjacentHTML('beforebegin', `<p class="booking__notice" role="alert">${message}</p>`);
+    };
+
+    /**
+     * Fresh request; a part that fits a single model starts with it picked.
+     * @returns {BookingRequest}
+     */
+    const createDefaultRequest = () => {
+        const models = window.PSM.getCompatibleModels(booking.product);
+        return { ...createRequest(), model: models.length === 1 ? models[0].id : '' };
+    };
+
+    /* --- Init --- */
+
+    /**
+     * Shows the booking section for parts with installation; hides it otherwise.
+     * @param {Product} product
+     * @returns {boolean} True when the product can be booked
+     */
+    const mount = (product) => {
+        const section = document.getElementById('booking-section');
+        if (!section) return false;
+
+        section.hidden = !canBook(product);
+        if (section.hidden) return false;
+
+        booking.product = product;
+        booking.request = createDefaultRequest();
+        booking.step = 0;
+        booking.reference = null;
+        render();
+
+        if (!section.dataset.bound) {
+            section.dataset.bound = 'true';
+            section.addEventListener('input', handleInput);
+            section.addEventListener('submit', handleSubmit);
+            section.addEventListener('click', handleClick);
+        }
+        return true;
+    };
+
+    return {
+        SCHEDULE,
+        canBook,
+        getAvailableDays,
+        mount
+    };
+})();
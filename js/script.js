@@ -182,6 +182,194 @@ const NavigationComponent = (() => {
     };
 })();
 
+/* ==========================================
+   NAV SEARCH COMPONENT
+   ========================================== */
+
+/**
+ * Search-as-you-type dropdown for the landing page nav (#navSearch).
+ * Matching and ranking come from search.js; this component only renders
+ * the suggestions and handles keyboard/mouse interaction.
+ * Submitting (Enter with no suggestion picked) opens the catalog with
+ * the query applied. Without JS the wrapping <form> does the same.
+ */
+const NavSearch = (() => {
+    const MAX_SUGGESTIONS = 6;
+    const CATALOG_URL = 'catalogo.html';
+    const CONDITION_LABELS = { nuevo: 'Nuevo', certificado: 'Certificado' };
+    const CATEGORY_LABELS = { accesorio: 'Accesorio', repuesto: 'Repuesto' };
+
+    const container = document.getElementById('navSearch');
+    const form = container?.querySelector('form');
+    const input = document.getElementById('search-input');
+    const results = document.getElementById('navSearchResults');
+
+    let activeIndex = -1;
+
+    /**
+     * @param {string} query
+     * @returns {string} Catalog URL with the query pre-applied
+     */
+    const buildCatalogUrl = (query) => `${CATALOG_URL}?search=${encodeURIComponent(query.trim())}`;
+
+    /**
+     * @returns {HTMLElement[]} Selectable rows, including "ver todos"
+     */
+    const getOptions = () => [...results.querySelectorAll('[role="option"]')];
+
+    /**
+     * Renders one suggestion row.
+     * @param {Object} product - Product from PRODUCTS
+     * @param {number} index
+     * @param {string} query
+     * @returns {string} HTML string
+     */
+    const renderOption = (product, index, query) => {
+        const view = window.PSM.resolveVariant(product);
+        const { min, max } = window.PSM.getPriceRange(product);
+        const meta = CATEGORY_LABELS[product.category] ?? CONDITION_LABELS[view.condition];
+
+        return `
+            <a
+                href="producto.html?id=${product.id}"
+                class="nav-search__option"
+                id="navSearchOption-${index}"
+                role="option"
+                aria-selected="false"
+            >
+                <img class="nav-search__thumb" src="${view.gallery[0]}" alt="" loading="lazy">
+                <span class="nav-search__text">
+                    <span class="nav-search__name">${window.PSM.search.highlight(product.name, query)}</span>
+                    <span class="nav-search__meta">${meta}</span>
+                </span>
+                <span class="nav-search__price">${min !== max ? 'Desde ' : ''}${window.PSM.formatPrice(min)}</span>
+            </a>
+        `;
+    };
+
+    /**
+     * Renders the dropdown for a query, or closes it when the query is empty.
+     * @param {string} query
+     */
+    const render = (query) => {
+        if (!query.trim()) {
+            close();
+            return;
+        }
+
+        const matches = window.PSM.search.search(window.PSM.PRODUCTS, query);
+        const escaped = query.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+        results.innerHTML = matches.length
+            ? `
+                ${matches.slice(0, MAX_SUGGESTIONS).map((m, i) => renderOption(m.product, i, query)).join('')}
+                <a href="${buildCatalogUrl(query)}" class="nav-search__all" id="navSearchOption-all" role="option" aria-selected="false">
+                    Ver todos los resultados (${matches.length})
+                </a>
+            `
+            : `<p class="nav-search__empty">Sin resultados para “${escaped}”</p>`;
+
+        activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+        results.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+    };
+
+    const close = () => {
+        results.hidden = true;
+        activeIndex = -1;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    };
+
+    /**
+     * Moves the highlighted row, wrapping around both ends.
+     * @param {number} step - +1 down, -1 up
+     */
+    const moveActive = (step) => {
+        const options = getOptions();
+        if (!options.length) return;
+
+        activeIndex = (activeIndex + step + options.length) % options.length;
+        options.forEach((option, i) => {
+            const isActive = i === activeIndex;
+            option.classList.toggle('nav-search__option--active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+        });
+
+        const active = options[activeIndex];
+        input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    };
+
+    /**
+     * Arrow keys move through suggestions, Enter opens the highlighted one
+     * (or submits the query), Escape closes.
+     * @param {KeyboardEvent} e
+     */
+    const handleKeydown = (e) => {
+        const isOpen = !results.hidden;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) render(input.value);
+                moveActive(e.key === 'ArrowDown' ? 1 : -1);
+                break;
+            case 'Enter':
+                if (isOpen && activeIndex >= 0) {
+                    e.preventDefault();
+                    window.location.href = getOptions()[activeIndex].href;
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    close();
+                }
+                break;
+        }
+    };
+
+    /**
+     * Routes the query to the catalog instead of reloading this page.
+     * @param {SubmitEvent} e
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const query = input.value.trim();
+        window.location.href = query ? buildCatalogUrl(query) : CATALOG_URL;
+    };
+
+    const init = () => {
+        // Needs the nav markup plus products.data.js and search.js
+        if (!container || !form || !input || !results || !window.PSM?.search) return;
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', results.id);
+        input.setAttribute('aria-expanded', 'false');
+
+        input.addEventListener('input', debounce(() => render(input.value), 120));
+        input.addEventListener('keydown', handleKeydown);
+        input.addEventListener('focus', () => { if (input.value.trim()) render(input.value); });
+        form.addEventListener('submit', handleSubmit);
+
+        // Typed before the catalog feed arrived — refresh with real results
+        document.addEventListener('psm:catalogready', () => {
+            if (document.activeElement === input && input.value.trim()) render(input.value);
+        });
+
+        // Close when clicking anywhere outside the search box
+        document.addEventListener('click', (e) => {
+            if (!container.contains(e.target)) close();
+        });
+    };
+
+    return { init };
+})();
+
 /* ==========================================
    SCROLL ANIMATIONS COMPONENT
    ========================================== */
@@ -663,6 +851,7 @@ const App = (() => {
         
         // Initialize all components
         NavigationComponent.init();
+        NavSearch.init();
         ScrollAnimations.init();
         ScrollIndicator.init();
         CarouselComponent.init();
@@ -784,15 +973,14 @@ const PendingPages = (() => {
 
     /**
      * Shows a temporary toast notification.
-     * @param {string} pageName - Name of the pending page.
      */
-    const showComingSoonToast = (pageName) => {
+    const showComingSoonToast = () => {
         const existing = document.getElementById('psm-toast');
         if (existing) existing.remove();
 
         const toast = document.createElement('div');
         toast.id = 'psm-toast';
-        toast.textContent = `${pageName === 'cart' ? 'Carrito' : 'Mi cuenta'} — Próximamente`;
+        toast.textContent = 'Mi cuenta — Próximamente';
         toast.style.cssText = `
             position: fixed; bottom: 2rem; left: 50%; transform: translateX(-50%);
             background: #000; color: #fff; padding: 0.75rem 1.5rem;
@@ -813,7 +1001,7 @@ const PendingPages = (() => {
         PENDING_LINKS.forEach(link => {
             link.addEventListener('click', (e) => {
                 e.preventDefault();
-                showComingSoonToast(link.dataset.pagePending);
+                showComingSoonToast();
             });
         });
     };
@@ -0,0 +1,255 @@
+/**
+ * Phone Store Maracaibo — Product Search Engine
+ * Accent-insensitive, typo-tolerant search over window.PSM.PRODUCTS with
+ * relevance ranking. Shared by the catalog grid and the landing-page nav.
+ *
+ * Pipeline: normalize → tokenize → match each query token against a
+ * per-product index (exact → prefix → fuzzy) → weighted score → rank.
+ * Every query token must match something, so adding words narrows results.
+ *
+ * Load order: products.data.js → search.js → page script.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.search = (() => {
+
+    /* --- Constants --- */
+
+    /** How much a hit in each field is worth. The name dominates. */
+    const FIELD_WEIGHTS = {
+        name:        10,
+        alias:       6,
+        spec:        4,
+        description: 1
+    };
+
+    /** Match quality multipliers */
+    const MATCH_FACTORS = {
+        exact:  1,
+        prefix: 0.8,
+        fuzzy:  0.5
+    };
+
+    /** Bonus when the whole query appears in the name, e.g. "15 pro max" */
+    const PHRASE_BONUS = 15;
+
+    /**
+     * Words customers use for a whole category or condition ("repuesto",
+     * "usado") that the product data never spells out. Keys are
+     * Product.category / Product.condition values. Already normalized.
+     */
+    const ALIASES = {
+        iphone:      ['iphone', 'telefono', 'celular', 'equipo', 'smartphone'],
+        accesorio:   ['accesorio', 'accesorios'],
+        repuesto:    ['repuesto', 'repuestos', 'pieza', 'piezas', 'reparacion'],
+        certificado: ['certificado', 'usado', 'seminuevo', 'reacondicionado'],
+        nuevo:       ['nuevo', 'sellado']
+    };
+
+    /**
+     * Everyday words for specific products, expanded at query time:
+     * "audifonos" also looks for "airpods". Already normalized.
+     */
+    const SYNONYMS = {
+        audifonos:   ['airpods'],
+        auriculares: ['airpods'],
+        pila:        ['bateria'],
+        adaptador:   ['cargador'],
+        cargar:      ['cargador']
+    };
+
+    /* --- Text Utilities --- */
+
+    /**
+     * Lowercases and strips accents: "Cámara Frontal" → "camara frontal".
+     * @param {string} text
+     * @returns {string}
+     */
+    const normalize = (text) => String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+
+    /**
+     * Splits text into searchable tokens. Letters and digits are separated,
+     * so model numbers work however they're typed: "16pro" → ["16", "pro"],
+     * "128GB" → ["128", "gb"].
+     * @param {string} text
+     * @returns {string[]}
+     */
+    const tokenize = (text) => normalize(text).match(/[a-z]+|\d+/g) ?? [];
+
+    /**
+     * Edit distance with adjacent transpositions ("bateira" → "bateria" is 1).
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    const editDistance = (a, b) => {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    };
+
+    /**
+     * Typos allowed for a query token. Short words and numbers must be
+     * exact — "15" is never a typo for "16".
+     * @param {string} token
+     * @returns {number}
+     */
+    const allowedTypos = (token) => {
+        if (/^\d+$/.test(token) || token.length < 4) return 0;
+        return token.length < 7 ? 1 : 2;
+    };
+
+    /**
+     * How well a query token matches an index token.
+     * @param {string} queryToken
+     * @param {string} indexToken
+     * @returns {string|null} Key of MATCH_FACTORS, or null
+     */
+    const matchToken = (queryToken, indexToken) => {
+        if (queryToken === indexToken) return 'exact';
+        if (indexToken.startsWith(queryToken) && !/^\d+$/.test(queryToken)) return 'prefix';
+
+        const typos = allowedTypos(queryToken);
+        if (typos && Math.abs(queryToken.length - indexToken.length) <= typos &&
+            editDistance(queryToken, indexToken) <= typos) {
+            return 'fuzzy';
+        }
+        return null;
+    };
+
+    /* --- Index --- */
+
+    /**
+     * Index per product object. A WeakMap, so a reloaded catalog simply
+     * gets fresh entries and old ones are garbage-collected.
+     * @type {WeakMap<Object, Object<string, string[]>>}
+     */
+    const indexCache = new WeakMap();
+
+    /**
+     * Builds (once) the token lists for each weighted field of a product.
+     * Adjacent name tokens are also indexed joined, so "promax" finds "Pro Max".
+     * @param {Object} product - Product from PRODUCTS
+     * @returns {Object<string, string[]>} Field → tokens
+     */
+    const getIndex = (product) => {
+        if (indexCache.has(product)) return indexCache.get(product);
+
+        const nameTokens = tokenize(product.name);
+        const joined = nameTokens.slice(1).map((token, i) => nameTokens[i] + token);
+        const { colors, storages, conditions } = window.PSM.getVariantOptions(product);
+
+        const index = {
+            name:        [...new Set([...nameTokens, ...joined])],
+            alias:       [...new Set([product.category, ...conditions]
+                .flatMap(key => ALIASES[key] ?? [key]))],
+            spec:        [...new Set([...window.PSM.getSpecTags(product), ...storages, ...colors.map(c => c.label)]
+                .flatMap(tokenize))],
+            description: [...new Set(tokenize(product.description))]
+        };
+
+        indexCache.set(product, index);
+        return index;
+    };
+
+    /* --- Search --- */
+
+    /**
+     * @typedef {Object} SearchResult
+     * @property {Object} product - Product from PRODUCTS
+     * @property {number} score   - Relevance, higher is better
+     */
+
+    /**
+     * Scores one product against the query tokens.
+     * @param {Object} product
+     * @param {string[]} queryTokens
+     * @param {string} phrase - Normalized full query
+     * @returns {number} 0 when some token matches nothing
+     */
+    const scoreProduct = (product, queryTokens, phrase) => {
+        const index = getIndex(product);
+        let total = 0;
+
+        for (const queryToken of queryTokens) {
+            const variants = [queryToken, ...(SYNONYMS[queryToken] ?? [])];
+            let best = 0;
+            Object.entries(index).forEach(([field, tokens]) => {
+                tokens.forEach(indexToken => variants.forEach(variant => {
+                    const quality = matchToken(variant, indexToken);
+                    if (quality) best = Math.max(best, FIELD_WEIGHTS[field] * MATCH_FACTORS[quality]);
+                }));
+            });
+            if (best === 0) return 0;
+            total += best;
+        }
+
+        if (normalize(product.name).includes(phrase)) total += PHRASE_BONUS;
+        return total;
+    };
+
+    /**
+     * Searches products and ranks them by relevance. Ties keep the
+     * input order, so the catalog's curated order breaks them.
+     * @param {Object[]} products
+     * @param {string} query
+     * @returns {SearchResult[]} Empty query → every product, score 0
+     */
+    const search = (products, query) => {
+        const queryTokens = tokenize(query);
+        if (!queryTokens.length) return products.map(product => ({ product, score: 0 }));
+
+        const phrase = normalize(query).trim();
+        return products
+            .map(product => ({ product, score: scoreProduct(product, queryTokens, phrase) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score);
+    };
+
+    /**
+     * Wraps the words of `text` that match the query in <mark>.
+     * Matching runs on normalized words, the original spelling is kept:
+     * query "camara" → "<mark>Cámara</mark> Frontal".
+     * @param {string} text
+     * @param {string} query
+     * @returns {string} HTML string
+     */
+    const highlight = (text, query) => {
+        const queryTokens = tokenize(query).flatMap(token => [token, ...(SYNONYMS[token] ?? [])]);
+        if (!queryTokens.length) return text;
+
+        return text.replace(/[\p{L}\p{N}]+/gu, (word) => {
+            const isMatch = tokenize(word).some(part =>
+                queryTokens.some(queryToken => matchToken(queryToken, part))
+            );
+            return isMatch ? `<mark class="search-highlight">${word}</mark>` : word;
+        });
+    };
+
+    return {
+        normalize,
+        tokenize,
+        search,
+        highlight
+    };
+})();
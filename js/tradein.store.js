@@ -0,0 +1,302 @@
+/**
+ * Phone Store Maracaibo — Shared Trade-In Store
+ * Pricing table and estimator for used iPhones taken as part of payment
+ * ("Cotiza tu iPhone usado"), plus the customer's last assessment,
+ * persisted in localStorage so producto.html can apply it as credit.
+ *
+ * The estimate is a ballpark: the final offer is made after sales checks
+ * the phone in store. Only the answers are stored; the credit is always
+ * recomputed from PRICING, so a table update reaches saved assessments too.
+ *
+ * Data dependency: products.data.js (DEVICE_MODELS) must load first.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.tradeIn = (() => {
+
+    /* --- Constants --- */
+
+    const STORAGE_KEY  = 'psm:tradein';
+    const CHANGE_EVENT = 'psm:tradeinchange';
+
+    /* --- Pricing Table --- */
+
+    /**
+     * @typedef {Object} TradeInModel
+     * @property {number}   base     - Credit in USD: first storage, grade A, healthy battery, no defects
+     * @property {string[]} storages - Capacities it was sold in, smallest first
+     */
+
+    /**
+     * @typedef {Object} TradeInOption
+     * @property {string} label
+     * @property {string} [detail]    - Help text under the label
+     * @property {number} [factor]    - Grades: multiplies the model's credit
+     * @property {number} [deduction] - Battery bands: USD off. Defects: share of the model's base credit
+     */
+
+    /**
+     * What the store pays. Sales updates it as the used market moves —
+     * models missing here can't be quoted online.
+     */
+    const PRICING = {
+        /** Keyed by DEVICE_MODELS id */
+        models: {
+            'iphone-17-pro-max': { base: 950, storages: ['256GB', '512GB', '1TB', '2TB'] },
+            'iphone-17-pro':     { base: 850, storages: ['256GB', '512GB', '1TB'] },
+            'iphone-air':        { base: 700, storages: ['256GB', '512GB', '1TB'] },
+            'iphone-17':         { base: 650, storages: ['256GB', '512GB'] },
+            'iphone-16-pro-max': { base: 750, storages: ['256GB', '512GB', '1TB'] },
+            'iphone-16-pro':     { base: 650, storages: ['128GB', '256GB', '512GB', '1TB'] },
+            'iphone-16-plus':    { base: 520, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-16':         { base: 480, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-16e':        { base: 380, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-15-pro-max': { base: 600, storages: ['256GB', '512GB', '1TB'] },
+            'iphone-15-pro':     { base: 520, storages: ['128GB', '256GB', '512GB', '1TB'] },
+            'iphone-15-plus':    { base: 420, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-15':         { base: 400, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-14-pro-max': { base: 480, storages: ['128GB', '256GB', '512GB', '1TB'] },
+            'iphone-14-pro':     { base: 420, storages: ['128GB', '256GB', '512GB', '1TB'] },
+            'iphone-14-plus':    { base: 330, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-14':         { base: 300, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-13-pro-max': { base: 380, storages: ['128GB', '256GB', '512GB', '1TB'] },
+            'iphone-13-pro':     { base: 330, storages: ['128GB', '256GB', '512GB', '1TB'] },
+            'iphone-13':         { base: 260, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-13-mini':    { base: 200, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-12-pro-max': { base: 280, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-12-pro':     { base: 240, storages: ['128GB', '256GB', '512GB'] },
+            'iphone-12':         { base: 190, storages: ['64GB', '128GB', '256GB'] },
+            'iphone-12-mini':    { base: 140, storages: ['64GB', '128GB', '256GB'] },
+            'iphone-11-pro-max': { base: 200, storages: ['64GB', '256GB', '512GB'] },
+            'iphone-11-pro':     { base: 170, storages: ['64GB', '256GB', '512GB'] },
+            'iphone-11':         { base: 140, storages: ['64GB', '128GB', '256GB'] }
+        },
+
+        /** USD added per capacity step above the model's first one */
+        storageStep: 40,
+
+        /** Battery health (Ajustes → Batería → Estado), in question order */
+        battery: {
+            'high':    { label: '90% o más',                       deduction: 0 },
+            'good':    { label: 'Entre 85% y 89%',                 deduction: 25 },
+            'fair':    { label: 'Entre 80% y 84%',                 deduction: 50 },
+            'service': { label: 'Menos de 80% o dice «Servicio»',  deduction: 90 }
+        },
+
+        /** Cosmetic grade of body and screen glass */
+        grades: {
+            'A': { label: 'Como nuevo', detail: 'Sin rayones ni marcas visibles.',                 factor: 1 },
+            'B': { label: 'Muy bueno',  detail: 'Rayones leves que solo se ven de cerca.',         factor: 0.9 },
+            'C': { label: 'Bueno',      detail: 'Rayones o desgaste visibles en bordes y tapa.',   factor: 0.78 },
+            'D': { label: 'Regular',    detail: 'Golpes, abolladuras o tapa trasera rota.',        factor: 0.6 }
+        },
+
+        /** Faults; each takes a share of the model's base credit */
+        defects: {
+            'screen-cracked':  { label: 'Vidrio de pantalla roto',                                deduction: 0.25 },
+            'screen-display':  { label: 'Manchas, líneas o zonas donde el toque falla',           deduction: 0.3 },
+            'screen-replaced': { label: 'Pantalla cambiada (aviso de «pieza desconocida»)',       deduction: 0.15 },
+            'face-id':         { label: 'Face ID no funciona',                                    deduction: 0.2 }
+        },
+
+        /** The range shown goes from this share below the estimate up to the estimate */
+        rangeSpread: 0.15,
+
+        /** Below this the phone isn't quoted online — sales assesses it in person */
+        minimumCredit: 40
+    };
+
+    /* --- Data Layer --- */
+
+    /**
+     * @typedef {Object} TradeInAssessment
+     * @property {string}   model   - DEVICE_MODELS id with a PRICING entry
+     * @property {string}   storage - One of the model's storages
+     * @property {string}   battery - PRICING.battery key
+     * @property {string}   grade   - PRICING.grades key
+     * @property {string[]} defects - PRICING.defects keys, empty when none
+     */
+
+    /**
+     * @typedef {Object} TradeInEstimate
+     * @property {boolean} isEligible - False when the phone is only assessed in store
+     * @property {number}  min        - Credit range in USD, rounded to $5
+     * @property {number}  max
+     * @property {{ label: string, amount: number }[]} breakdown - How the figure was reached
+     */
+
+    /**
+     * @returns {{ id: string, label: string, series: number, storages: string[] }[]}
+     *          Models that can be quoted, newest first
+     */
+    const getModels = () => window.PSM.DEVICE_MODELS
+        .filter(model => PRICING.models[model.id])
+        .map(model => ({ ...model, storages: PRICING.models[model.id].storages }));
+
+    /**
+     * @param {*} assessment
+     * @returns {boolean} True when every answer is one the table knows
+     */
+    const isComplete = (assessment) => {
+        const model = PRICING.models[assessment?.model];
+        return Boolean(model) &&
+            model.storages.includes(assessment.storage) &&
+            assessment.battery in PRICING.battery &&
+            assessment.grade in PRICING.grades &&
+            Array.isArray(assessment.defects) &&
+            assessment.defects.every(defect => defect in PRICING.defects);
+    };
+
+    /** @param {number} amount */
+    const roundDown = (amount) => Math.floor(amount / 5) * 5;
+
+    /**
+     * Credit for a used iPhone: model base plus storage, times the cosmetic
+     * grade, minus battery and defect deductions.
+     * @param {TradeInAssessment} assessment - Must be complete
+     * @returns {TradeInEstimate}
+     */
+    const estimate = (assessment) => {
+        const model   = PRICING.models[assessment.model];
+        const grade   = PRICING.grades[assessment.grade];
+        const battery = PRICING.battery[assessment.battery];
+        const storageBonus = model.storages.indexOf(assessment.storage) * PRICING.storageStep;
+
+        const breakdown = [
+            { label: `Base ${window.PSM.findDeviceModel(assessment.model).label}`, amount: model.base },
+            storageBonus ? { label: `Capacidad ${assessment.storage}`, amount: storageBonus } : null,
+            grade.factor !== 1
+                ? { label: `Estado: ${grade.label}`, amount: -Math.round((model.base + storageBonus) * (1 - grade.factor)) }
+                : null,
+            battery.deduction ? { label: `Batería: ${battery.label}`, amount: -battery.deduction } : null,
+            ...assessment.defects.map(key => ({
+                label: PRICING.defects[key].label,
+                amount: -Math.round(model.base * PRICING.defects[key].deduction)
+            }))
+        ].filter(Boolean);
+
+        const total = breakdown.reduce((sum, line) => sum + line.amount, 0);
+        if (total < PRICING.minimumCredit) return { isEligible: false, min: 0, max: 0, breakdown };
+
+        return {
+            isEligible: true,
+            min: Math.max(PRICING.minimumCredit, roundDown(total * (1 - PRICING.rangeSpread))),
+            max: roundDown(total),
+            breakdown
+        };
+    };
+
+    /**
+     * @param {TradeInAssessment} assessment
+     * @returns {string} 'iPhone 13 · 128GB'
+     */
+    const describeDevice = (assessment) =>
+        `${window.PSM.findDeviceModel(assessment.model).label} · ${assessment.storage}`;
+
+    /**
+     * The answers as text lines, for the WhatsApp messages.
+     * @param {TradeInAssessment} assessment
+     * @returns {string[]}
+     */
+    const describeAssessment = (assessment) => [
+        `Modelo: ${describeDevice(assessment)}`,
+        `Batería: ${PRICING.battery[assessment.battery].label}`,
+        `Estado: ${PRICING.grades[assessment.grade].label}`,
+        `Fallas: ${assessment.defects.length ? assessment.defects.map(key => PRICING.defects[key].label).join(', ') : 'ninguna'}`
+    ];
+
+    /**
+     * @param {TradeInEstimate} result
+     * @returns {string} '$300 – $350' in USD, what sales quotes in
+     */
+    const formatRange = (result) =>
+        `${window.PSM.formatUsd(result.min)} – ${window.PSM.formatUsd(result.max)}`;
+
+    /* --- Persistence --- */
+
+    /**
+     * @typedef {Object} SavedTradeIn
+     * @property {TradeInAssessment} assessment
+     * @property {TradeInEstimate}   estimate   - Recomputed from PRICING on every read
+     * @property {string|null}       appliedTo  - Product ID it's used as part of payment for
+     */
+
+    /**
+     * @returns {SavedTradeIn|null} Null when nothing is saved, or the saved
+     *          answers no longer match the table
+     */
+    const getSaved = () => {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!isComplete(saved?.assessment)) return null;
+
+            const result = estimate(saved.assessment);
+            if (!result.isEligible) return null;
+
+            return {
+                assessment: saved.assessment,
+                estimate: result,
+                appliedTo: typeof saved.appliedTo === 'string' ? saved.appliedTo : null
+            };
+        } catch {
+            return null;
+        }
+    };
+
+    /**
+     * @param {{ assessment: TradeInAssessment, appliedTo: string|null }|null} record
+     */
+    const write = (record) => {
+        try {
+            if (record) localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+            else localStorage.removeItem(STORAGE_KEY);
+        } catch {
+            /* Storage unavailable — the estimate lives only on this page */
+        }
+        document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { saved: getSaved() } }));
+    };
+
+    /**
+     * Keeps the assessment so product pages can offer it as credit.
+     * @param {TradeInAssessment} assessment
+     * @param {string|null} [appliedTo] - Product ID to apply it to straight away
+     */
+    const save = (assessment, appliedTo = null) => write({ assessment, appliedTo });
+
+    /**
+     * Uses the saved trade-in as part of payment for a product, or stops using it.
+     * @param {string|null} productId
+     */
+    const apply = (productId) => {
+        const saved = getSaved();
+        if (saved) write({ assessment: saved.assessment, appliedTo: productId });
+    };
+
+    const clear = () => write(null);
+
+    /* --- Init --- */
+
+    window.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) {
+            document.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: { saved: getSaved() } }));
+        }
+    });
+
+    return {
+        CHANGE_EVENT,
+        PRICING,
+        getModels,
+        isComplete,
+        estimate,
+        describeDevice,
+        describeAssessment,
+        formatRange,
+        getSaved,
+        save,
+        apply,
+        clear
+    };
+})();
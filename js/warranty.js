@@ -0,0 +1,381 @@
+/**
+ * Phone Store Maracaibo — Warranty Certificates
+ * Shared by the sales-side generator (emitir-garantia.html) and the
+ * customer lookup (garantia.html).
+ *
+ * There is no server to look certificates up in, so the code *is* the
+ * certificate: product, variant, IMEI/serial, purchase date, store and days
+ * of coverage, packed into Crockford base32 with a check pair that catches
+ * typos. Anyone holding the code can read it back offline. It is not proof
+ * of purchase on its own — on a claim, sales checks the serial against the
+ * sale.
+ *
+ * Code: 'PSM-' + base32 groups of four. Payload (before base32):
+ *   version ~ productId ~ variantId ~ serial ~ purchase day ~ store code ~ days
+ * lowercase, purchase day and days in base36 (the day counts from
+ * CODE_EPOCH). The payload only uses PAYLOAD_ALPHABET, so it's read as one
+ * big base-38 number and rewritten in base32 — about as long as the payload
+ * itself.
+ *
+ * Data dependency: products.data.js must load first.
+ */
+
+'use strict';
+
+window.PSM = window.PSM || {};
+
+window.PSM.warranty = (() => {
+
+    /* --- Constants --- */
+
+    const CODE_VERSION    = '1';
+    const CODE_PREFIX     = 'PSM';
+    const CODE_EPOCH      = '2020-01-01';
+    const FIELD_SEPARATOR = '~';
+    const GROUP_SIZE      = 4;
+    const DAY_MS          = 24 * 60 * 60 * 1000;
+
+    /** Crockford base32: no I, L, O or U, so codes read back without ambiguity */
+    const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+    /** Every character a payload can hold: IDs, serials, base36 numbers and the separator */
+    const PAYLOAD_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz-~';
+
+    /** IMEI (15 digits) or Apple serial number */
+    const SERIAL_PATTERN = /^[A-Z0-9]{8,20}$/;
+
+    /* --- Data Layer --- */
+
+    /**
+     * @typedef {Object} WarrantyCertificate
+     * @property {string} productId
+     * @property {string} variantId    - '' for products without variants
+     * @property {string} serial       - IMEI or serial number, uppercase
+     * @property {string} purchaseDate - 'YYYY-MM-DD'
+     * @property {string} storeId      - PSM.STORES key
+     * @property {number} days         - Coverage, fixed when the certificate is issued
+     */
+
+    /**
+     * @typedef {Object} WarrantyCoverage
+     * @property {string} status        - 'active' | 'last-day' | 'expired'
+     * @property {string} expiryDate    - Last covered day, 'YYYY-MM-DD'
+     * @property {number} remainingDays - 0 once expired
+     * @property {number} elapsedShare  - 0–1, for the progress bar
+     */
+
+    /**
+     * @param {string} date - 'YYYY-MM-DD'
+     * @returns {number} Days since CODE_EPOCH
+     */
+    const toDayNumber = (date) =>
+        Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${CODE_EPOCH}T00:00:00Z`)) / DAY_MS);
+
+    /**
+     * @param {number} dayNumber
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    const fromDayNumber = (dayNumber) =>
+        new Date(Date.parse(`${CODE_EPOCH}T00:00:00Z`) + dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+    /**
+     * @param {string} storeId
+     * @returns {string} Today in the store's time zone, 'YYYY-MM-DD'
+     */
+    const getStoreToday = (storeId) => new Intl.DateTimeFormat('en-CA', {
+        timeZone: window.PSM.STORES[storeId]?.timeZone
+    }).format(new Date());
+
+    /**
+     * @param {string} serial - As typed: spaces, dashes and lowercase are fine
+     * @returns {string}
+     */
+    const normalizeSerial = (serial) => String(serial ?? '').toUpperCase().replace(/[\s-]/g, '');
+
+    /**
+     * Luhn check digit of a 15-digit IMEI.
+     * @param {string} imei
+     * @returns {boolean}
+     */
+    const isValidImei = (imei) => {
+        const sum = [...imei].reverse().reduce((total, char, index) => {
+            const digit = Number(char) * (index % 2 ? 2 : 1);
+            return total + (digit > 9 ? digit - 9 : digit);
+        }, 0);
+        return sum % 10 === 0;
+    };
+
+    /**
+     * @param {string} serial
+     * @returns {string|null} Problem in Spanish, null when valid
+     */
+    const validateSerial = (serial) => {
+        const value = normalizeSerial(serial);
+        if (!value) return 'Escribe el IMEI o el número de serie.';
+        if (!SERIAL_PATTERN.test(value)) return 'El IMEI o serie lleva de 8 a 20 letras y números.';
+        if (/^\d{15}$/.test(value) && !isValidImei(value)) return 'Ese IMEI no es válido. Revisa los 15 dígitos.';
+        return null;
+    };
+
+    /**
+     * @param {WarrantyCertificate} certificate
+     * @param {string} [today] - 'YYYY-MM-DD', defaults to today in the issuing store
+     * @returns {WarrantyCoverage}
+     */
+    const getCoverage = (certificate, today = getStoreToday(certificate.storeId)) => {
+        const start = toDayNumber(certificate.purchaseDate);
+        const end = start + certificate.days;
+        const current = toDayNumber(today);
+        const remainingDays = Math.max(0, end - current);
+
+        return {
+            status: current > end ? 'expired' : current === end ? 'last-day' : 'active',
+            expiryDate: fromDayNumber(end),
+            remainingDays,
+            elapsedShare: Math.min(1, Math.max(0, (current - start) / certificate.days))
+        };
+    };
+
+    /* --- Code --- */
+
+    /**
+     * @param {string} payload - PAYLOAD_ALPHABET characters only
+     * @returns {string|null} Base32, null when the payload has other characters
+     */
+    const packPayload = (payload) => {
+        const payloadBase = BigInt(PAYLOAD_ALPHABET.length);
+
+        /* Leading 1 so leading zeros survive the round trip */
+        let number = 1n;
+        for (const char of payload) {
+            const index = PAYLOAD_ALPHABET.indexOf(char);
+            if (index === -1) return null;
+            number = number * payloadBase + BigInt(index);
+        }
+
+        let output = '';
+        while (number > 0n) {
+            output = ALPHABET[Number(number % 32n)] + output;
+            number /= 32n;
+        }
+        return output;
+    };
+
+    /**
+     * @param {string} text - Base32, normalized
+     * @returns {string|null} Payload, null on a character outside the alphabet
+     */
+    const unpackPayload = (text) => {
+        const payloadBase = BigInt(PAYLOAD_ALPHABET.length);
+
+        let number = 0n;
+        for (const char of text) {
+            const index = ALPHABET.indexOf(char);
+            if (index === -1) return null;
+            number = number * 32n + BigInt(index);
+        }
+
+        let payload = '';
+        while (number > 1n) {
+            payload = PAYLOAD_ALPHABET[Number(number % payloadBase)] + payload;
+            number /= payloadBase;
+        }
+        return number === 1n ? payload : null;
+    };
+
+    /**
+     * Two characters that change when any character is mistyped or two
+     * neighbours are swapped.
+     * @param {string} body - Base32 without the check pair
+     * @returns {string}
+     */
+    const computeCheck = (body) => {
+        const sum = [...body].reduce((total, char, index) =>
+            (total + ALPHABET.indexOf(char) * (index + 1)) % 1021, 0);
+        return ALPHABET[(sum >> 5) & 31] + ALPHABET[sum & 31];
+    };
+
+    /**
+     * Uppercases and strips the prefix, dashes and spaces; reads O as 0 and
+     * I / L as 1, as Crockford base32 allows.
+     * @param {string} code
+     * @returns {string}
+     */
+    const normalizeCode = (code) => String(code ?? '')
+        .toUpperCase()
+        .replace(/[\s-]/g, '')
+        .replace(new RegExp(`^${CODE_PREFIX}`), '')
+        .replace(/O/g, '0')
+        .replace(/[IL]/g, '1');
+
+    /**
+     * @param {WarrantyCertificate} certificate - Serial already validated
+     * @returns {string|null} 'PSM-XXXX-XXXX-…', null when an id has
+     *          characters the code can't carry
+     */
+    const encode = (certificate) => {
+        const store = window.PSM.STORES[certificate.storeId];
+        const payload = [
+            CODE_VERSION,
+            certificate.productId,
+            certificate.variantId,
+            normalizeSerial(certificate.serial),
+            toDayNumber(certificate.purchaseDate).toString(36),
+            store.code,
+            certificate.days.toString(36)
+        ].join(FIELD_SEPARATOR).toLowerCase();
+
+        const body = packPayload(payload);
+        if (!body) return null;
+        const code = body + computeCheck(body);
+        return [CODE_PREFIX, ...code.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g'))].join('-');
+    };
+
+    /**
+     * @param {string} code - As typed or pasted
+     * @returns {WarrantyCertificate|null} Null when the code is incomplete,
+     *          mistyped or from an unknown version
+     */
+    const decode = (code) => {
+        const normalized = normalizeCode(code);
+        if (normalized.length < 3) return null;
+
+        const body = normalized.slice(0, -2);
+        if (computeCheck(body) !== normalized.slice(-2)) return null;
+
+        const payload = unpackPayload(body);
+        if (!payload) return null;
+
+        const fields = payload.split(FIELD_SEPARATOR);
+        const [version, productId, variantId, serial = '', day, storeCode = '', days] = fields;
+        const storeId = Object.keys(window.PSM.STORES)
+            .find(id => window.PSM.STORES[id].code.toLowerCase() === storeCode);
+        const certificate = {
+            productId,
+            variantId,
+            serial: serial.toUpperCase(),
+            purchaseDate: fromDayNumber(parseInt(day, 36)),
+            storeId,
+            days: parseInt(days, 36)
+        };
+
+        const isValid = fields.length === 7 && version === CODE_VERSION &&
+            Boolean(productId) && Boolean(storeId) && SERIAL_PATTERN.test(certificate.serial) &&
+            Number.isInteger(certificate.days) && certificate.days > 0 &&
+            !Number.isNaN(parseInt(day, 36));
+        return isValid ? certificate : null;
+    };
+
+    /**
+     * @param {string} code
+     * @returns {string} Absolute link to the customer lookup with the code filled in
+     */
+    const buildLookupUrl = (code) => new URL(`garantia.html?code=${encodeURIComponent(code)}`, window.location.href).href;
+
+    /* --- DOM Layer --- */
+
+    /**
+     * @param {string} date - 'YYYY-MM-DD'
+     * @returns {string} '20 de octubre de 2026'
+     */
+    const formatDate = (date) => new Intl.DateTimeFormat('es-VE', {
+        day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC'
+    }).format(new Date(`${date}T00:00:00Z`));
+
+    /**
+     * Product name and variant for a certificate. Falls back to the raw IDs
+     * when the catalog isn't loaded or the product was retired.
+     * @param {WarrantyCertificate} certificate
+     * @returns {{ name: string, variant: string, warranty: string }}
+     */
+    const describeProduct = (certificate) => {
+        const product = window.PSM.findProductById(certificate.productId);
+        if (!product) {
+            return { name: certificate.productId, variant: certificate.variantId, warranty: '' };
+        }
+
+        const variant = product.variants?.find(v => v.id === certificate.variantId);
+        return {
+            name: product.name,
+            variant: variant ? window.PSM.describeVariant(product, variant) : '',
+            warranty: window.PSM.resolveWarranty(product).subtitle
+        };
+    };
+
+    /**
+     * The printable certificate. Black on white whatever the page theme, so
+     * it prints and saves to PDF as a document.
+     * @param {WarrantyCertificate} certificate
+     * @param {string} code
+     * @returns {string} HTML string
+     */
+    const renderCertificate = (certificate, code) => {
+        const product = describeProduct(certificate);
+        const store = window.PSM.STORES[certificate.storeId];
+        const { expiryDate } = getCoverage(certificate);
+        const lookupUrl = buildLookupUrl(code);
+
+        return `
+            <article class="warranty-certificate">
+                <header class="warranty-certificate__header">
+                    <img class="warranty-certificate__logo" src="img/logo-img-black.png" alt="Phone Store Maracaibo">
+                    <div>
+                        <p class="warranty-certificate__eyebrow">Phone Store Maracaibo</p>
+                        <h2 class="warranty-certificate__title">Certificado de garantía</h2>
+                    </div>
+                </header>
+
+                <dl class="warranty-certificate__fields">
+                    <div class="warranty-certificate__field warranty-certificate__field--wide">
+                        <dt>Producto</dt>
+                        <dd>${product.name}${product.variant ? ` · ${product.variant}` : ''}</dd>
+                    </div>
+                    <div class="warranty-certificate__field">
+                        <dt>IMEI / Serie</dt>
+                        <dd>${certificate.serial}</dd>
+                    </div>
+                    <div class="warranty-certificate__field">
+                        <dt>Tienda</dt>
+                        <dd>${store.name}</dd>
+                    </div>
+                    <div class="warranty-certificate__field">
+                        <dt>Fecha de compra</dt>
+                        <dd>${formatDate(certificate.purchaseDate)}</dd>
+                    </div>
+                    <div class="warranty-certificate__field">
+                        <dt>Válida hasta</dt>
+                        <dd>${formatDate(expiryDate)}</dd>
+                    </div>
+                </dl>
+
+                <p class="warranty-certificate__coverage">
+                    <strong>${certificate.days} días de garantía PSM.</strong>
+                    ${product.warranty ? `${product.warranty}.` : ''}
+                    No cubre golpes, humedad ni equipos abiertos fuera de nuestras tiendas.
+                    Para hacerla válida trae el equipo y este certificado a ${store.name} (${store.address}).
+                </p>
+
+                <footer class="warranty-certificate__footer">
+                    <p class="warranty-certificate__code-label">Código de garantía</p>
+                    <p class="warranty-certificate__code">${code}</p>
+                    <p class="warranty-certificate__lookup">
+                        Consulta los días que te quedan en <a href="${lookupUrl}">${lookupUrl.replace(/^https?:\/\//, '').split('?')[0]}</a>
+                    </p>
+                </footer>
+            </article>
+        `;
+    };
+
+    return {
+        normalizeSerial,
+        validateSerial,
+        getStoreToday,
+        getCoverage,
+        encode,
+        decode,
+        buildLookupUrl,
+        formatDate,
+        describeProduct,
+        renderCertificate
+    };
+})();
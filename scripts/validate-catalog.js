@@ -0,0 +1,205 @@
+/**
+ * Phone Store Maracaibo — Catalog Validator
+ * Checks data/products.json before it ships. Run from anywhere:
+ *
+ *     node scripts/validate-catalog.js [path/to/products.json]
+ *
+ * Field rules (required fields, category/condition/availability values,
+ * prices, series null for non-iPhones) come from PSM.catalog.validateProduct
+ * in js/products.data.js — the same check the store runs in the browser.
+ * On top of that, this script checks what only a build step can see:
+ * unique ids, gallery files on disk, variant ↔ color references,
+ * "bought together" picks pointing at real products and the legacy
+ * product links.
+ *
+ * Prints a report grouped by product. Exits with 1 when anything is wrong.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+/* --- Constants --- */
+
+const ROOT        = path.resolve(__dirname, '..');
+const DATA_SCRIPT = path.join(ROOT, 'js', 'products.data.js');
+const FEED_PATH   = path.resolve(process.argv[2] ?? path.join(ROOT, 'data', 'products.json'));
+
+/* --- Loading --- */
+
+/**
+ * Runs products.data.js in a sandbox to reuse the store's own rules.
+ * Its feed request fails straight away — there's nothing to fetch here.
+ * @returns {Object} The sandboxed window.PSM
+ */
+const loadStoreRules = () => {
+    const sandbox = {
+        window:          {},
+        document:        { dispatchEvent: () => true },
+        console:         { ...console, error: () => {} },
+        CustomEvent:     class {},
+        AbortController,
+        setTimeout,
+        clearTimeout,
+        fetch:           () => Promise.reject(new Error('No network in the validator'))
+    };
+    vm.runInNewContext(fs.readFileSync(DATA_SCRIPT, 'utf8'), sandbox, { filename: DATA_SCRIPT });
+    return sandbox.window.PSM;
+};
+
+/**
+ * @returns {*} Parsed feed
+ * @throws {Error} When the file is missing or isn't valid JSON
+ */
+const readFeed = () => JSON.parse(fs.readFileSync(FEED_PATH, 'utf8'));
+
+/* --- Checks --- */
+
+/**
+ * @param {string} imagePath - Site-relative path, as written in the feed
+ * @returns {boolean}
+ */
+const imageExists = (imagePath) => fs.existsSync(path.join(ROOT, imagePath));
+
+/**
+ * Gallery images missing on disk — the browser only shows a broken image.
+ * @param {Object} product
+ * @returns {string[]}
+ */
+const checkFiles = (product) => {
+    const problems = [];
+
+    const checkGallery = (gallery, label) => (gallery ?? []).forEach((imagePath, i) => {
+        if (typeof imagePath !== 'string' || !imageExists(imagePath)) problems.push(`${label}[${i}]: file not found — ${imagePath}`);
+    });
+
+    checkGallery(product.gallery, 'gallery');
+    (product.colors ?? []).forEach(color => checkGallery(color.gallery, `colors.${color.id}.gallery`));
+
+    return problems;
+};
+
+/**
+ * Variant ids must be unique within a product (they're the `?variant=`
+ * param) and every variant color must exist in `colors`.
+ * @param {Object} product
+ * @returns {string[]}
+ */
+const checkVariants = (product) => {
+    const problems = [];
+    const colorIds = (product.colors ?? []).map(color => color.id);
+    const seen = new Set();
+
+    (Array.isArray(product.variants) ? product.variants : []).forEach(variant => {
+        if (seen.has(variant.id)) problems.push(`variant "${variant.id}": duplicate id`);
+        seen.add(variant.id);
+
+        if (variant.color && !colorIds.includes(variant.color)) {
+            problems.push(`variant "${variant.id}": color "${variant.color}" is not in colors`);
+        }
+    });
+
+    return problems;
+};
+
+/**
+ * "Se compran juntos" picks must name other products in the feed —
+ * a typo would silently drop the recommendation.
+ * @param {Object} product
+ * @param {Set<string>} productIds - Every id in the feed
+ * @returns {string[]}
+ */
+const checkBoughtTogether = (product, productIds) =>
+    (Array.isArray(product.boughtTogether) ? product.boughtTogether : []).flatMap(id => {
+        if (id === product.id) return [`boughtTogether: "${id}" is the product itself`];
+        return productIds.has(id) ? [] : [`boughtTogether: no product "${id}"`];
+    });
+
+/**
+ * Legacy per-color IDs were shared over WhatsApp — they must keep resolving.
+ * @param {Object<string, { id: string, variant: string }>} legacyIds
+ * @param {Object[]} products
+ * @returns {string[]}
+ */
+const checkLegacyLinks = (legacyIds, products) =>
+    Object.entries(legacyIds).flatMap(([legacyId, target]) => {
+        const product = products.find(p => p.id === target.id);
+        if (!product) return [`${legacyId}: points to missing product "${target.id}"`];
+
+        const hasVariant = (product.variants ?? []).some(v => v.id === target.variant);
+        return hasVariant ? [] : [`${legacyId}: "${target.id}" has no variant "${target.variant}"`];
+    });
+
+/* --- Report --- */
+
+/**
+ * @param {string} title
+ * @param {string[]} problems
+ */
+const printGroup = (title, problems) => {
+    console.log(`✖ ${title}`);
+    problems.forEach(problem => console.log(`    ${problem}`));
+};
+
+/* --- Main --- */
+
+const main = () => {
+    const PSM = loadStoreRules();
+    const relativeFeed = path.relative(process.cwd(), FEED_PATH);
+
+    let feed;
+    try {
+        feed = readFeed();
+    } catch (error) {
+        printGroup(relativeFeed, [error.message]);
+        return 1;
+    }
+
+    const envelope = [];
+    if (feed?.schemaVersion !== PSM.catalog.SCHEMA_VERSION) {
+        envelope.push(`schemaVersion is ${feed?.schemaVersion}, the store expects ${PSM.catalog.SCHEMA_VERSION}`);
+    }
+    if (!Array.isArray(feed?.products)) envelope.push('products must be an array');
+    if (feed?.updatedAt && Number.isNaN(Date.parse(feed.updatedAt))) {
+        envelope.push(`updatedAt "${feed.updatedAt}" is not a valid date`);
+    }
+
+    console.log(`Catalog: ${relativeFeed} (schema v${feed?.schemaVersion}, updated ${feed?.updatedAt ?? '—'})`);
+
+    if (!Array.isArray(feed?.products)) {
+        printGroup('feed', envelope);
+        return 1;
+    }
+
+    const products = feed.products;
+    const productIds = new Set(products.map(p => p?.id));
+    const idCounts = products.reduce((counts, p) => counts.set(p?.id, (counts.get(p?.id) ?? 0) + 1), new Map());
+
+    const report = products.map((product, index) => {
+        const problems = PSM.catalog.validateProduct(product);
+        if (idCounts.get(product?.id) > 1) problems.push('duplicate id');
+        if (product?.id) {
+            problems.push(...checkFiles(product), ...checkVariants(product), ...checkBoughtTogether(product, productIds));
+        }
+        return { title: `${product?.id ?? 'no id'} (products[${index}])`, problems };
+    });
+
+    report.push({ title: 'feed', problems: envelope });
+    report.push({ title: 'LEGACY_PRODUCT_IDS', problems: checkLegacyLinks(PSM.LEGACY_PRODUCT_IDS, products) });
+
+    const failed = report.filter(entry => entry.problems.length);
+    failed.forEach(entry => printGroup(entry.title, entry.problems));
+
+    const errorCount = failed.reduce((sum, entry) => sum + entry.problems.length, 0);
+    if (!errorCount) {
+        console.log(`✔ ${products.length} products OK`);
+        return 0;
+    }
+
+    console.log(`\n${errorCount} error${errorCount !== 1 ? 's' : ''} in ${products.length} products.`);
+    return 1;
+};
+
+process.exitCode = main();